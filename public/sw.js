@@ -0,0 +1,53 @@
+/**
+ * Service worker for offline mode
+ * Caches the app shell and same-origin assets (network-first) so the dashboard
+ * can open without a connection. Booking data itself lives in IndexedDB.
+ */
+
+const CACHE_NAME = 'xpertmoto-shell-v1';
+const APP_SHELL = ['./', './index.html', './example.json', './manifest.webmanifest', './icon.svg'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    // Cross-origin API calls (Shopify, Izyrent) are handled by the IndexedDB cache
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(async () => {
+                const cached = await caches.match(request);
+                if (cached) return cached;
+
+                // Unknown page while offline - fall back to the app shell
+                if (request.mode === 'navigate') {
+                    return caches.match('./index.html');
+                }
+                return Response.error();
+            })
+    );
+});
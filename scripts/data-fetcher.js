@@ -0,0 +1,200 @@
+#!/usr/bin/env node
+/**
+ * Headless availability snapshot CLI
+ * Runs the same catalog extraction and Izyrent booking fetch as the dashboard
+ * and writes a dated availability snapshot as JSON and CSV.
+ *
+ * Usage:
+ *   node scripts/data-fetcher.js [--days 30] [--duration 1] [--handle yamaha-nmax155-rental]
+ *                                [--catalog public/example.json] [--live] [--source mock] [--out data]
+ *                                [--timezone Australia/Sydney]
+ *
+ * Exits with code 1 when any booking fetch fails (after writing the snapshot),
+ * so it can be scheduled from cron and alert on partial data.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { addDays, format } from 'date-fns';
+import { extractBikeMetadata, fetchBookingsProgressively } from '../src/utils/dataFetcher.js';
+import { fetchLiveCatalog } from '../src/utils/catalogLoader.js';
+import { buildStockPools, findNextWindow, getDayAvailability } from '../src/utils/availability.js';
+import { quoteRentalPrice } from '../src/utils/pricing.js';
+import { toCsv } from '../src/utils/exportGrid.js';
+import { getShopTimeZone, getShopToday, isValidTimeZone } from '../src/utils/shopTime.js';
+import { DEFAULT_PROVIDER, PROVIDER_NAMES, getProvider } from '../src/providers/index.js';
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const HELP = `Usage: node scripts/data-fetcher.js [options]
+
+Options:
+  --days <n>         Number of days to include, starting the shop's today (default 30)
+  --duration <n>     Rental length used for the price and next-window columns (default 1)
+  --handle <handle>  Only include this product handle (repeatable, or comma-separated)
+  --catalog <path>   Catalog snapshot to read (default public/example.json)
+  --live             Load the catalog from the live storefront, falling back to --catalog
+  --source <name>    Booking provider: ${PROVIDER_NAMES.join(' | ')} (default ${DEFAULT_PROVIDER})
+  --out <dir>        Output directory (default data)
+  --concurrency <n>  Parallel booking requests (default 6)
+  --timezone <zone>  Shop timezone for the calendar (default $SHOP_TIMEZONE or Australia/Sydney)
+  -h, --help         Show this help
+`;
+
+function parseOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            days: { type: 'string', default: '30' },
+            duration: { type: 'string', default: '1' },
+            handle: { type: 'string', multiple: true, default: [] },
+            catalog: { type: 'string', default: path.join(ROOT_DIR, 'public', 'example.json') },
+            live: { type: 'boolean', default: false },
+            source: { type: 'string', default: DEFAULT_PROVIDER },
+            out: { type: 'string', default: path.join(ROOT_DIR, 'data') },
+            concurrency: { type: 'string', default: '6' },
+            timezone: { type: 'string', default: getShopTimeZone() },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    const days = parseInt(values.days);
+    const duration = parseInt(values.duration);
+    const concurrency = parseInt(values.concurrency);
+
+    if (!(days > 0)) throw new Error(`--days must be a positive integer, got "${values.days}"`);
+    if (!(duration > 0)) throw new Error(`--duration must be a positive integer, got "${values.duration}"`);
+    if (!(concurrency > 0)) throw new Error(`--concurrency must be a positive integer, got "${values.concurrency}"`);
+    if (!isValidTimeZone(values.timezone)) throw new Error(`--timezone must be an IANA timezone, got "${values.timezone}"`);
+
+    return {
+        ...values,
+        days,
+        duration,
+        concurrency,
+        handles: values.handle.flatMap(handle => handle.split(',')).map(handle => handle.trim()).filter(Boolean)
+    };
+}
+
+async function loadCatalogData({ catalog, live }) {
+    if (live) {
+        try {
+            return await fetchLiveCatalog();
+        } catch (error) {
+            console.error(`[CLI] Live catalog unavailable, using ${catalog}:`, error.message);
+        }
+    }
+
+    return JSON.parse(await fs.readFile(catalog, 'utf-8'));
+}
+
+function fetchAllBookings(bikes, { concurrency, provider }) {
+    const results = new Map();
+
+    return new Promise(resolve => {
+        fetchBookingsProgressively(bikes, {
+            onBikeUpdate: (variantId, update) => results.set(variantId, update),
+            onComplete: () => resolve(bikes.map(bike => ({ ...bike, ...results.get(bike.variantId) })))
+        }, { concurrency, provider });
+    });
+}
+
+function snapshotToCsv(snapshot) {
+    const header = ['bike', 'handle', 'variant_id', `price_${snapshot.duration}d`, `next_${snapshot.duration}d_window`, 'error', ...snapshot.dates];
+    const rows = snapshot.bikes.map(bike => [
+        bike.name,
+        bike.handle,
+        bike.variantId,
+        bike.price.toFixed(2),
+        bike.nextWindow?.start || '',
+        bike.error || '',
+        ...snapshot.dates.map(date => bike.statuses[date])
+    ]);
+
+    return toCsv([header, ...rows]);
+}
+
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+    if (options.help) {
+        process.stdout.write(HELP);
+        return 0;
+    }
+
+    const provider = await getProvider(options.source);
+    const exampleData = await loadCatalogData(options);
+    const { bikes: allBikes, globalSettings } = extractBikeMetadata(exampleData, {});
+
+    const bikes = options.handles.length > 0
+        ? allBikes.filter(bike => options.handles.includes(bike.handle))
+        : allBikes;
+
+    if (bikes.length === 0) {
+        throw new Error(`No bikes match --handle ${options.handles.join(', ')}`);
+    }
+
+    const fetchedBikes = await fetchAllBookings(bikes, { concurrency: options.concurrency, provider });
+
+    const today = getShopToday(options.timezone);
+    const dates = Array.from({ length: options.days }, (_, i) => addDays(today, i));
+    const dateKeys = dates.map(date => format(date, 'yyyy-MM-dd'));
+
+    const stockPools = buildStockPools(fetchedBikes);
+
+    const snapshot = {
+        generatedAt: new Date().toISOString(),
+        timezone: options.timezone,
+        source: provider.name,
+        days: options.days,
+        duration: options.duration,
+        dates: dateKeys,
+        globalSettings,
+        bikes: fetchedBikes.map(bike => {
+            const availability = dates.map(date => getDayAvailability(bike, date, globalSettings, stockPools, { today }));
+            const quote = quoteRentalPrice(bike.pricing, options.duration);
+            const nextWindow = findNextWindow(bike, options.duration, globalSettings, stockPools, { today });
+
+            return {
+                name: bike.name,
+                handle: bike.handle,
+                variantId: bike.variantId,
+                price: quote.total,
+                priceTier: quote.explanation,
+                nextWindow: nextWindow && {
+                    start: format(nextWindow.start, 'yyyy-MM-dd'),
+                    end: format(nextWindow.end, 'yyyy-MM-dd')
+                },
+                error: bike.error?.message || null,
+                capacity: availability[0]?.capacity ?? null,
+                statuses: Object.fromEntries(availability.map((day, i) => [dateKeys[i], day.status])),
+                freeUnits: Object.fromEntries(availability.map((day, i) => [dateKeys[i], day.free]))
+            };
+        })
+    };
+
+    await fs.mkdir(options.out, { recursive: true });
+    const baseName = path.join(options.out, `availability-${format(today, 'yyyy-MM-dd')}`);
+    await fs.writeFile(`${baseName}.json`, JSON.stringify(snapshot, null, 2));
+    await fs.writeFile(`${baseName}.csv`, snapshotToCsv(snapshot));
+
+    console.log(`[CLI] Wrote ${baseName}.json and ${baseName}.csv (${snapshot.bikes.length} bikes, ${options.days} days)`);
+
+    const failed = snapshot.bikes.filter(bike => bike.error);
+    if (failed.length > 0) {
+        console.error(`[CLI] ${failed.length} bike(s) failed to sync: ${failed.map(bike => `${bike.name} (${bike.error})`).join(', ')}`);
+        return 1;
+    }
+
+    return 0;
+}
+
+main()
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        console.error('[CLI] Error:', error.message);
+        process.exitCode = 2;
+    });
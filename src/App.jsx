@@ -1,57 +1,180 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import AvailabilityTable from './components/AvailabilityTable';
-import { Bike, RefreshCw, Filter, TrendingUp } from 'lucide-react';
+import WatchlistPanel from './components/WatchlistPanel';
+import SyncChangesPanel from './components/SyncChangesPanel';
+import HistoryPanel from './components/HistoryPanel';
+import { formatDistanceToNow } from 'date-fns';
+import { Bike, RefreshCw, Filter, TrendingUp, XCircle, AlertTriangle, WifiOff, Link, Check, Star, History } from 'lucide-react';
+import { MAX_DURATION_DAYS, parseViewState, serializeViewState } from './utils/viewState';
+import { buildStockPools } from './utils/availability';
+import {
+    WATCH_POLL_INTERVAL_MS,
+    createWatch,
+    updateWatches,
+    describeWatchChange,
+    getBikesToPoll,
+    loadWatchlist,
+    saveWatchlist
+} from './utils/watchlist';
+import {
+    AUTO_REFRESH_OPTIONS,
+    CHANGE_HIGHLIGHT_MS,
+    diffBookings,
+    getDefaultRefreshMinutes,
+    loadRefreshMinutes,
+    saveRefreshMinutes
+} from './utils/autoRefresh';
+import { compareSnapshots, loadHistory, mergeHistories, recordSync } from './utils/snapshotHistory';
+
+// Suggested rental lengths for the duration field - any whole number of days can be typed
+const DURATION_PRESETS = [1, 2, 3, 7, 14, 21, 28];
+
+// Wait for the view to settle before adding a history entry (typing, dragging a range)
+const HASH_SYNC_DELAY_MS = 400;
+
+const CATALOG_SOURCE_LABELS = {
+    live: 'Live storefront',
+    snapshot: 'Bundled snapshot',
+    cache: 'Offline cache',
+    mock: 'Mock fixtures'
+};
 
 function App() {
     const [data, setData] = useState(null);
     const [bikes, setBikes] = useState([]);
     const [globalSettings, setGlobalSettings] = useState(null);
+    const [addonPrices, setAddonPrices] = useState({}); // Add-on variantId -> { handle, title, price } for quotes
     const [error, setError] = useState(null);
-    const [duration, setDuration] = useState(1); // Default to 1 day
-    const [sortOrder, setSortOrder] = useState('asc'); // 'asc' or 'desc'
+    // View state starts from the URL hash so shared links reopen the same view
+    const [initialView] = useState(() => parseViewState(window.location.hash));
+    const [duration, setDuration] = useState(initialView.duration);
+    const [durationInput, setDurationInput] = useState(String(initialView.duration)); // Raw field text while typing
+    const [sortOrder, setSortOrder] = useState(initialView.sortOrder); // 'asc' or 'desc'
+    const [sortBy, setSortBy] = useState(initialView.sortBy); // 'price' or 'window' (next available window)
+    const [horizonStart, setHorizonStart] = useState(initialView.horizonStart); // First calendar day as 'yyyy-MM-dd', null for today
+    const [horizonDays, setHorizonDays] = useState(initialView.horizonDays); // Number of calendar days shown
+    const [selectedDates, setSelectedDates] = useState(new Set(initialView.selectedDates)); // 'yyyy-MM-dd' keys
+    const [filterMode, setFilterMode] = useState(initialView.filterMode); // 'days' (any clicked day), 'range' (whole trip), 'soonest' or 'group'
+    const [tripRange, setTripRange] = useState(initialView.tripRange); // { start, end } as 'yyyy-MM-dd'
+    const [groupSize, setGroupSize] = useState(initialView.groupSize); // Riders in group mode
+    const [facets, setFacets] = useState(initialView.facets); // Brand, style, engine size, LAMS and price filters
+    const [linkCopied, setLinkCopied] = useState(false);
+    const [watchlist, setWatchlist] = useState(null); // Watched bike + date ranges, null until loaded
+    const [isWatchlistOpen, setIsWatchlistOpen] = useState(false);
+    const [refreshMinutes, setRefreshMinutes] = useState(getDefaultRefreshMinutes); // Background re-sync interval, 0 = off
+    const [syncChanges, setSyncChanges] = useState(null); // { syncedAt, changes } from the last background sync
+    const [highlightedCells, setHighlightedCells] = useState(new Map()); // 'variantId:yyyy-MM-dd' -> 'booked' | 'freed'
+    const [history, setHistory] = useState([]); // Snapshots of past syncs, oldest first
+    const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+    const [visitChanges, setVisitChanges] = useState(null); // { syncedAt, changes } since the previous visit's last sync
     const [loadingStatus, setLoadingStatus] = useState({
         loaded: 0,
         total: 0,
         isComplete: false
     });
 
+    const [refreshKey, setRefreshKey] = useState(0);
+    const [cachedAt, setCachedAt] = useState(null); // Set while showing cached (stale) bookings
+    const [isOffline, setIsOffline] = useState(false);
+    const [catalogInfo, setCatalogInfo] = useState(null); // { source: 'live' | 'snapshot' | 'cache' | 'mock', catalogUpdatedAt }
+    const controllerRef = useRef(null);
+    const providerRef = useRef(null);
+    const bikesRef = useRef(bikes); // Latest bikes for the watchlist poll and background sync
+    bikesRef.current = bikes;
+    const isFirstSyncRef = useRef(true); // The first completed sync is compared with the previous visit
+
+    const updateBike = (variantId, bookingData) => {
+        setBikes(prevBikes =>
+            prevBikes.map(bike =>
+                bike.variantId === variantId
+                    ? { ...bike, ...bookingData }
+                    : bike
+            )
+        );
+    };
+
     useEffect(() => {
-        // Fetch example.json and then aggregate availability data
+        // Cancels in-flight booking requests on unmount or when a refresh starts
+        const controller = new AbortController();
+        controllerRef.current = controller;
+
+        // Render cached data first, then fetch example.json and aggregate availability data
         async function loadData() {
+            let cached = null;
+
             try {
-                // Fetch the example.json file
+                const {
+                    loadCachedAvailability,
+                    applyCachedBookings,
+                    fetchProductImages,
+                    fetchAddonPrices,
+                    extractBikeMetadata,
+                    fetchBookingsProgressively
+                } = await import('./utils/dataFetcher');
+                const { getProvider } = await import('./providers');
+
+                // Live Shopify/Izyrent by default, or recorded fixtures with ?source=mock
+                const provider = await getProvider();
+                providerRef.current = provider;
+
+                // Show the last known availability instantly (stale-while-revalidate)
+                if (provider.cacheable) {
+                    cached = await loadCachedAvailability();
+                }
+                if (controller.signal.aborted) return;
+
+                if (cached) {
+                    const cachedData = extractBikeMetadata(cached.exampleData, cached.imageMap);
+                    setBikes(applyCachedBookings(cachedData.bikes, cached.bookings));
+                    setGlobalSettings(cachedData.globalSettings);
+                    setAddonPrices(cached.addonPrices);
+                    setData({ lastUpdated: cached.cachedAt });
+                    setCachedAt(cached.cachedAt);
+                    setCatalogInfo({ source: 'cache', catalogUpdatedAt: cached.catalogUpdatedAt });
+                }
+
+                if (provider.cacheable && !navigator.onLine) {
+                    throw new Error('Browser is offline');
+                }
+
+                // Load the live catalog, falling back to the bundled example.json snapshot
                 // Use import.meta.env.BASE_URL to handle deployment in subdirectories
                 // remove trailing slash if present to avoid double slashes
                 const baseUrl = import.meta.env.BASE_URL.endsWith('/')
                     ? import.meta.env.BASE_URL
                     : `${import.meta.env.BASE_URL}/`;
 
-                const exampleResponse = await fetch(`${baseUrl}example.json`);
-                const exampleData = await exampleResponse.json();
+                const catalog = await provider.fetchCatalog({
+                    snapshotUrl: `${baseUrl}example.json`,
+                    signal: controller.signal
+                });
+                const exampleData = catalog.exampleData;
 
-                // Fetch product images first
-                const { fetchProductImages, extractBikeMetadata, fetchBookingsProgressively } = await import('./utils/dataFetcher');
-                const imageMap = await fetchProductImages();
+                // Fetch product images and add-on prices first
+                const [imageMap, fetchedAddonPrices] = await Promise.all([
+                    fetchProductImages(provider),
+                    fetchAddonPrices(provider)
+                ]);
+                if (controller.signal.aborted) return;
 
                 // Extract bike metadata immediately (synchronous)
                 const initialData = extractBikeMetadata(exampleData, imageMap);
 
-                // Set initial state - table will appear immediately
-                setBikes(initialData.bikes);
+                // Set initial state - table will appear immediately, with cached bookings where we have them
+                setIsOffline(false);
+                setCatalogInfo({ source: catalog.source, catalogUpdatedAt: catalog.catalogUpdatedAt, error: catalog.error });
+                setBikes(applyCachedBookings(initialData.bikes, cached?.bookings));
                 setGlobalSettings(initialData.globalSettings);
-                setData({ lastUpdated: initialData.lastUpdated });
+                setAddonPrices(fetchedAddonPrices);
+                setData({ lastUpdated: cached?.cachedAt || initialData.lastUpdated });
                 setLoadingStatus({ loaded: 0, total: initialData.bikes.length, isComplete: false });
 
                 // Fetch bookings progressively
+                const updates = new Map();
                 fetchBookingsProgressively(initialData.bikes, {
                     onBikeUpdate: (variantId, bookingData) => {
-                        setBikes(prevBikes =>
-                            prevBikes.map(bike =>
-                                bike.variantId === variantId
-                                    ? { ...bike, ...bookingData }
-                                    : bike
-                            )
-                        );
+                        updates.set(variantId, bookingData);
+                        updateBike(variantId, bookingData);
                     },
                     onProgress: (progressInfo) => {
                         setLoadingStatus({
@@ -61,20 +184,280 @@ function App() {
                         });
                     },
                     onComplete: () => {
+                        const syncedAt = new Date().toISOString();
                         setLoadingStatus(prev => ({ ...prev, isComplete: true }));
-                        setData(prevData => ({ ...prevData, lastUpdated: new Date().toISOString() }));
+                        setData(prevData => ({ ...prevData, lastUpdated: syncedAt }));
+                        setCachedAt(null);
+                        recordCompletedSync(
+                            initialData.bikes.map(bike => ({ ...bike, ...updates.get(bike.variantId) })),
+                            initialData.globalSettings,
+                            syncedAt
+                        );
                     }
-                });
+                }, { signal: controller.signal, provider });
 
             } catch (err) {
+                if (controller.signal.aborted) return;
+
+                // No network but we have a cached copy - open read-only instead of failing
+                if (cached) {
+                    console.log('[Cache] Network unavailable, showing cached availability offline');
+                    setIsOffline(true);
+                    setLoadingStatus(prev => ({ ...prev, isComplete: true }));
+                    return;
+                }
+
                 console.error('Failed to load availability data:', err);
                 setError('Failed to load data. Please ensure example.json is in the public folder.');
             }
         }
 
         loadData();
+
+        return () => controller.abort();
+    }, [refreshKey]);
+
+    // Leave offline mode automatically once the network comes back
+    useEffect(() => {
+        if (!isOffline) return;
+
+        const handleOnline = () => setRefreshKey(key => key + 1);
+        window.addEventListener('online', handleOnline);
+        return () => window.removeEventListener('online', handleOnline);
+    }, [isOffline]);
+
+    useEffect(() => {
+        loadWatchlist().then(setWatchlist);
+        loadRefreshMinutes().then(minutes => {
+            if (minutes !== null) setRefreshMinutes(minutes);
+        });
+        loadHistory().then(setHistory);
     }, []);
 
+    // Keep each completed sync in the history; the session's first one also
+    // shows what changed since the last sync of the previous visit
+    const recordCompletedSync = async (syncedBikes, settings, syncedAt) => {
+        // Fixture data would pollute the real history
+        if (!providerRef.current?.cacheable) return;
+
+        const { snapshot, previous } = await recordSync(syncedBikes, syncedAt);
+        setHistory(prev => mergeHistories(prev, [snapshot]));
+
+        if (!isFirstSyncRef.current) return;
+        isFirstSyncRef.current = false;
+        if (!previous) return;
+
+        const changes = compareSnapshots(previous, snapshot, syncedBikes, settings);
+        if (changes.length > 0) setVisitChanges({ syncedAt, changes });
+    };
+
+    // Re-sync bookings in the background and collect what changed since the last sync
+    const syncInBackground = async () => {
+        const previousBikes = bikesRef.current;
+        const { fetchBookingsProgressively } = await import('./utils/dataFetcher');
+        const updates = new Map();
+
+        fetchBookingsProgressively(previousBikes, {
+            onBikeUpdate: (variantId, bookingData) => {
+                updates.set(variantId, bookingData);
+                updateBike(variantId, bookingData);
+            },
+            onProgress: (progressInfo) => {
+                setLoadingStatus({ loaded: progressInfo.current, total: progressInfo.total, isComplete: false });
+            },
+            onComplete: () => {
+                const nextBikes = previousBikes.map(bike => ({ ...bike, ...updates.get(bike.variantId) }));
+                const changes = diffBookings(previousBikes, nextBikes, globalSettings);
+                const syncedAt = new Date().toISOString();
+
+                setLoadingStatus(prev => ({ ...prev, isComplete: true }));
+                setData(prevData => ({ ...prevData, lastUpdated: syncedAt }));
+                setSyncChanges({ syncedAt, changes });
+                setHighlightedCells(new Map(changes.map(change => [`${change.variantId}:${change.date}`, change.kind])));
+                recordCompletedSync(nextBikes, globalSettings, syncedAt);
+            }
+        }, { signal: controllerRef.current?.signal, provider: providerRef.current, keepBookingsOnError: true });
+    };
+
+    // The next background sync is scheduled once the previous one has finished
+    useEffect(() => {
+        if (!refreshMinutes || isOffline || !loadingStatus.isComplete || !globalSettings) return;
+
+        const timer = setInterval(() => {
+            // Skip hidden tabs; the next tick after the tab is shown catches up
+            if (!document.hidden) syncInBackground();
+        }, refreshMinutes * 60 * 1000);
+
+        return () => clearInterval(timer);
+    }, [refreshMinutes, isOffline, loadingStatus.isComplete, globalSettings]);
+
+    useEffect(() => {
+        if (highlightedCells.size === 0) return;
+
+        const timer = setTimeout(() => setHighlightedCells(new Map()), CHANGE_HIGHLIGHT_MS);
+        return () => clearTimeout(timer);
+    }, [highlightedCells]);
+
+    const handleRefreshMinutesChange = (minutes) => {
+        setRefreshMinutes(minutes);
+        saveRefreshMinutes(minutes);
+    };
+
+    useEffect(() => {
+        if (watchlist) saveWatchlist(watchlist);
+    }, [watchlist]);
+
+    // Compare watched ranges with the latest bookings and announce any flips
+    useEffect(() => {
+        if (!watchlist?.length || !globalSettings) return;
+
+        const { watches, changes } = updateWatches(watchlist, bikes, globalSettings, buildStockPools(bikes));
+        if (watches === watchlist) return;
+
+        setWatchlist(watches);
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+        changes.forEach(change => {
+            const { title, body } = describeWatchChange(change);
+            new Notification(title, { body, tag: change.watch.id });
+        });
+    }, [bikes, globalSettings, watchlist]);
+
+    // Re-fetch just the watched variants (and their stock pools) every few minutes
+    const watchedIds = [...new Set((watchlist || []).map(watch => watch.variantId))].join(',');
+    useEffect(() => {
+        if (!watchedIds || isOffline) return;
+
+        const timer = setInterval(async () => {
+            const watchedBikes = getBikesToPoll(new Set(watchedIds.split(',')), bikesRef.current);
+            if (watchedBikes.length === 0) return;
+
+            const { fetchBookingsProgressively } = await import('./utils/dataFetcher');
+            fetchBookingsProgressively(watchedBikes, {
+                onBikeUpdate: updateBike
+            }, { signal: controllerRef.current?.signal, provider: providerRef.current, keepBookingsOnError: true });
+        }, WATCH_POLL_INTERVAL_MS);
+
+        return () => clearInterval(timer);
+    }, [watchedIds, isOffline]);
+
+    const handleAddWatch = (bike, start, end) => {
+        const watch = createWatch(bike, start, end);
+        setWatchlist(prev => prev.some(w => w.id === watch.id) ? prev : [...prev, watch]);
+
+        // Ask while we still have the click that started this
+        if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+    };
+
+    const handleRemoveWatch = (id) => {
+        setWatchlist(prev => prev.filter(watch => watch.id !== id));
+    };
+
+    // Star buttons in the table add a watch or remove the existing one
+    const handleToggleWatch = (bike, start, end) => {
+        const { id } = createWatch(bike, start, end);
+        if (watchlist.some(watch => watch.id === id)) handleRemoveWatch(id);
+        else handleAddWatch(bike, start, end);
+    };
+
+    const handleToggleWatchlist = () => {
+        setIsWatchlistOpen(open => !open);
+        // Opening the panel counts as seeing the changes
+        setWatchlist(prev => prev.some(watch => watch.unseen)
+            ? prev.map(watch => ({ ...watch, unseen: false }))
+            : prev);
+    };
+
+    const viewHash = serializeViewState({
+        duration,
+        sortOrder,
+        sortBy,
+        horizonStart,
+        horizonDays,
+        filterMode,
+        selectedDates: [...selectedDates],
+        tripRange,
+        groupSize,
+        facets
+    });
+
+    // Mirror the view into the URL hash, one history entry per settled change
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            const currentHash = serializeViewState(parseViewState(window.location.hash));
+            if (currentHash === viewHash) return;
+
+            const { pathname, search } = window.location;
+            window.history.pushState(null, '', `${pathname}${search}${viewHash ? `#${viewHash}` : ''}`);
+        }, HASH_SYNC_DELAY_MS);
+
+        return () => clearTimeout(timer);
+    }, [viewHash]);
+
+    // Back/forward (and hand-edited hashes) restore the view they point at
+    useEffect(() => {
+        const handlePopState = () => {
+            const view = parseViewState(window.location.hash);
+            setDuration(view.duration);
+            setDurationInput(String(view.duration));
+            setSortOrder(view.sortOrder);
+            setSortBy(view.sortBy);
+            setHorizonStart(view.horizonStart);
+            setHorizonDays(view.horizonDays);
+            setSelectedDates(new Set(view.selectedDates));
+            setFilterMode(view.filterMode);
+            setTripRange(view.tripRange);
+            setGroupSize(view.groupSize);
+            setFacets(view.facets);
+        };
+
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    const handleCopyLink = async () => {
+        const { origin, pathname, search } = window.location;
+        try {
+            await navigator.clipboard.writeText(`${origin}${pathname}${search}${viewHash ? `#${viewHash}` : ''}`);
+            setLinkCopied(true);
+            setTimeout(() => setLinkCopied(false), 2000);
+        } catch (err) {
+            console.error('Failed to copy link:', err);
+        }
+    };
+
+    const handleDurationChange = (value) => {
+        setDurationInput(value);
+        const days = parseInt(value);
+        if (days > 0) setDuration(Math.min(days, MAX_DURATION_DAYS));
+    };
+
+    const handleRefresh = () => {
+        setRefreshKey(key => key + 1);
+    };
+
+    // Re-fetch bookings for failed bikes only, keeping the rest of the table as-is
+    const retryBikes = async (bikesToRetry) => {
+        if (bikesToRetry.length === 0) return;
+
+        const { fetchBookingsProgressively } = await import('./utils/dataFetcher');
+        const retryIds = new Set(bikesToRetry.map(bike => bike.variantId));
+
+        // Bikes still showing their last bookings keep them while retrying
+        setBikes(prevBikes =>
+            prevBikes.map(bike =>
+                retryIds.has(bike.variantId) && !bike.refreshError
+                    ? { ...bike, isLoading: true, error: null }
+                    : bike
+            )
+        );
+
+        fetchBookingsProgressively(bikesToRetry, {
+            onBikeUpdate: updateBike
+        }, { signal: controllerRef.current?.signal, provider: providerRef.current, keepBookingsOnError: true });
+    };
+
     if (error) {
         return (
             <div className="min-h-screen flex items-center justify-center bg-slate-950 p-6">
@@ -92,6 +475,8 @@ function App() {
 
     // Show table even if bikes aren't fully loaded yet
     const hasData = bikes.length > 0 && globalSettings && data;
+    const failedBikes = bikes.filter(bike => bike.error || bike.refreshError);
+    const unseenWatches = (watchlist || []).filter(watch => watch.unseen).length;
 
     return (
         <div className="min-h-screen flex flex-col">
@@ -107,12 +492,27 @@ function App() {
                             </h1>
                         </div>
                         <div className="flex items-center gap-3">
-                            {!loadingStatus.isComplete && hasData ? (
+                            {isOffline && hasData ? (
+                                <>
+                                    <WifiOff className="text-amber-500" size={14} />
+                                    <p className="text-slate-400 font-medium text-sm">
+                                        Offline – read-only view of data cached {formatDistanceToNow(new Date(data.lastUpdated), { addSuffix: true })}
+                                    </p>
+                                </>
+                            ) : !loadingStatus.isComplete && hasData ? (
                                 <>
                                     <RefreshCw className="text-emerald-500 animate-spin" size={14} />
                                     <p className="text-slate-400 font-medium text-sm">
                                         Syncing availability: {loadingStatus.loaded}/{loadingStatus.total} bikes
                                     </p>
+                                    {cachedAt && (
+                                        <span
+                                            className="px-2 py-0.5 rounded-md border border-amber-500/30 bg-amber-500/10 text-xs font-medium text-amber-300"
+                                            title={`Cached at ${new Date(cachedAt).toLocaleString()}`}
+                                        >
+                                            Showing cached data from {formatDistanceToNow(new Date(cachedAt), { addSuffix: true })}
+                                        </span>
+                                    )}
                                 </>
                             ) : (
                                 <>
@@ -120,26 +520,115 @@ function App() {
                                     <p className="text-slate-400 font-medium">
                                         Live synchronization with Xpert Moto fleet
                                     </p>
+                                    {hasData && (
+                                        <button
+                                            onClick={handleRefresh}
+                                            className="flex items-center gap-1 text-xs text-slate-500 hover:text-white transition-colors"
+                                            title="Re-sync availability"
+                                        >
+                                            <RefreshCw size={12} />
+                                            Refresh
+                                        </button>
+                                    )}
                                 </>
                             )}
+                            {hasData && !isOffline && (
+                                <select
+                                    value={refreshMinutes}
+                                    onChange={(e) => handleRefreshMinutesChange(Number(e.target.value))}
+                                    className="bg-transparent border border-white/10 rounded-md px-1.5 py-0.5 text-xs text-slate-500 hover:text-white transition-colors"
+                                    aria-label="Auto-refresh interval"
+                                    title="Re-sync bookings in the background and highlight what changed"
+                                >
+                                    {AUTO_REFRESH_OPTIONS.map(minutes => (
+                                        <option key={minutes} value={minutes} className="bg-slate-900">
+                                            {minutes === 0 ? 'Auto-refresh off' : `Auto-refresh every ${minutes} min`}
+                                        </option>
+                                    ))}
+                                </select>
+                            )}
+                            {failedBikes.length > 0 && !isOffline && (
+                                <button
+                                    onClick={() => retryBikes(failedBikes)}
+                                    className="flex items-center gap-1.5 px-2 py-0.5 rounded-md border border-red-500/30 bg-red-500/10 text-xs font-medium text-red-300 hover:bg-red-500/20 transition-colors"
+                                    title={failedBikes.map(bike => `${bike.name}: ${(bike.error || bike.refreshError).message}`).join('\n')}
+                                >
+                                    <AlertTriangle size={12} />
+                                    {failedBikes.length} {failedBikes.length === 1 ? 'bike' : 'bikes'} failed to sync – retry all
+                                </button>
+                            )}
                         </div>
                     </div>
 
                     <div className="flex flex-col gap-2">
                         <label className="text-[10px] text-slate-500 font-bold uppercase tracking-widest pl-1">Price Duration</label>
-                        <select
-                            value={duration}
-                            onChange={(e) => setDuration(parseInt(e.target.value))}
-                            className="glass-card bg-slate-900/50 border-white/10 text-white text-sm px-4 py-2 rounded-lg outline-none focus:border-red-500/50 transition-colors cursor-pointer"
-                        >
-                            <option value={1}>1 Day</option>
-                            <option value={2}>2 Days</option>
-                            <option value={3}>3 Days</option>
-                            <option value={7}>1 Week</option>
-                            <option value={14}>2 Weeks</option>
-                            <option value={21}>3 Weeks</option>
-                            <option value={28}>4 Weeks</option>
-                        </select>
+                        <div className="flex items-center gap-2">
+                            <input
+                                type="number"
+                                min={1}
+                                max={MAX_DURATION_DAYS}
+                                list="duration-presets"
+                                value={durationInput}
+                                onChange={(e) => handleDurationChange(e.target.value)}
+                                onBlur={() => setDurationInput(String(duration))}
+                                className="glass-card bg-slate-900/50 border-white/10 text-white text-sm px-4 py-2 rounded-lg outline-none focus:border-red-500/50 transition-colors w-28"
+                                aria-label="Rental duration in days"
+                            />
+                            <span className="text-sm text-slate-400">{duration === 1 ? 'day' : 'days'}</span>
+                            <datalist id="duration-presets">
+                                {DURATION_PRESETS.map(days => (
+                                    <option key={days} value={days} />
+                                ))}
+                            </datalist>
+                            <button
+                                onClick={handleCopyLink}
+                                className="flex items-center gap-1.5 ml-2 px-3 py-2 rounded-lg border border-white/10 text-xs font-semibold text-slate-400 hover:text-white transition-colors"
+                                title="Copy a link to this view (duration, sort, dates and filters)"
+                            >
+                                {linkCopied ? <Check size={14} className="text-emerald-400" /> : <Link size={14} />}
+                                {linkCopied ? 'Copied' : 'Copy link'}
+                            </button>
+                            {hasData && (
+                                <button
+                                    onClick={() => setIsHistoryOpen(open => !open)}
+                                    className="flex items-center gap-1.5 px-3 py-2 rounded-lg border border-white/10 text-xs font-semibold text-slate-400 hover:text-white transition-colors"
+                                    aria-expanded={isHistoryOpen}
+                                    title="When bikes were booked or freed across past syncs"
+                                >
+                                    <History size={14} />
+                                    History
+                                </button>
+                            )}
+                            {hasData && watchlist && (
+                                <div className="relative">
+                                    <button
+                                        onClick={handleToggleWatchlist}
+                                        className="flex items-center gap-1.5 px-3 py-2 rounded-lg border border-white/10 text-xs font-semibold text-slate-400 hover:text-white transition-colors"
+                                        aria-expanded={isWatchlistOpen}
+                                        title="Bikes and dates you are watching"
+                                    >
+                                        <Star size={14} className={watchlist.length > 0 ? "text-amber-400" : undefined} />
+                                        Watchlist
+                                        {unseenWatches > 0 && (
+                                            <span className="min-w-[18px] px-1 rounded-full bg-amber-500 text-[10px] font-black text-slate-950" aria-label={`${unseenWatches} changed`}>
+                                                {unseenWatches}
+                                            </span>
+                                        )}
+                                    </button>
+                                    {isWatchlistOpen && (
+                                        <WatchlistPanel
+                                            watches={watchlist}
+                                            bikes={bikes}
+                                            defaultRange={tripRange}
+                                            onAdd={handleAddWatch}
+                                            onRemove={handleRemoveWatch}
+                                            onClose={() => setIsWatchlistOpen(false)}
+                                            notificationsBlocked={typeof Notification !== 'undefined' && Notification.permission === 'denied'}
+                                        />
+                                    )}
+                                </div>
+                            )}
+                        </div>
                     </div>
                 </div>
             </header>
@@ -149,22 +638,79 @@ function App() {
                     <div className="flex flex-col md:flex-row gap-4 items-start md:items-center justify-between">
                         <div>
                             <h2 className="text-2xl font-bold">Bike Availability</h2>
-                            <p className="text-slate-400 text-sm mt-1">Live status for the next 30 days across technical variants.</p>
+                            <p className="text-slate-400 text-sm mt-1">Live status for {horizonDays} days across technical variants.</p>
                         </div>
                     </div>
 
+                    {isHistoryOpen && (
+                        <HistoryPanel
+                            history={history}
+                            bikes={bikes}
+                            globalSettings={globalSettings}
+                            onHistoryChange={setHistory}
+                            onClose={() => setIsHistoryOpen(false)}
+                        />
+                    )}
+
+                    {visitChanges && (
+                        <SyncChangesPanel
+                            title="Changes since your last visit"
+                            syncedAt={visitChanges.syncedAt}
+                            changes={visitChanges.changes}
+                            onDismiss={() => setVisitChanges(null)}
+                        />
+                    )}
+
+                    {syncChanges?.changes.length > 0 && (
+                        <SyncChangesPanel
+                            syncedAt={syncChanges.syncedAt}
+                            changes={syncChanges.changes}
+                            onDismiss={() => setSyncChanges(null)}
+                        />
+                    )}
+
                     <AvailabilityTable
                         bikes={bikes}
                         globalSettings={globalSettings}
+                        addonPrices={addonPrices}
                         duration={duration}
                         sortOrder={sortOrder}
                         onSortChange={setSortOrder}
+                        sortBy={sortBy}
+                        onSortByChange={setSortBy}
+                        startDate={horizonStart}
+                        onStartDateChange={setHorizonStart}
+                        days={horizonDays}
+                        onDaysChange={setHorizonDays}
+                        selectedDates={selectedDates}
+                        onSelectedDatesChange={setSelectedDates}
+                        filterMode={filterMode}
+                        onFilterModeChange={setFilterMode}
+                        tripRange={tripRange}
+                        onTripRangeChange={setTripRange}
+                        groupSize={groupSize}
+                        onGroupSizeChange={setGroupSize}
+                        facets={facets}
+                        onFacetsChange={setFacets}
+                        onRetryBike={isOffline ? undefined : (bike) => retryBikes([bike])}
+                        watchedIds={new Set((watchlist || []).map(watch => watch.id))}
+                        onToggleWatch={watchlist ? handleToggleWatch : undefined}
+                        highlightedCells={highlightedCells}
                     />
 
                     <footer className="py-8 text-center border-t border-white/5">
                         <p className="text-[10px] text-slate-600 uppercase tracking-widest font-bold">
                             Dashboard generated at {new Date(data.lastUpdated).toLocaleString()}
                         </p>
+                        {catalogInfo && (
+                            <p
+                                className="text-[10px] text-slate-600 uppercase tracking-widest font-bold mt-2"
+                                title={catalogInfo.error ? `Live catalog unavailable: ${catalogInfo.error}` : undefined}
+                            >
+                                Catalog: {CATALOG_SOURCE_LABELS[catalogInfo.source]}
+                                {catalogInfo.catalogUpdatedAt && ` · updated ${new Date(catalogInfo.catalogUpdatedAt).toLocaleString()}`}
+                            </p>
+                        )}
                     </footer>
                 </main>
             )}
@@ -0,0 +1,151 @@
+import React, { useMemo } from 'react';
+import { format, parseISO, setDay } from 'date-fns';
+import { clsx } from 'clsx';
+import { BarChart3 } from 'lucide-react';
+import { UNDER_UTILISED_BELOW, buildAnalytics } from '../utils/analytics';
+
+const formatPercent = (occupancy) => occupancy === null ? '–' : `${Math.round(occupancy * 100)}%`;
+
+const formatMoney = (amount) => `$${Math.round(amount).toLocaleString()}`;
+
+const OccupancyBar = ({ occupancy, flagLow = false }) => (
+    <div className="w-24 h-1.5 rounded-full bg-white/5 overflow-hidden">
+        <div
+            className={clsx("h-full rounded-full", flagLow && occupancy < UNDER_UTILISED_BELOW ? "bg-amber-400" : "bg-emerald-500")}
+            style={{ width: `${Math.round((occupancy || 0) * 100)}%` }}
+        />
+    </div>
+);
+
+const HeatCell = ({ occupancy }) => (
+    <td
+        className="w-12 h-7 text-center text-[10px] font-bold border border-slate-950"
+        style={{ backgroundColor: occupancy === null ? undefined : `rgba(239, 68, 68, ${0.1 + occupancy * 0.8})` }}
+        title={occupancy === null ? 'Closed' : `${formatPercent(occupancy)} booked`}
+    >
+        {formatPercent(occupancy)}
+    </td>
+);
+
+/**
+ * Occupancy and estimated revenue for the bikes and days the grid shows
+ */
+const AnalyticsPanel = ({ bikes, dates, globalSettings, stockPools }) => {
+    const analytics = useMemo(
+        () => buildAnalytics(bikes, dates, globalSettings, stockPools),
+        [bikes, dates, globalSettings, stockPools]
+    );
+    const { fleet, models, heatmap, busiestDates, revenue } = analytics;
+    const bikeRows = [...analytics.bikes].sort((a, b) => (b.revenue ?? -1) - (a.revenue ?? -1));
+    const rangeLabel = `${format(dates[0], 'd MMM')} – ${format(dates[dates.length - 1], 'd MMM')}`;
+
+    return (
+        <div className="px-4 py-4 border-b border-white/10 bg-slate-900/30 text-xs space-y-5">
+            <div className="flex flex-wrap items-baseline gap-x-8 gap-y-2">
+                <h3 className="flex items-center gap-2 font-bold text-sm">
+                    <BarChart3 size={14} className="text-slate-400" />
+                    Utilisation {rangeLabel}
+                </h3>
+                <div>
+                    <span className="text-2xl font-black">{formatPercent(fleet.occupancy)}</span>
+                    <span className="ml-2 text-slate-500">fleet booked ({fleet.booked / 2} of {fleet.open / 2} unit-days)</span>
+                </div>
+                <div>
+                    <span className="text-2xl font-black">{formatMoney(revenue)}</span>
+                    <span className="ml-2 text-slate-500">estimated booked revenue</span>
+                </div>
+            </div>
+
+            <div className="grid gap-6 lg:grid-cols-3">
+                <section>
+                    <h4 className="mb-2 font-bold uppercase tracking-wider text-slate-500">Models, least booked first</h4>
+                    <ul className="space-y-1 max-h-72 overflow-y-auto pr-2">
+                        {models.map(model => (
+                            <li key={model.productId} className="flex items-center gap-2">
+                                <span className="flex-1 truncate text-slate-300">
+                                    {model.name}
+                                    {model.units > 1 && <span className="text-slate-500"> · {model.units} variants</span>}
+                                </span>
+                                {model.occupancy !== null && model.occupancy < UNDER_UTILISED_BELOW && (
+                                    <span className="px-1 rounded border border-amber-500/30 bg-amber-500/10 text-amber-300 font-bold">Under-utilised</span>
+                                )}
+                                <OccupancyBar occupancy={model.occupancy} flagLow />
+                                <span className="w-9 text-right font-bold">{formatPercent(model.occupancy)}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+
+                <section>
+                    <h4 className="mb-2 font-bold uppercase tracking-wider text-slate-500">Bikes by estimated revenue</h4>
+                    <ul className="space-y-1 max-h-72 overflow-y-auto pr-2">
+                        {bikeRows.map(({ bike, occupancy, rentals, bookedDays, revenue: bikeRevenue }) => (
+                            <li
+                                key={bike.variantId}
+                                className="flex items-center gap-2"
+                                title={rentals === null
+                                    ? 'Bookings unknown'
+                                    : `${rentals} ${rentals === 1 ? 'rental' : 'rentals'}, ${bookedDays} booked ${bookedDays === 1 ? 'day' : 'days'}`}
+                            >
+                                <span className="flex-1 truncate text-slate-300">{bike.name}</span>
+                                <span className="w-9 text-right text-slate-500">{formatPercent(occupancy)}</span>
+                                <span className="w-16 text-right font-bold">{bikeRevenue === null ? '–' : formatMoney(bikeRevenue)}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+
+                <section className="space-y-5">
+                    <div>
+                        <h4 className="mb-2 font-bold uppercase tracking-wider text-slate-500">Occupancy by weekday</h4>
+                        <div className="max-h-44 overflow-y-auto">
+                            <table className="border-collapse">
+                                <thead>
+                                    <tr>
+                                        <th />
+                                        {heatmap.weekdays.map(weekday => (
+                                            <th key={weekday} className="px-1 text-[10px] font-bold text-slate-500">
+                                                {format(setDay(dates[0], weekday), 'EEE')}
+                                            </th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    <tr>
+                                        <th className="pr-2 text-left font-bold">Fleet</th>
+                                        {heatmap.fleet.map((occupancy, index) => <HeatCell key={index} occupancy={occupancy} />)}
+                                    </tr>
+                                    {models.map(model => (
+                                        <tr key={model.productId}>
+                                            <th className="pr-2 text-left font-medium text-slate-400 max-w-[140px] truncate">{model.name}</th>
+                                            {model.weekdays.map((occupancy, index) => <HeatCell key={index} occupancy={occupancy} />)}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+
+                    <div>
+                        <h4 className="mb-2 font-bold uppercase tracking-wider text-slate-500">Busiest dates</h4>
+                        {busiestDates.length === 0 ? (
+                            <p className="text-slate-500">Nothing booked in this range.</p>
+                        ) : (
+                            <ol className="space-y-1">
+                                {busiestDates.map(day => (
+                                    <li key={day.date} className="flex items-center gap-2">
+                                        <span className="w-24 text-slate-300">{format(parseISO(day.date), 'EEE d MMM')}</span>
+                                        <OccupancyBar occupancy={day.occupancy} />
+                                        <span className="font-bold">{formatPercent(day.occupancy)}</span>
+                                    </li>
+                                ))}
+                            </ol>
+                        )}
+                    </div>
+                </section>
+            </div>
+        </div>
+    );
+};
+
+export default AnalyticsPanel;
@@ -1,114 +1,247 @@
-import React, { useMemo, useState } from 'react';
-import { format, addDays, isSameDay, parseISO, getDay } from 'date-fns';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { format, addDays, isSameDay, parseISO, formatDistanceToNow, differenceInCalendarDays, max } from 'date-fns';
 import { clsx } from 'clsx';
-import { Calendar, Info, CheckCircle2, XCircle, Clock, Bike, TrendingUp } from 'lucide-react';
+import { Calendar, Info, CheckCircle2, XCircle, Clock, Bike, TrendingUp, AlertTriangle, RotateCcw, Receipt, ChevronRight, CalendarPlus, Star, BarChart3 } from 'lucide-react';
+import {
+    MAX_WINDOW_SEARCH_DAYS,
+    buildStockPools,
+    canPickUp,
+    checkRental,
+    findCheaperLongerRental,
+    findNextWindow,
+    getDayAvailability,
+    getModelDayAvailability,
+    getModelRows
+} from '../utils/availability';
+import { getPriceForDuration, quoteRentalPrice } from '../utils/pricing';
+import { getRentalDays } from '../utils/bookingRules';
+import { EMPTY_FACETS, matchesFacets } from '../utils/bikeAttributes';
+import { getShopTimeZone, getShopToday } from '../utils/shopTime';
+import { buildExportRows, toCsv, toXlsx } from '../utils/exportGrid';
+import { buildCalendar } from '../utils/icalendar';
+import { createWatch } from '../utils/watchlist';
+import { downloadFile } from '../utils/download';
+import TripRangeBar from './TripRangeBar';
+import FacetFilterBar from './FacetFilterBar';
+import HorizonBar from './HorizonBar';
+import ExportMenu from './ExportMenu';
+import AnalyticsPanel from './AnalyticsPanel';
+import GroupFinderPanel from './GroupFinderPanel';
+import QuoteDialog from './QuoteDialog';
 
-const AvailabilityTable = ({ bikes, globalSettings, duration, sortOrder, onSortChange, days = 30 }) => {
-    const [selectedDates, setSelectedDates] = useState(new Set());
+// Tooltip wording for each day status
+const STATUS_LABELS = {
+    available: 'Available',
+    partial: 'Partially booked',
+    half: 'Half day (morning only)',
+    morning: 'Free in the morning only (picked up later that day)',
+    afternoon: 'Free from the afternoon (returned that morning)',
+    booked: 'Booked',
+    closed: 'Shop closed'
+};
 
-    const dates = useMemo(() => {
-        return Array.from({ length: days }).map((_, i) => addDays(new Date(), i));
-    }, [days]);
+/**
+ * Memoizes `compute(bike)` per bike, keyed by variantId
+ * Results are reused while the bike object and its stock pool are unchanged,
+ * so each progressive booking update only recomputes the bike that changed.
+ * Any change in `deps` recomputes every bike.
+ */
+function usePerBikeMemo(bikes, stockPools, compute, deps) {
+    const cacheRef = useRef({ deps: null, byBike: new WeakMap() });
 
-    const getStatus = (bike, date) => {
-        // If bike is still loading, return loading state
-        if (bike.isLoading || !bike.bookings) {
-            return 'loading';
+    return useMemo(() => {
+        const cache = cacheRef.current;
+        if (!cache.deps || deps.some((dep, i) => dep !== cache.deps[i])) {
+            cacheRef.current = { deps, byBike: new WeakMap() };
         }
+        const { byBike } = cacheRef.current;
 
-        const yearMonthDay = format(date, 'yyyy/MM/dd');
-        const dayOfWeek = getDay(date); // 0 = Sunday, 6 = Saturday
-
-        // 1. Check Global Closures (Sundays + Holidays)
-        const year = format(date, 'yyyy');
-        const month = (date.getMonth() + 1).toString();
-        const dayNumeric = date.getDate();
+        const results = {};
+        bikes.forEach(bike => {
+            // Pooled variants also depend on the bookings of the rest of their pool
+            const pool = bike.stockMode === 'product' ? (stockPools[bike.productId] || []) : [];
+            const cached = byBike.get(bike);
+            const isFresh = cached && cached.pool.length === pool.length && cached.pool.every((poolBike, i) => poolBike === pool[i]);
+            if (!isFresh) byBike.set(bike, { pool, result: compute(bike) });
+            results[bike.variantId] = byBike.get(bike).result;
+        });
+        return results;
+    }, [bikes, stockPools, ...deps]);
+}
 
-        // Check global holiday list
-        const isHoliday = globalSettings.disabledDatesGlobal[year]?.[month]?.includes(dayNumeric);
-        const isStoreClosed = globalSettings.closures.includes(dayOfWeek) || isHoliday;
+/**
+ * View state (sort, date filters, facets) is owned by App so it can be kept in the URL hash
+ */
+const AvailabilityTable = ({
+    bikes,
+    globalSettings,
+    addonPrices,
+    duration,
+    sortOrder,
+    onSortChange,
+    sortBy = 'price',
+    onSortByChange,
+    selectedDates,
+    onSelectedDatesChange,
+    filterMode = 'days',
+    onFilterModeChange,
+    tripRange = null,
+    onTripRangeChange,
+    groupSize,
+    onGroupSizeChange,
+    facets = EMPTY_FACETS,
+    onFacetsChange,
+    onRetryBike,
+    startDate = null,
+    onStartDateChange,
+    days = 30,
+    onDaysChange,
+    watchedIds = new Set(),
+    onToggleWatch,
+    highlightedCells = new Map()
+}) => {
+    const [dragStart, setDragStart] = useState(null); // Header the range drag started on
+    const [quoteBike, setQuoteBike] = useState(null); // Bike whose full quote is open
+    const [expandedModels, setExpandedModels] = useState(new Set()); // productIds showing their individual units
+    const [showAnalytics, setShowAnalytics] = useState(false);
 
-        // 2. Check Bookings
-        // Response keys can be "2026/02/27", "2026/02/27_start", or "2026/02/27_end"
-        const isBooked = bike.bookings && (
-            bike.bookings[yearMonthDay] ||
-            bike.bookings[`${yearMonthDay}_start`] ||
-            bike.bookings[`${yearMonthDay}_end`]
-        );
+    // Finish a header drag wherever the mouse is released
+    useEffect(() => {
+        if (!dragStart) return;
 
-        // 3. Check Half-day (Saturday)
-        const isHalfDay = dayOfWeek === 6;
+        const handleMouseUp = () => setDragStart(null);
+        window.addEventListener('mouseup', handleMouseUp);
+        return () => window.removeEventListener('mouseup', handleMouseUp);
+    }, [dragStart]);
 
-        if (isBooked) return 'booked';
-        if (isStoreClosed) return 'closed';
-        if (isHalfDay) return 'half';
-        return 'available';
-    };
+    // The calendar starts the shop's today or at the chosen day, never in the past
+    const dates = useMemo(() => {
+        const today = getShopToday();
+        const firstDay = startDate ? max([today, parseISO(startDate)]) : today;
+        return Array.from({ length: days }).map((_, i) => addDays(firstDay, i));
+    }, [startDate, days]);
 
-    const getPriceForDuration = (bike, days) => {
-        if (!bike.pricing || bike.pricing.length === 0) return 0;
+    // Narrower columns once more than a month is shown
+    const isCompact = days > 30;
 
-        // Find the applicable price tier
-        const tier = bike.pricing.find(p => {
-            if (p.days === 'default') return false;
-            const from = parseInt(p.days);
-            const to = p.to === 'default' ? Infinity : parseInt(p.to);
-            return days >= from && days <= to;
+    // Month header cells spanning their days
+    const monthSpans = useMemo(() => {
+        const spans = [];
+        dates.forEach(date => {
+            const key = format(date, 'yyyy-MM');
+            if (spans.length > 0 && spans[spans.length - 1].key === key) {
+                spans[spans.length - 1].span += 1;
+            } else {
+                spans.push({ key, label: format(date, 'MMMM yyyy'), span: 1 });
+            }
         });
+        return spans;
+    }, [dates]);
 
-        if (tier) {
-            const tierPrice = parseFloat(tier.price);
-            const tierStart = parseInt(tier.days);
+    // Cells opening a month (other than the first column) get a divider
+    const isMonthStart = (date, index) => index > 0 && date.getDate() === 1;
 
-            // For weekly pricing (7+ days), the price is per week
-            if (tierStart >= 7) {
-                const weeks = days / 7;
-                return tierPrice * weeks;
-            }
+    // Variants sharing product-level stock count bookings against one pool
+    const stockPools = useMemo(() => buildStockPools(bikes), [bikes]);
 
-            // For daily pricing (< 7 days), price is total for the tier
-            return tierPrice;
-        }
+    const getAvailability = (bike, date) => getDayAvailability(bike, date, globalSettings, stockPools);
 
-        // Fallback to default price
-        const defaultTier = bike.pricing.find(p => p.days === 'default');
-        if (defaultTier) {
-            const defaultPrice = parseFloat(defaultTier.price);
-            // Assume default is daily rate
-            return defaultPrice * days;
-        }
+    // Earliest start with `duration` consecutive bookable days, looking past the visible grid
+    const nextWindows = usePerBikeMemo(
+        bikes,
+        stockPools,
+        bike => findNextWindow(bike, duration, globalSettings, stockPools),
+        [duration, globalSettings]
+    );
 
-        return 0;
-    };
+    // Group mode picks its dates like a trip range
+    const usesTripRange = filterMode === 'range' || filterMode === 'group';
+    const isRangeMode = usesTripRange && tripRange !== null;
+
+    // Rental length and price follow the trip range when one is selected
+    const getRentalLength = (bike) => isRangeMode
+        ? getRentalDays(bike, parseISO(tripRange.start), parseISO(tripRange.end))
+        : duration;
+
+    // Longer rentals that cost less, from the trip's pickup day or the bike's next window
+    // (a bike's window only changes along with the bike or its pool)
+    const cheaperRentals = usePerBikeMemo(
+        bikes,
+        stockPools,
+        bike => {
+            const start = isRangeMode ? parseISO(tripRange.start) : nextWindows[bike.variantId]?.start;
+            return start ? findCheaperLongerRental(bike, start, getRentalLength(bike), globalSettings, stockPools) : null;
+        },
+        [duration, isRangeMode, tripRange, globalSettings]
+    );
 
     const sortedBikes = useMemo(() => {
-        let filteredBikes = [...bikes];
+        // Attribute and price facets apply on top of every date filter
+        let filteredBikes = bikes.filter(bike => {
+            const length = getRentalLength(bike);
+            return matchesFacets(bike, facets, getPriceForDuration(bike, length) / length);
+        });
 
-        // Apply date filtering if any dates are selected
-        if (selectedDates.size > 0) {
+        if (isRangeMode) {
+            // Only bikes free for the whole trip under the booking rules
+            filteredBikes = filteredBikes.filter(bike =>
+                checkRental(bike, parseISO(tripRange.start), parseISO(tripRange.end), globalSettings, stockPools).bookable
+            );
+        } else if (filterMode === 'soonest') {
+            // Only bikes with a window for the selected duration, soonest first
+            filteredBikes = filteredBikes.filter(bike => nextWindows[bike.variantId]);
+        } else if (filterMode === 'days' && selectedDates.size > 0) {
+            // Check if bike can be picked up on ANY of the selected dates (OR logic)
             filteredBikes = filteredBikes.filter(bike => {
-                // Check if bike is available on ANY of the selected dates (OR logic)
                 return dates.some(date => {
                     const dateKey = format(date, 'yyyy-MM-dd');
                     if (!selectedDates.has(dateKey)) return false;
 
-                    const status = getStatus(bike, date);
-                    // Include bikes that are available or half-day available
-                    return status === 'available' || status === 'half';
+                    // A unit must be free at some point of the day (incl. partial, half-day, AM/PM only)
+                    // and the booking rules must allow a pickup that day
+                    return canPickUp(bike, date, globalSettings, stockPools);
                 });
             });
         }
 
+        // Bikes without a known window sort last either way
+        const windowStart = (bike) => nextWindows[bike.variantId]?.start.getTime() ?? Infinity;
+        const compareWindows = (a, b) => {
+            const startA = windowStart(a);
+            const startB = windowStart(b);
+            if (startA === startB) return a.name.localeCompare(b.name);
+            if (startA === Infinity || startB === Infinity) return startA === Infinity ? 1 : -1;
+            return sortOrder === 'desc' && filterMode !== 'soonest' ? startB - startA : startA - startB;
+        };
+
         // Apply sorting
         return filteredBikes.sort((a, b) => {
+            if (filterMode === 'soonest' || sortBy === 'window') {
+                return compareWindows(a, b);
+            }
             if (sortOrder === 'asc' || sortOrder === 'desc') {
-                const priceA = getPriceForDuration(a, duration);
-                const priceB = getPriceForDuration(b, duration);
+                const priceA = getPriceForDuration(a, getRentalLength(a));
+                const priceB = getPriceForDuration(b, getRentalLength(b));
                 return sortOrder === 'asc' ? priceA - priceB : priceB - priceA;
             }
             return a.name.localeCompare(b.name);
         });
-    }, [bikes, duration, sortOrder, selectedDates, dates]);
+    }, [bikes, globalSettings, duration, sortOrder, sortBy, selectedDates, filterMode, tripRange, dates, stockPools, nextWindows, facets]);
+
+    // Models with several variants collapse into one rollup row
+    const tableRows = useMemo(
+        () => getModelRows(bikes, sortedBikes, expandedModels),
+        [bikes, sortedBikes, expandedModels]
+    );
+
+    const toggleModel = (productId) => {
+        setExpandedModels(prev => {
+            const next = new Set(prev);
+            if (next.has(productId)) next.delete(productId);
+            else next.add(productId);
+            return next;
+        });
+    };
 
     const getStatusColor = (status) => {
         switch (status) {
@@ -122,18 +255,188 @@ const AvailabilityTable = ({ bikes, globalSettings, duration, sortOrder, onSortC
                 return 'bg-orange-500/20 hover:bg-orange-500/40';
             case 'half':
                 return 'bg-yellow-500/20 hover:bg-yellow-500/40';
+            case 'partial':
+                return 'bg-sky-500/20 hover:bg-sky-500/40';
+            case 'error':
+                return 'status-error';
             default:
                 return 'bg-slate-700/20 hover:bg-slate-700/40';
         }
     };
 
-    const toggleSort = () => {
+    const renderPrice = (bike) => {
+        const quote = quoteRentalPrice(bike.pricing, getRentalLength(bike));
+        const cheaper = cheaperRentals[bike.variantId];
+
+        return (
+            <div title={`${quote.explanation}\n$${quote.perDay.toFixed(2)}/day · $${quote.perWeek.toFixed(2)}/week`}>
+                <div className="text-sm font-bold text-emerald-400">
+                    ${quote.total.toFixed(2)}
+                </div>
+                <div className="text-[10px] text-slate-500 font-medium">
+                    Total for {quote.days} {quote.days === 1 ? 'day' : 'days'}
+                    {isRangeMode && ' (trip)'}
+                </div>
+                <div className="text-[10px] text-slate-600 font-medium">
+                    ${quote.perDay.toFixed(2)}/day
+                </div>
+                {cheaper && (
+                    <div
+                        className="mt-1 px-1 py-0.5 rounded border border-amber-500/30 bg-amber-500/10 text-[10px] text-amber-300 font-medium max-w-[150px]"
+                        title={`Pickup ${format(cheaper.start, 'PPPP')}\nReturn ${format(cheaper.end, 'PPPP')}\n${quoteRentalPrice(bike.pricing, cheaper.days).explanation}`}
+                    >
+                        Book {cheaper.days} days for ${cheaper.total.toFixed(2)} instead of {cheaper.requestedDays} for ${cheaper.requestedTotal.toFixed(2)}
+                    </div>
+                )}
+                <button
+                    onClick={() => setQuoteBike(bike)}
+                    className="flex items-center gap-1 mt-1 text-[10px] text-slate-500 hover:text-emerald-400 transition-colors"
+                    title="Full quote with add-ons, deposit and payment schedule"
+                >
+                    <Receipt size={10} />
+                    Quote
+                </button>
+            </div>
+        );
+    };
+
+    // Clicking the active sort column flips its order, another column starts ascending
+    const toggleSort = (column) => {
+        if (sortBy !== column && onSortByChange) {
+            onSortByChange(column);
+            onSortChange('asc');
+            return;
+        }
         onSortChange(sortOrder === 'asc' ? 'desc' : 'asc');
     };
 
+    const renderNextWindow = (bike) => {
+        if (bike.error) {
+            return <span className="text-[10px] text-slate-500">Unknown (sync failed)</span>;
+        }
+        if (bike.isLoading || !bike.bookings) {
+            return <span className="text-[10px] text-slate-600 animate-pulse">Searching…</span>;
+        }
+
+        const nextWindow = nextWindows[bike.variantId];
+        if (!nextWindow) {
+            return <span className="text-[10px] text-red-300">None within {MAX_WINDOW_SEARCH_DAYS} days</span>;
+        }
+
+        const daysAway = differenceInCalendarDays(nextWindow.start, getShopToday());
+        return (
+            <div title={`Pickup ${format(nextWindow.start, 'PPPP')}\nReturn ${format(nextWindow.end, 'PPPP')}`}>
+                <div className="text-sm font-bold text-white">{format(nextWindow.start, 'EEE d MMM')}</div>
+                <div className="text-[10px] text-slate-500 font-medium">
+                    {daysAway === 0 ? 'Today' : `In ${daysAway} ${daysAway === 1 ? 'day' : 'days'}`} · until {format(nextWindow.end, 'd MMM')}
+                </div>
+            </div>
+        );
+    };
+
+    const renderModelRow = (model) => {
+        const isExpanded = expandedModels.has(model.productId);
+        const prices = model.units.map(bike => getPriceForDuration(bike, getRentalLength(bike)));
+        const minPrice = Math.min(...prices);
+        const maxPrice = Math.max(...prices);
+        const imageUrl = model.units.find(bike => bike.imageUrl)?.imageUrl;
+        // The model's window is the earliest any of its units can do
+        const soonestUnit = model.units
+            .filter(bike => nextWindows[bike.variantId])
+            .sort((a, b) => nextWindows[a.variantId].start - nextWindows[b.variantId].start)[0] || model.units[0];
+
+        return (
+            <tr key={`model-${model.productId}`} className="hover:bg-white/5 group border-b border-white/5 last:border-0 bg-slate-900/30">
+                <td className="sticky left-0 z-20 bg-slate-950/90 backdrop-blur-md p-4 border-r border-white/10 group-hover:bg-slate-900/95 transition-colors">
+                    <button onClick={() => toggleModel(model.productId)} className="flex items-center gap-4 text-left w-full">
+                        <ChevronRight size={14} className={clsx("text-slate-500 flex-shrink-0 transition-transform", isExpanded && "rotate-90")} />
+                        {imageUrl && (
+                            <div className="w-12 h-12 rounded-lg overflow-hidden flex-shrink-0 border border-white/10 bg-slate-900">
+                                <img src={imageUrl} alt={model.name} className="w-full h-full object-cover" />
+                            </div>
+                        )}
+                        <div>
+                            <div className="font-bold text-sm truncate max-w-[150px]">{model.name}</div>
+                            <div className="text-[10px] text-slate-500 mt-1">
+                                {model.units.length} variants
+                                {model.bikes.length < model.units.length && ` · ${model.bikes.length} match`}
+                            </div>
+                        </div>
+                    </button>
+                </td>
+                <td className="sticky left-[250px] z-20 bg-slate-950/90 backdrop-blur-md p-4 border-r border-white/10 group-hover:bg-slate-900/95 transition-colors">
+                    <div className="text-sm font-bold text-emerald-400">
+                        ${minPrice.toFixed(2)}{maxPrice > minPrice && `–$${maxPrice.toFixed(2)}`}
+                    </div>
+                    <div className="text-[10px] text-slate-500 font-medium">
+                        Per unit, {getRentalLength(model.units[0])} {getRentalLength(model.units[0]) === 1 ? 'day' : 'days'}
+                    </div>
+                </td>
+                <td className="p-4 border-r border-white/10">
+                    {renderNextWindow(soonestUnit)}
+                </td>
+                {dates.map((date, index) => {
+                    const { status, free, capacity, unknownUnits } = getModelDayAvailability(model.units, date, globalSettings, stockPools);
+                    const label = free === null ? null : `${free} of ${capacity} units free`;
+
+                    return (
+                        <td
+                            key={date.toISOString()}
+                            className={clsx("p-0 border-r border-white/5", isMonthStart(date, index) && "border-l border-white/20")}
+                        >
+                            <div
+                                className={clsx("w-full h-10 relative flex items-center justify-center cursor-help", getStatusColor(status))}
+                                title={[
+                                    model.name,
+                                    format(date, 'PPPP'),
+                                    `Status: ${STATUS_LABELS[status] || status}`,
+                                    label,
+                                    unknownUnits > 0 && `${unknownUnits} ${unknownUnits === 1 ? 'unit' : 'units'} unknown (sync failed)`
+                                ].filter(Boolean).join('\n')}
+                            >
+                                {free !== null && status !== 'closed' && (
+                                    <span className="text-[10px] font-bold text-slate-200">{free}/{capacity}</span>
+                                )}
+                            </div>
+                        </td>
+                    );
+                })}
+            </tr>
+        );
+    };
+
+    // Exports cover the bikes and days currently shown
+    const handleExport = (kind) => {
+        const stamp = format(dates[0], 'yyyy-MM-dd');
+
+        if (kind === 'ics') {
+            downloadFile(
+                `xpertmoto-fleet-${stamp}.ics`,
+                buildCalendar(sortedBikes, dates, { name: 'Xpert Moto fleet', globalSettings, stockPools, timeZone: getShopTimeZone() }),
+                'text/calendar'
+            );
+            return;
+        }
+
+        const rows = buildExportRows(sortedBikes, dates, { globalSettings, stockPools, getRentalLength });
+        if (kind === 'xlsx') {
+            downloadFile(`xpertmoto-availability-${stamp}.xlsx`, toXlsx(rows), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        } else {
+            downloadFile(`xpertmoto-availability-${stamp}.csv`, toCsv(rows), 'text/csv');
+        }
+    };
+
+    const downloadBikeCalendar = (bike) => {
+        downloadFile(
+            `${bike.handle.replace(/-rental$/, '')}-${format(dates[0], 'yyyy-MM-dd')}.ics`,
+            buildCalendar([bike], dates, { name: bike.name, globalSettings, stockPools, timeZone: getShopTimeZone() }),
+            'text/calendar'
+        );
+    };
+
     const toggleDateFilter = (date) => {
         const dateKey = format(date, 'yyyy-MM-dd');
-        setSelectedDates(prev => {
+        onSelectedDatesChange(prev => {
             const newSet = new Set(prev);
             if (newSet.has(dateKey)) {
                 newSet.delete(dateKey);
@@ -144,46 +447,181 @@ const AvailabilityTable = ({ bikes, globalSettings, duration, sortOrder, onSortC
         });
     };
 
+    // Range mode: press on a header to start the trip, drag to its return day
+    const startRangeDrag = (date) => {
+        const dateKey = format(date, 'yyyy-MM-dd');
+        setDragStart(dateKey);
+        onTripRangeChange({ start: dateKey, end: dateKey });
+    };
+
+    const extendRangeDrag = (date) => {
+        if (!dragStart) return;
+        const dateKey = format(date, 'yyyy-MM-dd');
+        onTripRangeChange(dateKey < dragStart ? { start: dateKey, end: dragStart } : { start: dragStart, end: dateKey });
+    };
+
+    const isInTripRange = (dateKey) => isRangeMode && dateKey >= tripRange.start && dateKey <= tripRange.end;
+
+    // Star a bike for the selected trip so the watchlist reports when it changes
+    const renderWatchButton = (bike) => {
+        const isWatched = watchedIds.has(createWatch(bike, tripRange.start, tripRange.end).id);
+        return (
+            <button
+                onClick={() => onToggleWatch(bike, tripRange.start, tripRange.end)}
+                className={clsx(
+                    "flex items-center gap-1 px-1 py-0.5 rounded border transition-colors",
+                    isWatched
+                        ? "border-amber-500/30 bg-amber-500/10 text-amber-300"
+                        : "border-white/10 bg-white/5 hover:text-white"
+                )}
+                title={isWatched ? 'Stop watching this trip' : 'Watch this trip and get notified if it gets booked'}
+                aria-pressed={isWatched}
+            >
+                <Star size={10} className={isWatched ? "fill-amber-300" : undefined} />
+                {isWatched ? 'Watching' : 'Watch'}
+            </button>
+        );
+    };
+
     return (
         <div className="glass-card overflow-hidden">
+            <FacetFilterBar
+                bikes={bikes}
+                facets={facets}
+                onFacetsChange={onFacetsChange}
+                matchCount={sortedBikes.length}
+                total={bikes.length}
+            />
+            <TripRangeBar
+                mode={filterMode}
+                onModeChange={onFilterModeChange}
+                range={tripRange}
+                onRangeChange={onTripRangeChange}
+                minDate={format(getShopToday(), 'yyyy-MM-dd')}
+                matchCount={sortedBikes.length}
+                total={bikes.length}
+                duration={duration}
+                soonest={filterMode === 'soonest' && sortedBikes[0]
+                    ? { bike: sortedBikes[0], ...nextWindows[sortedBikes[0].variantId] }
+                    : null}
+            />
+            {filterMode === 'group' && (
+                <GroupFinderPanel
+                    bikes={sortedBikes}
+                    range={tripRange}
+                    groupSize={groupSize}
+                    onGroupSizeChange={onGroupSizeChange}
+                    globalSettings={globalSettings}
+                    stockPools={stockPools}
+                />
+            )}
+            <HorizonBar
+                start={dates[0]}
+                days={days}
+                onStartChange={onStartDateChange}
+                onDaysChange={onDaysChange}
+            >
+                <button
+                    onClick={() => setShowAnalytics(show => !show)}
+                    className={clsx(
+                        "flex items-center gap-1.5 px-3 py-1.5 rounded-lg border border-white/10 font-semibold transition-colors",
+                        showAnalytics ? "bg-white/10 text-white" : "text-slate-400 hover:text-white"
+                    )}
+                    aria-pressed={showAnalytics}
+                    title="Occupancy, weekday heatmap, busiest dates and estimated revenue for the bikes and days shown"
+                >
+                    <BarChart3 size={12} />
+                    Analytics
+                </button>
+                <ExportMenu onExport={handleExport} rowCount={sortedBikes.length} />
+            </HorizonBar>
+            {showAnalytics && (
+                <AnalyticsPanel bikes={sortedBikes} dates={dates} globalSettings={globalSettings} stockPools={stockPools} />
+            )}
             <div className="overflow-x-auto">
                 <table className="w-full border-collapse">
                     <thead>
                         <tr className="bg-slate-900/50">
-                            <th className="sticky left-0 z-20 bg-slate-900 p-4 text-left border-r border-white/10 min-w-[250px]">
+                            <th rowSpan={2} className="sticky left-0 z-20 bg-slate-900 p-4 text-left border-r border-white/10 min-w-[250px]">
                                 <div className="flex items-center gap-2 text-slate-400 font-medium text-xs uppercase tracking-wider">
                                     <Bike size={14} />
                                     Motorcycle
                                 </div>
                             </th>
-                            <th className="sticky left-[250px] z-20 bg-slate-900 p-4 text-left border-r border-white/10 min-w-[120px]">
+                            <th rowSpan={2} className="sticky left-[250px] z-20 bg-slate-900 p-4 text-left border-r border-white/10 min-w-[120px]">
                                 <button
-                                    onClick={toggleSort}
-                                    className="flex items-center gap-2 text-slate-400 font-medium text-xs uppercase tracking-wider hover:text-white transition-colors"
+                                    onClick={() => toggleSort('price')}
+                                    className={clsx(
+                                        "flex items-center gap-2 font-medium text-xs uppercase tracking-wider hover:text-white transition-colors",
+                                        sortBy === 'price' ? "text-slate-300" : "text-slate-500"
+                                    )}
                                 >
                                     Pricing
-                                    <TrendingUp size={14} className={clsx(sortOrder === 'desc' && "rotate-180", "transition-transform")} />
+                                    <TrendingUp size={14} className={clsx(sortBy === 'price' && sortOrder === 'desc' && "rotate-180", "transition-transform")} />
                                 </button>
                             </th>
-                            {dates.map((date) => {
+                            <th rowSpan={2} className="p-4 text-left border-r border-white/10 min-w-[130px]">
+                                <button
+                                    onClick={() => toggleSort('window')}
+                                    className={clsx(
+                                        "flex items-center gap-2 font-medium text-xs uppercase tracking-wider hover:text-white transition-colors text-left",
+                                        sortBy === 'window' ? "text-slate-300" : "text-slate-500"
+                                    )}
+                                    title={`Earliest pickup with ${duration} consecutive bookable ${duration === 1 ? 'day' : 'days'}`}
+                                >
+                                    Next {duration}-day window
+                                    <Clock size={14} className={clsx(sortBy === 'window' && sortOrder === 'desc' && "rotate-180", "transition-transform")} />
+                                </button>
+                            </th>
+                            {monthSpans.map(({ key, label, span }, index) => (
+                                <th
+                                    key={key}
+                                    colSpan={span}
+                                    className={clsx(
+                                        "px-2 py-1.5 text-left text-[10px] font-bold uppercase tracking-widest text-slate-400 border-b border-white/5",
+                                        index > 0 && "border-l border-white/20"
+                                    )}
+                                >
+                                    {span > 2 && label}
+                                </th>
+                            ))}
+                        </tr>
+                        <tr className="bg-slate-900/50">
+                            {dates.map((date, index) => {
                                 const dateKey = format(date, 'yyyy-MM-dd');
-                                const isSelected = selectedDates.has(dateKey);
+                                const isSelected = usesTripRange ? isInTripRange(dateKey) : filterMode === 'days' && selectedDates.has(dateKey);
                                 return (
-                                    <th key={date.toISOString()} className="p-0 border-r border-white/5 min-w-[50px]">
+                                    <th
+                                        key={date.toISOString()}
+                                        className={clsx(
+                                            "p-0 border-r border-white/5",
+                                            isCompact ? "min-w-[36px]" : "min-w-[50px]",
+                                            isMonthStart(date, index) && "border-l border-white/20"
+                                        )}
+                                    >
                                         <button
-                                            onClick={() => toggleDateFilter(date)}
+                                            {...(usesTripRange
+                                                ? {
+                                                    onMouseDown: () => startRangeDrag(date),
+                                                    onMouseEnter: () => extendRangeDrag(date),
+                                                    title: 'Drag to select the trip from pickup to return'
+                                                }
+                                                : {
+                                                    onClick: () => toggleDateFilter(date),
+                                                    title: isSelected ? "Click to deselect filter" : "Click to filter by this date"
+                                                })}
                                             className={clsx(
-                                                "w-full p-2 text-center transition-colors duration-200",
+                                                "w-full text-center transition-colors duration-200 select-none",
+                                                isCompact ? "px-0.5 py-2" : "p-2",
                                                 isSelected
                                                     ? "bg-emerald-500/20 hover:bg-emerald-500/30"
                                                     : "hover:bg-white/5"
                                             )}
-                                            title={isSelected ? "Click to deselect filter" : "Click to filter by this date"}
                                         >
                                             <div className={clsx(
                                                 "text-[10px] font-bold uppercase",
                                                 isSelected ? "text-emerald-400" : "text-slate-500"
-                                            )}>{format(date, 'EEE')}</div>
+                                            )}>{format(date, isCompact ? 'EEEEE' : 'EEE')}</div>
                                             <div className={clsx(
                                                 "text-sm font-bold",
                                                 isSelected ? "text-emerald-300" : "text-white"
@@ -195,9 +633,12 @@ const AvailabilityTable = ({ bikes, globalSettings, duration, sortOrder, onSortC
                         </tr>
                     </thead>
                     <tbody>
-                        {sortedBikes.map((bike) => (
+                        {tableRows.map(({ model, bike, isNested }) => model ? renderModelRow(model) : (
                             <tr key={bike.variantId} className="hover:bg-white/5 group border-b border-white/5 last:border-0">
-                                <td className="sticky left-0 z-20 bg-slate-950/90 backdrop-blur-md p-4 border-r border-white/10 group-hover:bg-slate-900/95 transition-colors">
+                                <td className={clsx(
+                                    "sticky left-0 z-20 bg-slate-950/90 backdrop-blur-md p-4 border-r border-white/10 group-hover:bg-slate-900/95 transition-colors",
+                                    isNested && "pl-12"
+                                )}>
                                     <div className="flex items-center gap-4">
                                         {bike.imageUrl && (
                                             <div className="w-12 h-12 rounded-lg overflow-hidden flex-shrink-0 border border-white/10 bg-slate-900">
@@ -218,29 +659,76 @@ const AvailabilityTable = ({ bikes, globalSettings, duration, sortOrder, onSortC
                                             >
                                                 {bike.name}
                                             </a>
+                                            <div className="text-[10px] text-slate-400 mt-0.5">
+                                                {bike.attributes.brand}
+                                                {bike.attributes.cc !== null && ` · ${bike.attributes.cc}cc`}
+                                                <span className="capitalize"> · {bike.attributes.style}</span>
+                                                {bike.attributes.lams && (
+                                                    <span className="ml-1.5 px-1 rounded border border-emerald-500/30 bg-emerald-500/10 text-emerald-300 font-bold">LAMS</span>
+                                                )}
+                                            </div>
                                             <div className="text-[10px] text-slate-500 mt-1 flex items-center gap-2">
                                                 <span className="px-1 py-0.5 rounded border border-white/10 bg-white/5 font-mono">ID: {bike.variantId.slice(-4)}</span>
+                                                {bike.isStale && bike.bookingsUpdatedAt && (
+                                                    <span
+                                                        className="px-1 py-0.5 rounded border border-amber-500/30 bg-amber-500/10 text-amber-300"
+                                                        title={bike.refreshError
+                                                            ? `Re-sync failed: ${bike.refreshError.message}\nShowing bookings synced at ${new Date(bike.bookingsUpdatedAt).toLocaleString()}`
+                                                            : `Bookings cached at ${new Date(bike.bookingsUpdatedAt).toLocaleString()}`}
+                                                    >
+                                                        {bike.refreshError ? 'Re-sync failed, showing' : 'Cached'} {formatDistanceToNow(new Date(bike.bookingsUpdatedAt))} ago
+                                                    </span>
+                                                )}
+                                                {bike.bookings && !bike.error && (
+                                                    <button
+                                                        onClick={() => downloadBikeCalendar(bike)}
+                                                        className="flex items-center gap-1 px-1 py-0.5 rounded border border-white/10 bg-white/5 hover:text-white transition-colors"
+                                                        title="Download free windows and bookings as a calendar (.ics)"
+                                                    >
+                                                        <CalendarPlus size={10} />
+                                                        .ics
+                                                    </button>
+                                                )}
+                                                {isRangeMode && onToggleWatch && renderWatchButton(bike)}
+                                                {(bike.error || bike.refreshError) && onRetryBike && (
+                                                    <button
+                                                        onClick={() => onRetryBike(bike)}
+                                                        className="flex items-center gap-1 px-1 py-0.5 rounded border border-red-500/30 bg-red-500/10 text-red-300 hover:bg-red-500/20 transition-colors"
+                                                        title={`Sync failed: ${(bike.error || bike.refreshError).message}\nClick to retry`}
+                                                    >
+                                                        <RotateCcw size={10} />
+                                                        Retry
+                                                    </button>
+                                                )}
                                             </div>
                                         </div>
                                     </div>
                                 </td>
                                 <td className="sticky left-[250px] z-20 bg-slate-950/90 backdrop-blur-md p-4 border-r border-white/10 group-hover:bg-slate-900/95 transition-colors">
-                                    <div className="text-sm font-bold text-emerald-400">
-                                        ${getPriceForDuration(bike, duration).toFixed(2)}
-                                    </div>
-                                    <div className="text-[10px] text-slate-500 font-medium">
-                                        Total for {duration} {duration === 1 ? 'day' : 'days'}
-                                    </div>
+                                    {renderPrice(bike)}
+                                </td>
+                                <td className="p-4 border-r border-white/10">
+                                    {renderNextWindow(bike)}
                                 </td>
-                                {dates.map((date) => {
-                                    const status = getStatus(bike, date);
+                                {dates.map((date, index) => {
+                                    const { status, free, capacity, halves, closedReason, pickupReasons, returnReasons, pickupSlots, returnSlots } = getAvailability(bike, date);
                                     const isLoading = status === 'loading';
+                                    const unitsLabel = free !== null && capacity > 1 ? `${free}/${capacity} free` : null;
+                                    // Split the cell into morning (top) and afternoon (bottom) when they differ
+                                    const isSplit = halves && status !== 'half' && halves.am.status !== halves.pm.status;
+                                    const dateKey = format(date, 'yyyy-MM-dd');
+                                    // Set for a few seconds after a background sync changed this day
+                                    const change = highlightedCells.get(`${bike.variantId}:${dateKey}`);
 
                                     return (
                                         <td
                                             key={date.toISOString()}
                                             className={clsx(
                                                 "p-0 border-r border-white/5",
+                                                isMonthStart(date, index) && "border-l border-white/20",
+                                                change === 'booked' && "ring-2 ring-inset ring-red-400 animate-pulse",
+                                                change === 'freed' && "ring-2 ring-inset ring-emerald-400 animate-pulse",
+                                                !change && isInTripRange(dateKey) && "ring-1 ring-inset ring-emerald-500/40"
                                             )}
                                         >
                                             {isLoading ? (
@@ -255,11 +743,30 @@ const AvailabilityTable = ({ bikes, globalSettings, duration, sortOrder, onSortC
                                             ) : (
                                                 <div
                                                     className={clsx(
-                                                        "w-full h-10 transition-colors duration-200 cursor-help",
-                                                        getStatusColor(status)
+                                                        "w-full h-10 transition-colors duration-200 cursor-help relative flex flex-col",
+                                                        !isSplit && getStatusColor(status)
                                                     )}
-                                                    title={`${bike.name}\n${format(date, 'PPPP')}\nStatus: ${status.replace(/^\w/, c => c.toUpperCase())}`}
-                                                />
+                                                    title={status === 'error'
+                                                        ? `${bike.name}\n${format(date, 'PPPP')}\nStatus: Unknown (sync failed: ${bike.error.message})`
+                                                        : [
+                                                            bike.name,
+                                                            format(date, 'PPPP'),
+                                                            `Status: ${STATUS_LABELS[status] || status}${closedReason ? ` (${closedReason})` : ''}`,
+                                                            unitsLabel,
+                                                            `Pickup: ${pickupReasons.length > 0 ? pickupReasons.join('; ') : pickupSlots.length > 0 ? pickupSlots.join(', ') : 'none'}`,
+                                                            `Return: ${returnReasons.length > 0 ? returnReasons.join('; ') : returnSlots.length > 0 ? returnSlots.join(', ') : 'none'}`
+                                                        ].filter(Boolean).join('\n')}
+                                                >
+                                                    {isSplit && (
+                                                        <>
+                                                            <div className={clsx("flex-1", getStatusColor(halves.am.status))} />
+                                                            <div className={clsx("flex-1 border-t border-slate-950/60", getStatusColor(halves.pm.status))} />
+                                                        </>
+                                                    )}
+                                                    {status === 'partial' && (
+                                                        <span className="absolute inset-0 flex items-center justify-center text-[10px] font-bold text-sky-300">{free}/{capacity}</span>
+                                                    )}
+                                                </div>
                                             )}
                                         </td>
                                     );
@@ -270,12 +777,26 @@ const AvailabilityTable = ({ bikes, globalSettings, duration, sortOrder, onSortC
                 </table>
             </div>
 
+            {quoteBike && (
+                <QuoteDialog
+                    bike={quoteBike}
+                    days={getRentalLength(quoteBike)}
+                    start={isRangeMode ? parseISO(tripRange.start) : null}
+                    addonPrices={addonPrices}
+                    onClose={() => setQuoteBike(null)}
+                />
+            )}
+
             {/* Legend */}
             <div className="p-6 bg-slate-900/50 border-t border-white/10 flex flex-wrap gap-8 items-center justify-center sm:justify-start">
                 <div className="flex items-center gap-3">
                     <div className="w-4 h-4 rounded status-available ring-1 ring-white/10 shadow-lg shadow-emerald-500/10"></div>
                     <span className="text-xs font-semibold text-slate-400 uppercase tracking-wider">Available</span>
                 </div>
+                <div className="flex items-center gap-3">
+                    <div className="w-4 h-4 rounded status-partial ring-1 ring-white/10 shadow-lg shadow-sky-500/10"></div>
+                    <span className="text-xs font-semibold text-slate-400 uppercase tracking-wider">Partially Booked (units free)</span>
+                </div>
                 <div className="flex items-center gap-3">
                     <div className="w-4 h-4 rounded status-booked ring-1 ring-white/10 shadow-lg shadow-red-500/10"></div>
                     <span className="text-xs font-semibold text-slate-400 uppercase tracking-wider">Booked</span>
@@ -288,6 +809,17 @@ const AvailabilityTable = ({ bikes, globalSettings, duration, sortOrder, onSortC
                     <div className="w-4 h-4 rounded status-half ring-1 ring-white/10 shadow-lg shadow-yellow-500/10"></div>
                     <span className="text-xs font-semibold text-slate-400 uppercase tracking-wider">Half Day</span>
                 </div>
+                <div className="flex items-center gap-3">
+                    <div className="w-4 h-4 rounded overflow-hidden flex flex-col ring-1 ring-white/10">
+                        <div className="flex-1 status-booked"></div>
+                        <div className="flex-1 status-available"></div>
+                    </div>
+                    <span className="text-xs font-semibold text-slate-400 uppercase tracking-wider">AM / PM Split (e.g. Returned in the Morning)</span>
+                </div>
+                <div className="flex items-center gap-3">
+                    <div className="w-4 h-4 rounded status-error ring-1 ring-white/10"></div>
+                    <span className="text-xs font-semibold text-slate-400 uppercase tracking-wider">Unknown (Sync Failed)</span>
+                </div>
             </div>
         </div>
     );
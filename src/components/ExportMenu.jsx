@@ -0,0 +1,63 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Download, FileSpreadsheet, FileText, CalendarDays } from 'lucide-react';
+
+const EXPORT_OPTIONS = [
+    { kind: 'csv', label: 'Grid as CSV', icon: FileText },
+    { kind: 'xlsx', label: 'Grid as Excel (.xlsx)', icon: FileSpreadsheet },
+    { kind: 'ics', label: 'Fleet calendar (.ics)', icon: CalendarDays }
+];
+
+/**
+ * Dropdown offering the grid and calendar downloads
+ */
+const ExportMenu = ({ onExport, rowCount }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const menuRef = useRef(null);
+
+    // Close when clicking anywhere else
+    useEffect(() => {
+        if (!isOpen) return;
+
+        const handleMouseDown = (e) => {
+            if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+        };
+        window.addEventListener('mousedown', handleMouseDown);
+        return () => window.removeEventListener('mousedown', handleMouseDown);
+    }, [isOpen]);
+
+    return (
+        <div ref={menuRef} className="relative">
+            <button
+                onClick={() => setIsOpen(open => !open)}
+                className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg border border-white/10 font-semibold text-slate-400 hover:text-white transition-colors"
+                aria-expanded={isOpen}
+            >
+                <Download size={12} />
+                Export
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 top-full mt-1 z-30 w-56 glass-card bg-slate-900 py-1 shadow-xl">
+                    {EXPORT_OPTIONS.map(({ kind, label, icon: Icon }) => (
+                        <button
+                            key={kind}
+                            onClick={() => {
+                                setIsOpen(false);
+                                onExport(kind);
+                            }}
+                            className="flex items-center gap-2 w-full px-3 py-2 text-left text-slate-300 hover:bg-white/5 hover:text-white transition-colors"
+                        >
+                            <Icon size={12} />
+                            {label}
+                        </button>
+                    ))}
+                    <div className="px-3 pt-1 pb-2 text-[10px] text-slate-500">
+                        {rowCount} {rowCount === 1 ? 'bike' : 'bikes'} as currently filtered
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ExportMenu;
@@ -0,0 +1,117 @@
+import React, { useMemo } from 'react';
+import { clsx } from 'clsx';
+import { SlidersHorizontal, X } from 'lucide-react';
+import { BIKE_STYLES, EMPTY_FACETS, ENGINE_CLASSES, hasActiveFacets } from '../utils/bikeAttributes';
+
+const Chip = ({ active, onClick, children }) => (
+    <button
+        onClick={onClick}
+        className={clsx(
+            "px-2 py-1 rounded border font-semibold transition-colors",
+            active
+                ? "border-emerald-500/40 bg-emerald-500/15 text-emerald-300"
+                : "border-white/10 text-slate-400 hover:text-white"
+        )}
+    >
+        {children}
+    </button>
+);
+
+/**
+ * Filter bar for the bike attributes (brand, style, engine size, LAMS) and the
+ * daily price; combines with the date filters of TripRangeBar
+ */
+const FacetFilterBar = ({ bikes, facets, onFacetsChange, matchCount, total }) => {
+    const brands = useMemo(
+        () => [...new Set(bikes.map(bike => bike.attributes.brand))].sort(),
+        [bikes]
+    );
+
+    const toggle = (key, value) => {
+        const values = facets[key].includes(value)
+            ? facets[key].filter(v => v !== value)
+            : [...facets[key], value];
+        onFacetsChange({ ...facets, [key]: values });
+    };
+
+    const setPrice = (key, value) => {
+        const number = parseFloat(value);
+        onFacetsChange({ ...facets, [key]: value === '' || Number.isNaN(number) ? null : number });
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-x-6 gap-y-3 px-4 py-3 bg-slate-900/30 border-b border-white/10 text-xs">
+            <SlidersHorizontal size={14} className="text-slate-500" />
+
+            <div className="flex flex-wrap items-center gap-1.5">
+                {brands.map(brand => (
+                    <Chip key={brand} active={facets.brands.includes(brand)} onClick={() => toggle('brands', brand)}>
+                        {brand}
+                    </Chip>
+                ))}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-1.5">
+                {BIKE_STYLES.map(style => (
+                    <Chip key={style} active={facets.styles.includes(style)} onClick={() => toggle('styles', style)}>
+                        <span className="capitalize">{style}</span>
+                    </Chip>
+                ))}
+            </div>
+
+            <div className="flex flex-wrap items-center gap-1.5">
+                {ENGINE_CLASSES.map(engineClass => (
+                    <Chip
+                        key={engineClass.id}
+                        active={facets.engineClasses.includes(engineClass.id)}
+                        onClick={() => toggle('engineClasses', engineClass.id)}
+                    >
+                        {engineClass.label}
+                    </Chip>
+                ))}
+            </div>
+
+            <Chip active={facets.lamsOnly} onClick={() => onFacetsChange({ ...facets, lamsOnly: !facets.lamsOnly })}>
+                LAMS only
+            </Chip>
+
+            <div className="flex items-center gap-2 text-slate-400">
+                $/day
+                <input
+                    type="number"
+                    min="0"
+                    placeholder="min"
+                    aria-label="Minimum price per day"
+                    value={facets.minPricePerDay ?? ''}
+                    onChange={(e) => setPrice('minPricePerDay', e.target.value)}
+                    className="w-16 bg-slate-900 border border-white/10 rounded px-2 py-1 text-white"
+                />
+                –
+                <input
+                    type="number"
+                    min="0"
+                    placeholder="max"
+                    aria-label="Maximum price per day"
+                    value={facets.maxPricePerDay ?? ''}
+                    onChange={(e) => setPrice('maxPricePerDay', e.target.value)}
+                    className="w-16 bg-slate-900 border border-white/10 rounded px-2 py-1 text-white"
+                />
+            </div>
+
+            {hasActiveFacets(facets) && (
+                <>
+                    <span className="text-slate-500">{matchCount} of {total} bikes match</span>
+                    <button
+                        onClick={() => onFacetsChange(EMPTY_FACETS)}
+                        className="flex items-center gap-1 text-slate-500 hover:text-white transition-colors"
+                    >
+                        <X size={12} />
+                        Clear filters
+                    </button>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default FacetFilterBar;
@@ -0,0 +1,151 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { parseISO } from 'date-fns';
+import { Users } from 'lucide-react';
+import { ENGINE_CLASSES } from '../utils/bikeAttributes';
+import { MAX_GROUP_SIZE, MIN_GROUP_SIZE, findGroupRentals } from '../utils/groupFinder';
+
+const ANY_RIDER = { engineClass: null, budget: null };
+
+const formatMoney = (amount) => `$${Math.round(amount).toLocaleString()}`;
+
+/**
+ * Group mode: the cheapest sets of bikes free together for the chosen trip,
+ * one per rider, with optional engine size and budget limits per rider
+ */
+const GroupFinderPanel = ({ bikes, range, groupSize, onGroupSizeChange, globalSettings, stockPools }) => {
+    const [constraints, setConstraints] = useState([]); // Per-rider limits, kept when the group shrinks
+    const riders = useMemo(
+        () => Array.from({ length: groupSize }, (_, i) => constraints[i] || ANY_RIDER),
+        [constraints, groupSize]
+    );
+
+    const setRider = (index, patch) => {
+        setConstraints(prev => {
+            const next = Array.from({ length: Math.max(prev.length, index + 1) }, (_, i) => prev[i] || ANY_RIDER);
+            next[index] = { ...next[index], ...patch };
+            return next;
+        });
+    };
+
+    // The field keeps what is typed ("1" on the way to "10") and is clamped when it loses focus
+    const [sizeInput, setSizeInput] = useState(String(groupSize));
+    useEffect(() => setSizeInput(String(groupSize)), [groupSize]);
+
+    const handleSizeBlur = () => {
+        const size = parseInt(sizeInput);
+        if (Number.isNaN(size)) {
+            setSizeInput(String(groupSize));
+            return;
+        }
+        const clamped = Math.min(Math.max(size, MIN_GROUP_SIZE), MAX_GROUP_SIZE);
+        setSizeInput(String(clamped));
+        onGroupSizeChange(clamped);
+    };
+
+    const result = useMemo(
+        () => range
+            ? findGroupRentals(bikes, { riders, start: parseISO(range.start), end: parseISO(range.end) }, globalSettings, stockPools)
+            : null,
+        [bikes, range, riders, globalSettings, stockPools]
+    );
+
+    return (
+        <div className="px-4 py-4 border-b border-white/10 bg-slate-900/30 text-xs space-y-4">
+            <div className="flex flex-wrap items-start gap-6">
+                <label className="flex items-center gap-2 font-bold text-sm">
+                    <Users size={14} className="text-slate-400" />
+                    Riders
+                    <input
+                        type="number"
+                        min={MIN_GROUP_SIZE}
+                        max={MAX_GROUP_SIZE}
+                        value={sizeInput}
+                        onChange={(e) => setSizeInput(e.target.value)}
+                        onBlur={handleSizeBlur}
+                        onKeyDown={(e) => e.key === 'Enter' && handleSizeBlur()}
+                        className="w-14 bg-slate-900 border border-white/10 rounded px-2 py-1 text-white text-xs"
+                    />
+                </label>
+
+                <div className="grid gap-1 sm:grid-cols-2 xl:grid-cols-3">
+                    {riders.map((rider, index) => (
+                        <div key={index} className="flex items-center gap-2 text-slate-400">
+                            <span className="w-14 font-semibold">Rider {index + 1}</span>
+                            <select
+                                value={rider.engineClass || ''}
+                                onChange={(e) => setRider(index, { engineClass: e.target.value || null })}
+                                aria-label={`Rider ${index + 1} engine size`}
+                                className="bg-slate-900 border border-white/10 rounded px-2 py-1 text-white"
+                            >
+                                <option value="">Any engine</option>
+                                {ENGINE_CLASSES.map(option => (
+                                    <option key={option.id} value={option.id}>{option.label}</option>
+                                ))}
+                            </select>
+                            <input
+                                type="number"
+                                min="0"
+                                placeholder="budget $"
+                                aria-label={`Rider ${index + 1} budget for the trip`}
+                                value={rider.budget ?? ''}
+                                onChange={(e) => setRider(index, { budget: e.target.value === '' ? null : Number(e.target.value) })}
+                                className="w-20 bg-slate-900 border border-white/10 rounded px-2 py-1 text-white"
+                            />
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {result?.truncated && result.sets.length > 0 && (
+                <p className="text-amber-300">
+                    Too many combinations to check them all: showing the cheapest sets found before the search stopped. Add engine or budget limits to narrow it down.
+                </p>
+            )}
+
+            {!result ? (
+                <p className="text-slate-500">Pick the trip dates to find bikes for the whole group.</p>
+            ) : result.sets.length === 0 ? (
+                <p className="text-slate-500">
+                    {result.truncated
+                        ? `Too many combinations to check them all: no set of ${groupSize} bikes was found before the search stopped. Add engine or budget limits to narrow it down.`
+                        : <>
+                            No set of {groupSize} bikes is free together for these dates
+                            {result.candidates > 0 && ` (${result.candidates} ${result.candidates === 1 ? 'bike is' : 'bikes are'} free, but not enough to fit every rider)`}.
+                        </>}
+                </p>
+            ) : (
+                <ol className="grid gap-3 md:grid-cols-2 xl:grid-cols-3">
+                    {result.sets.map((set, setIndex) => (
+                        <li key={set.picks.map(pick => pick.bike.variantId).join(',')} className="p-3 rounded border border-white/5">
+                            <div className="flex items-baseline justify-between mb-2">
+                                <span className="font-bold uppercase tracking-wider text-slate-500">
+                                    {setIndex === 0 && !result.truncated ? 'Cheapest' : `Option ${setIndex + 1}`}
+                                </span>
+                                <span className="text-lg font-black">{formatMoney(set.total)}</span>
+                            </div>
+                            <ul className="space-y-1">
+                                {set.picks.map((pick, index) => (
+                                    <li key={index} className="flex items-center gap-2">
+                                        <span className="w-14 text-slate-500">Rider {index + 1}</span>
+                                        <a
+                                            href={`https://xpertmoto.com.au/products/${pick.bike.handle}`}
+                                            target="_blank"
+                                            rel="noopener noreferrer"
+                                            className="flex-1 truncate font-semibold text-slate-200 hover:text-emerald-400 transition-colors"
+                                            title={`${pick.bike.name} - Click to book`}
+                                        >
+                                            {pick.bike.name}
+                                        </a>
+                                        <span className="font-bold">{formatMoney(pick.price)}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+};
+
+export default GroupFinderPanel;
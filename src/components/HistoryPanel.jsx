@@ -0,0 +1,114 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import { clsx } from 'clsx';
+import { History, X, Download, Upload } from 'lucide-react';
+import { buildTimeline, exportHistory, mergeHistories, parseHistoryImport, saveHistory } from '../utils/snapshotHistory';
+import { downloadFile } from '../utils/download';
+
+// Most recent events listed per bike
+const MAX_EVENTS_PER_BIKE = 8;
+
+const formatSeen = (iso) => format(new Date(iso), 'd MMM HH:mm');
+
+/**
+ * Timeline of past syncs: when each bike's days were booked or freed
+ */
+const HistoryPanel = ({ history, bikes, globalSettings, onHistoryChange, onClose }) => {
+    const [importError, setImportError] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const timeline = useMemo(
+        () => buildTimeline(history, bikes, globalSettings),
+        [history, bikes, globalSettings]
+    );
+
+    const handleExport = () => {
+        downloadFile(`xpertmoto-history-${format(new Date(), 'yyyy-MM-dd')}.json`, exportHistory(history), 'application/json');
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        try {
+            const merged = mergeHistories(history, parseHistoryImport(await file.text()));
+            await saveHistory(merged);
+            onHistoryChange(merged);
+            setImportError(null);
+        } catch (error) {
+            setImportError(`${file.name}: ${error.message}`);
+        }
+    };
+
+    return (
+        <div className="glass-card p-4 text-xs">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                <h3 className="flex items-center gap-2 font-bold text-sm">
+                    <History size={14} className="text-slate-400" />
+                    Booking history
+                    <span className="font-medium text-slate-500">
+                        {history.length === 0
+                            ? 'no syncs recorded yet'
+                            : `${history.length} ${history.length === 1 ? 'snapshot' : 'snapshots'} since ${formatSeen(history[0].takenAt)}`}
+                    </span>
+                </h3>
+                <div className="flex items-center gap-2">
+                    <button
+                        onClick={handleExport}
+                        disabled={history.length === 0}
+                        className="flex items-center gap-1.5 px-2 py-1 rounded border border-white/10 font-semibold text-slate-400 hover:text-white transition-colors disabled:opacity-40"
+                    >
+                        <Download size={12} />
+                        Export JSON
+                    </button>
+                    <button
+                        onClick={() => fileInputRef.current?.click()}
+                        className="flex items-center gap-1.5 px-2 py-1 rounded border border-white/10 font-semibold text-slate-400 hover:text-white transition-colors"
+                    >
+                        <Upload size={12} />
+                        Import JSON
+                    </button>
+                    <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+                    <button onClick={onClose} className="text-slate-500 hover:text-white transition-colors" aria-label="Close history">
+                        <X size={16} />
+                    </button>
+                </div>
+            </div>
+
+            {importError && <p className="mb-3 text-red-300">{importError}</p>}
+
+            {timeline.length === 0 ? (
+                <p className="text-slate-500">No bookings have changed between recorded syncs yet.</p>
+            ) : (
+                <div className="grid gap-3 md:grid-cols-2 xl:grid-cols-3 max-h-96 overflow-y-auto">
+                    {timeline.map(({ bike, events }) => (
+                        <div key={bike.variantId} className="p-2 rounded border border-white/5">
+                            <div className="font-semibold text-slate-200 mb-1 truncate">{bike.name}</div>
+                            <ul className="space-y-0.5">
+                                {events.slice(0, MAX_EVENTS_PER_BIKE).map(event => (
+                                    <li
+                                        key={`${event.seenAt}:${event.date}`}
+                                        className="flex items-center gap-2"
+                                        title={`Last seen ${event.from.free}/${event.from.capacity} free at ${formatSeen(event.lastSeenBefore)}`}
+                                    >
+                                        <span className={clsx("w-12 font-bold", event.kind === 'booked' ? "text-red-300" : "text-emerald-300")}>
+                                            {event.kind === 'booked' ? 'Booked' : 'Freed'}
+                                        </span>
+                                        <span className="text-slate-300">{format(parseISO(event.date), 'EEE d MMM')}</span>
+                                        <span className="text-slate-500">seen {formatSeen(event.seenAt)}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                            {events.length > MAX_EVENTS_PER_BIKE && (
+                                <div className="mt-1 text-slate-500">and {events.length - MAX_EVENTS_PER_BIKE} earlier</div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,93 @@
+import React from 'react';
+import { addDays, addMonths, format, isBefore, parseISO } from 'date-fns';
+import { clsx } from 'clsx';
+import { ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight } from 'lucide-react';
+import { HORIZON_OPTIONS } from '../utils/viewState';
+import { getShopToday } from '../utils/shopTime';
+
+const NavButton = ({ onClick, disabled, title, children }) => (
+    <button
+        onClick={onClick}
+        disabled={disabled}
+        title={title}
+        aria-label={title}
+        className="p-1.5 rounded text-slate-400 hover:text-white hover:bg-white/5 transition-colors disabled:opacity-30 disabled:hover:bg-transparent disabled:hover:text-slate-400"
+    >
+        {children}
+    </button>
+);
+
+/**
+ * Moves the calendar window: week/month steps, jump to a date and the number
+ * of days shown. The window never starts before the shop's today.
+ * `children` (e.g. the export menu) render at the end of the bar.
+ */
+const HorizonBar = ({ start, days, onStartChange, onDaysChange, children }) => {
+    const today = getShopToday();
+    const isAtToday = !isBefore(today, start);
+
+    // Today is stored as null so the default view keeps a clean URL
+    const moveTo = (date) => {
+        onStartChange(isBefore(today, date) ? format(date, 'yyyy-MM-dd') : null);
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-4 px-4 py-3 bg-slate-900/50 border-b border-white/10 text-xs">
+            <div className="flex items-center gap-1">
+                <NavButton onClick={() => moveTo(addMonths(start, -1))} disabled={isAtToday} title="Previous month">
+                    <ChevronsLeft size={14} />
+                </NavButton>
+                <NavButton onClick={() => moveTo(addDays(start, -7))} disabled={isAtToday} title="Previous week">
+                    <ChevronLeft size={14} />
+                </NavButton>
+                <button
+                    onClick={() => onStartChange(null)}
+                    disabled={isAtToday}
+                    className="px-2 py-1 rounded font-semibold text-slate-400 hover:text-white transition-colors disabled:opacity-30"
+                >
+                    Today
+                </button>
+                <NavButton onClick={() => moveTo(addDays(start, 7))} title="Next week">
+                    <ChevronRight size={14} />
+                </NavButton>
+                <NavButton onClick={() => moveTo(addMonths(start, 1))} title="Next month">
+                    <ChevronsRight size={14} />
+                </NavButton>
+            </div>
+
+            <span className="font-semibold text-slate-300">
+                {format(start, 'd MMM')} – {format(addDays(start, days - 1), 'd MMM yyyy')}
+            </span>
+
+            <label className="flex items-center gap-2 text-slate-400">
+                Jump to
+                <input
+                    type="date"
+                    value={format(start, 'yyyy-MM-dd')}
+                    min={format(today, 'yyyy-MM-dd')}
+                    onChange={(e) => e.target.value && moveTo(parseISO(e.target.value))}
+                    className="bg-slate-900 border border-white/10 rounded px-2 py-1 text-white [color-scheme:dark]"
+                />
+            </label>
+
+            <div className="flex rounded-lg border border-white/10 overflow-hidden ml-auto" role="group" aria-label="Days shown">
+                {HORIZON_OPTIONS.map(option => (
+                    <button
+                        key={option}
+                        onClick={() => onDaysChange(option)}
+                        className={clsx(
+                            "px-3 py-1.5 font-semibold transition-colors",
+                            days === option ? "bg-white/10 text-white" : "text-slate-400 hover:text-white"
+                        )}
+                    >
+                        {option} days
+                    </button>
+                ))}
+            </div>
+
+            {children}
+        </div>
+    );
+};
+
+export default HorizonBar;
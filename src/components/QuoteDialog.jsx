@@ -0,0 +1,136 @@
+import React, { useMemo, useState } from 'react';
+import { format, parseISO } from 'date-fns';
+import { X, Receipt, AlertTriangle } from 'lucide-react';
+import { buildQuote, getBikeAddons } from '../utils/quote';
+import { getShopToday } from '../utils/shopTime';
+
+const money = (amount) => `$${amount.toFixed(2)}`;
+
+const Line = ({ label, amount, muted }) => (
+    <div className={`flex justify-between gap-4 ${muted ? 'text-slate-500' : 'text-slate-300'}`}>
+        <span>{label}</span>
+        <span className="font-mono">{amount}</span>
+    </div>
+);
+
+/**
+ * Checkout-equivalent quote for one bike: base tier, add-ons, date rates,
+ * discount, deposit and the pay-later schedule
+ */
+const QuoteDialog = ({ bike, days, start, addonPrices, onClose }) => {
+    const [selectedAddons, setSelectedAddons] = useState(new Set());
+    const [pickupDate, setPickupDate] = useState(format(start || getShopToday(), 'yyyy-MM-dd'));
+
+    const optionalAddons = useMemo(
+        () => getBikeAddons(bike, addonPrices).filter(addon => !addon.required),
+        [bike, addonPrices]
+    );
+
+    const quote = useMemo(
+        () => buildQuote(bike, { days, start: parseISO(pickupDate), selectedAddons, addonPrices }),
+        [bike, days, pickupDate, selectedAddons, addonPrices]
+    );
+
+    const toggleAddon = (variantId) => {
+        setSelectedAddons(prev => {
+            const next = new Set(prev);
+            if (next.has(variantId)) next.delete(variantId);
+            else next.add(variantId);
+            return next;
+        });
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-slate-950/80 p-6" onClick={onClose}>
+            <div
+                role="dialog"
+                aria-label={`Quote for ${bike.name}`}
+                className="glass-card bg-slate-900 w-full max-w-lg max-h-full overflow-y-auto p-6 text-sm"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex items-start justify-between gap-4 mb-4">
+                    <div className="flex items-center gap-2">
+                        <Receipt className="text-emerald-400" size={18} />
+                        <h3 className="font-bold text-lg">{bike.name}</h3>
+                    </div>
+                    <button onClick={onClose} className="text-slate-500 hover:text-white transition-colors" aria-label="Close quote">
+                        <X size={18} />
+                    </button>
+                </div>
+
+                <label className="flex items-center gap-2 text-slate-400 text-xs mb-4">
+                    Pickup
+                    <input
+                        type="date"
+                        value={pickupDate}
+                        onChange={(e) => e.target.value && setPickupDate(e.target.value)}
+                        className="bg-slate-900 border border-white/10 rounded px-2 py-1 text-white [color-scheme:dark]"
+                    />
+                    <span>for {quote.days} {quote.days === 1 ? 'day' : 'days'}</span>
+                </label>
+
+                <div className="space-y-1.5">
+                    <Line label={`Rental (${quote.base.explanation})`} amount={money(quote.base.total)} />
+                    {quote.rates.map(line => (
+                        <Line key={line.label} label={`Rate: ${line.label}`} amount={money(line.amount)} />
+                    ))}
+                    {quote.addons.map(addon => (
+                        <Line
+                            key={addon.variantId}
+                            label={`${addon.title}${addon.required ? ' (required)' : ''}${addon.perDay && addon.unitPrice !== null ? ` · ${money(addon.unitPrice)}/day` : ''}`}
+                            amount={addon.total === null ? 'price unavailable' : money(addon.total)}
+                        />
+                    ))}
+                    {quote.discount && (
+                        <Line label={`Discount: ${quote.discount.label}`} amount={`−${money(quote.discount.amount)}`} />
+                    )}
+                    <div className="flex justify-between gap-4 pt-2 mt-2 border-t border-white/10 font-bold text-white">
+                        <span>Total</span>
+                        <span className="font-mono text-emerald-400">{money(quote.total)}</span>
+                    </div>
+                    {quote.deposit > 0 && <Line label="Security deposit" amount={money(quote.deposit)} muted />}
+                    <Line label="Due at checkout" amount={money(quote.dueNow)} />
+                    {quote.instalments.map((instalment, i) => (
+                        <Line
+                            key={i}
+                            label={`Due ${format(instalment.dueDate, 'EEE d MMM yyyy')}`}
+                            amount={money(instalment.amount)}
+                            muted
+                        />
+                    ))}
+                </div>
+
+                {quote.missingPrices.length > 0 && (
+                    <p className="flex items-center gap-2 mt-4 text-xs text-amber-300">
+                        <AlertTriangle size={12} />
+                        Not included, price unavailable: {quote.missingPrices.join(', ')}
+                    </p>
+                )}
+
+                {optionalAddons.length > 0 && (
+                    <div className="mt-6">
+                        <div className="text-[10px] text-slate-500 font-bold uppercase tracking-widest mb-2">Optional extras</div>
+                        <div className="grid grid-cols-2 gap-2">
+                            {optionalAddons.map(addon => (
+                                <label key={addon.variantId} className="flex items-center gap-2 text-xs text-slate-300 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={selectedAddons.has(addon.variantId)}
+                                        onChange={() => toggleAddon(addon.variantId)}
+                                        className="accent-emerald-500"
+                                    />
+                                    {addon.title}
+                                    {addon.unitPrice !== null && (
+                                        <span className="text-slate-500">{money(addon.unitPrice)}{addon.perDay ? '/day' : ''}</span>
+                                    )}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default QuoteDialog;
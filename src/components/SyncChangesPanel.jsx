@@ -0,0 +1,57 @@
+import React from 'react';
+import { format, formatDistanceToNow, parseISO } from 'date-fns';
+import { clsx } from 'clsx';
+import { History, X } from 'lucide-react';
+
+// Show this many transitions before collapsing the rest into a count
+const MAX_LISTED_CHANGES = 12;
+
+/**
+ * Lists day transitions found by a sync (see diffBookings)
+ */
+const SyncChangesPanel = ({ title = 'Changes since last sync', syncedAt, changes, onDismiss }) => {
+    const listed = changes.slice(0, MAX_LISTED_CHANGES);
+    const hidden = changes.length - listed.length;
+
+    return (
+        <div className="glass-card p-4 text-xs">
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="flex items-center gap-2 font-bold text-sm">
+                    <History size={14} className="text-slate-400" />
+                    {title}
+                    <span className="font-medium text-slate-500">
+                        {changes.length} {changes.length === 1 ? 'day' : 'days'} · synced {formatDistanceToNow(new Date(syncedAt), { addSuffix: true })}
+                    </span>
+                </h3>
+                <button onClick={onDismiss} className="text-slate-500 hover:text-white transition-colors" aria-label="Dismiss changes">
+                    <X size={16} />
+                </button>
+            </div>
+
+            <ul className="grid gap-1 sm:grid-cols-2 lg:grid-cols-3">
+                {listed.map(({ variantId, name, date, kind, from, to }) => (
+                    <li key={`${variantId}:${date}`} className="flex items-center gap-2">
+                        <span className={clsx(
+                            "px-1.5 py-0.5 rounded border font-bold",
+                            kind === 'booked'
+                                ? "border-red-500/30 bg-red-500/10 text-red-300"
+                                : "border-emerald-500/30 bg-emerald-500/10 text-emerald-300"
+                        )}>
+                            {kind === 'booked' ? 'Booked' : 'Freed'}
+                        </span>
+                        <span className="font-semibold text-slate-200 truncate">{name}</span>
+                        <span className="text-slate-500 whitespace-nowrap">
+                            {format(parseISO(date), 'EEE d MMM')}
+                            {to.capacity > 1 && ` · ${from.free}→${to.free} of ${to.capacity} free`}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+            {hidden > 0 && (
+                <p className="mt-2 text-slate-500">and {hidden} more</p>
+            )}
+        </div>
+    );
+};
+
+export default SyncChangesPanel;
@@ -0,0 +1,126 @@
+import React from 'react';
+import { format, parseISO } from 'date-fns';
+import { clsx } from 'clsx';
+import { CalendarRange, CalendarDays, Timer, Users, X } from 'lucide-react';
+
+/**
+ * Toolbar above the availability grid for choosing how the date headers filter:
+ * any of the clicked days, a whole trip from pickup to return, the soonest
+ * window for the selected duration, or a trip for a group of riders.
+ */
+const TripRangeBar = ({ mode, onModeChange, range, onRangeChange, minDate, matchCount, total, duration, soonest }) => {
+    const setEdge = (edge, value) => {
+        if (!value) return;
+        const next = { start: range?.start || value, end: range?.end || value, [edge]: value };
+        // Keep the range ordered when a picker jumps past the other end
+        onRangeChange(next.start <= next.end ? next : { start: next.end, end: next.start });
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-4 px-4 py-3 bg-slate-900/50 border-b border-white/10 text-xs">
+            <div className="flex rounded-lg border border-white/10 overflow-hidden">
+                <button
+                    onClick={() => onModeChange('days')}
+                    className={clsx(
+                        "flex items-center gap-1.5 px-3 py-1.5 font-semibold transition-colors",
+                        mode === 'days' ? "bg-white/10 text-white" : "text-slate-400 hover:text-white"
+                    )}
+                    title="Click date headers to show bikes free on any of those days"
+                >
+                    <CalendarDays size={12} />
+                    Any day
+                </button>
+                <button
+                    onClick={() => onModeChange('range')}
+                    className={clsx(
+                        "flex items-center gap-1.5 px-3 py-1.5 font-semibold transition-colors",
+                        mode === 'range' ? "bg-white/10 text-white" : "text-slate-400 hover:text-white"
+                    )}
+                    title="Drag across date headers to show bikes free for the whole trip"
+                >
+                    <CalendarRange size={12} />
+                    Trip range
+                </button>
+                <button
+                    onClick={() => onModeChange('soonest')}
+                    className={clsx(
+                        "flex items-center gap-1.5 px-3 py-1.5 font-semibold transition-colors",
+                        mode === 'soonest' ? "bg-white/10 text-white" : "text-slate-400 hover:text-white"
+                    )}
+                    title="Which bike can I get soonest for the selected duration?"
+                >
+                    <Timer size={12} />
+                    Soonest
+                </button>
+                <button
+                    onClick={() => onModeChange('group')}
+                    className={clsx(
+                        "flex items-center gap-1.5 px-3 py-1.5 font-semibold transition-colors",
+                        mode === 'group' ? "bg-white/10 text-white" : "text-slate-400 hover:text-white"
+                    )}
+                    title="Find bikes for several riders, all free on the same dates"
+                >
+                    <Users size={12} />
+                    Group
+                </button>
+            </div>
+
+            {mode === 'soonest' && (
+                soonest ? (
+                    <span className="text-slate-300">
+                        Soonest for {duration} {duration === 1 ? 'day' : 'days'}: <span className="font-bold text-white">{soonest.bike.name}</span>
+                        {' '}from {format(soonest.start, 'EEE d MMM')} to {format(soonest.end, 'EEE d MMM')}
+                        <span className="text-slate-500"> · {matchCount} of {total} bikes have a {duration}-day window</span>
+                    </span>
+                ) : (
+                    <span className="text-slate-500">No bike has {duration} consecutive bookable {duration === 1 ? 'day' : 'days'} yet</span>
+                )
+            )}
+
+            {(mode === 'range' || mode === 'group') && (
+                <>
+                    <label className="flex items-center gap-2 text-slate-400">
+                        Pickup
+                        <input
+                            type="date"
+                            value={range?.start || ''}
+                            min={minDate}
+                            onChange={(e) => setEdge('start', e.target.value)}
+                            className="bg-slate-900 border border-white/10 rounded px-2 py-1 text-white [color-scheme:dark]"
+                        />
+                    </label>
+                    <label className="flex items-center gap-2 text-slate-400">
+                        Return
+                        <input
+                            type="date"
+                            value={range?.end || ''}
+                            min={range?.start || minDate}
+                            onChange={(e) => setEdge('end', e.target.value)}
+                            className="bg-slate-900 border border-white/10 rounded px-2 py-1 text-white [color-scheme:dark]"
+                        />
+                    </label>
+
+                    {range ? (
+                        <>
+                            <span className="text-slate-300">
+                                {format(parseISO(range.start), 'EEE d MMM')} → {format(parseISO(range.end), 'EEE d MMM')}
+                                <span className="text-slate-500"> · {matchCount} of {total} bikes free for the whole trip</span>
+                            </span>
+                            <button
+                                onClick={() => onRangeChange(null)}
+                                className="flex items-center gap-1 text-slate-500 hover:text-white transition-colors"
+                            >
+                                <X size={12} />
+                                Clear
+                            </button>
+                        </>
+                    ) : (
+                        <span className="text-slate-500">Drag across the date headers or pick dates</span>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default TripRangeBar;
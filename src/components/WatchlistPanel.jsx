@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { addDays, format, parseISO } from 'date-fns';
+import { clsx } from 'clsx';
+import { Star, X, Trash2, BellOff } from 'lucide-react';
+import { getShopToday } from '../utils/shopTime';
+
+const STATE_STYLES = {
+    free: { label: 'Free', className: 'text-emerald-300 border-emerald-500/30 bg-emerald-500/10' },
+    booked: { label: 'Booked', className: 'text-red-300 border-red-500/30 bg-red-500/10' },
+    unavailable: { label: 'Not bookable', className: 'text-slate-400 border-white/10' },
+    expired: { label: 'Past', className: 'text-slate-500 border-white/10' }
+};
+
+/**
+ * Lists the watched bike + date ranges and adds new ones
+ * A booked bike can't be starred from the trip-range filter (it is filtered
+ * out), so the form accepts any bike and range.
+ */
+const WatchlistPanel = ({ watches, bikes, defaultRange, onAdd, onRemove, onClose, notificationsBlocked }) => {
+    const today = format(getShopToday(), 'yyyy-MM-dd');
+    const [variantId, setVariantId] = useState(bikes[0]?.variantId || '');
+    const [start, setStart] = useState(defaultRange?.start || today);
+    const [end, setEnd] = useState(defaultRange?.end || format(addDays(parseISO(today), 1), 'yyyy-MM-dd'));
+
+    const sortedBikes = [...bikes].sort((a, b) => a.name.localeCompare(b.name));
+    const canAdd = variantId && start && end && start <= end && start >= today;
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        const bike = bikes.find(b => b.variantId === variantId);
+        if (bike && canAdd) onAdd(bike, start, end);
+    };
+
+    return (
+        <div className="absolute right-0 top-full mt-2 z-40 w-[420px] max-w-[90vw] glass-card bg-slate-900 p-4 text-xs shadow-xl">
+            <div className="flex items-center justify-between mb-3">
+                <h3 className="flex items-center gap-2 font-bold text-sm">
+                    <Star size={14} className="text-amber-400" />
+                    Watchlist
+                </h3>
+                <button onClick={onClose} className="text-slate-500 hover:text-white transition-colors" aria-label="Close watchlist">
+                    <X size={16} />
+                </button>
+            </div>
+
+            {notificationsBlocked && (
+                <p className="flex items-center gap-2 mb-3 text-amber-300">
+                    <BellOff size={12} />
+                    Browser notifications are blocked; changes show here only.
+                </p>
+            )}
+
+            {watches.length === 0 ? (
+                <p className="text-slate-500 mb-4">Nothing watched yet. Star a bike in trip-range mode or add one below.</p>
+            ) : (
+                <ul className="space-y-2 mb-4 max-h-64 overflow-y-auto">
+                    {watches.map(watch => {
+                        const style = STATE_STYLES[watch.state];
+                        return (
+                            <li
+                                key={watch.id}
+                                className={clsx("flex items-center gap-2 p-2 rounded border", watch.unseen ? "border-amber-500/40 bg-amber-500/5" : "border-white/5")}
+                            >
+                                <div className="flex-1 min-w-0">
+                                    <div className="font-semibold text-slate-200 truncate">{watch.name}</div>
+                                    <div className="text-slate-500">
+                                        {format(parseISO(watch.start), 'EEE d MMM')} – {format(parseISO(watch.end), 'EEE d MMM')}
+                                        {watch.changedAt && ` · changed ${format(new Date(watch.changedAt), 'd MMM HH:mm')}`}
+                                    </div>
+                                </div>
+                                <span className={clsx("px-1.5 py-0.5 rounded border font-bold", style?.className || "text-slate-500 border-white/10")}>
+                                    {style?.label || 'Checking…'}
+                                </span>
+                                <button
+                                    onClick={() => onRemove(watch.id)}
+                                    className="text-slate-500 hover:text-red-300 transition-colors"
+                                    aria-label={`Stop watching ${watch.name}`}
+                                >
+                                    <Trash2 size={12} />
+                                </button>
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+
+            <form onSubmit={handleAdd} className="flex flex-wrap items-center gap-2 pt-3 border-t border-white/10">
+                <select
+                    value={variantId}
+                    onChange={(e) => setVariantId(e.target.value)}
+                    aria-label="Bike to watch"
+                    className="flex-1 min-w-[160px] bg-slate-900 border border-white/10 rounded px-2 py-1 text-white"
+                >
+                    {sortedBikes.map(bike => (
+                        <option key={bike.variantId} value={bike.variantId}>{bike.name}</option>
+                    ))}
+                </select>
+                <input
+                    type="date"
+                    value={start}
+                    min={today}
+                    onChange={(e) => setStart(e.target.value)}
+                    aria-label="Watch from"
+                    className="bg-slate-900 border border-white/10 rounded px-2 py-1 text-white [color-scheme:dark]"
+                />
+                <input
+                    type="date"
+                    value={end}
+                    min={start || today}
+                    onChange={(e) => setEnd(e.target.value)}
+                    aria-label="Watch until"
+                    className="bg-slate-900 border border-white/10 rounded px-2 py-1 text-white [color-scheme:dark]"
+                />
+                <button
+                    type="submit"
+                    disabled={!canAdd}
+                    className="px-3 py-1 rounded border border-amber-500/30 bg-amber-500/10 font-semibold text-amber-300 hover:bg-amber-500/20 transition-colors disabled:opacity-40"
+                >
+                    Watch
+                </button>
+            </form>
+        </div>
+    );
+};
+
+export default WatchlistPanel;
@@ -8,3 +8,12 @@ ReactDOM.createRoot(document.getElementById('root')).render(
         <App />
     </React.StrictMode>,
 )
+
+// Register the service worker in production builds so the dashboard can open offline
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((error) => {
+            console.error('[PWA] Service worker registration failed:', error.message);
+        });
+    });
+}
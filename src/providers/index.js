@@ -0,0 +1,52 @@
+import { izyrentProvider } from './izyrentProvider.js';
+
+/**
+ * Booking data providers
+ *
+ * A provider supplies everything the dashboard reads from the outside world:
+ *   - fetchCatalog({ snapshotUrl, signal }) -> { exampleData, source, catalogUpdatedAt, error }
+ *   - fetchImages() -> { [handle]: imageUrl }
+ *   - fetchAddonPrices() -> { [variantId]: { handle, title, price } } for add-on products
+ *   - fetchBookings(bike, { signal }) -> Izyrent-style bookings object, throws on failure
+ * plus `name`, `label` and `cacheable` (whether results may go to the offline cache).
+ *
+ * Select one with the `?source=mock` URL flag or the VITE_DATA_SOURCE env variable.
+ */
+
+export const DEFAULT_PROVIDER = 'izyrent';
+
+const PROVIDER_LOADERS = {
+    izyrent: async () => izyrentProvider,
+    // Loaded on demand so the fixtures stay out of the main bundle
+    mock: async () => (await import('./mockProvider.js')).mockProvider
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDER_LOADERS);
+
+/**
+ * Picks the provider name from the URL (`?source=`) or the VITE_DATA_SOURCE env variable
+ */
+export function resolveProviderName(search = typeof window !== 'undefined' ? window.location.search : '') {
+    const fromUrl = new URLSearchParams(search).get('source');
+    const fromEnv = import.meta.env?.VITE_DATA_SOURCE;
+
+    const name = fromUrl || fromEnv || DEFAULT_PROVIDER;
+    if (!PROVIDER_LOADERS[name]) {
+        console.error(`[Provider] Unknown data source "${name}", using ${DEFAULT_PROVIDER}`);
+        return DEFAULT_PROVIDER;
+    }
+
+    return name;
+}
+
+/**
+ * Loads a provider by name
+ */
+export function getProvider(name = resolveProviderName()) {
+    const loader = PROVIDER_LOADERS[name];
+    if (!loader) {
+        throw new Error(`Unknown data source "${name}" (expected one of: ${PROVIDER_NAMES.join(', ')})`);
+    }
+
+    return loader();
+}
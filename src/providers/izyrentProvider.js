@@ -0,0 +1,100 @@
+import axios from 'axios';
+import { loadCatalog } from '../utils/catalogLoader.js';
+
+/**
+ * Live provider: catalog from the Shopify storefront (or bundled snapshot),
+ * images and add-on prices from Shopify `products.json` and bookings from Izyrent.
+ */
+
+const SHOPIFY_PRODUCTS_URL = 'https://xpertmoto.com.au/products.json?limit=250';
+const IZYRENT_API_URL = 'https://izyrent.speaz.com/front/get_bookings';
+const SHOP_DOMAIN = '7f13fc-4d.myshopify.com';
+
+/**
+ * Builds the Izyrent `get_bookings` payload for a single bike variant
+ */
+export function buildBookingPayload(bike) {
+    return {
+        shop: SHOP_DOMAIN,
+        idProduct: parseInt(bike.productId),
+        countLastRangeDay: false,
+        interval: {
+            stock: bike.metafields.stock || "product",
+            variantStock: {
+                product: bike.metafields.variantStock.product,
+                [bike.variantId]: bike.metafields.variantStock[bike.variantId]
+            }
+        },
+        timeRange: false,
+        expiration: 15
+    };
+}
+
+// Images and add-on prices are both read from products.json and requested side
+// by side, so they share one download while it is in flight
+let productsRequest = null;
+
+function fetchShopifyProducts() {
+    if (!productsRequest) {
+        productsRequest = axios.get(SHOPIFY_PRODUCTS_URL)
+            .then(response => response.data.products)
+            .finally(() => {
+                productsRequest = null;
+            });
+    }
+
+    return productsRequest;
+}
+
+export const izyrentProvider = {
+    name: 'izyrent',
+    label: 'Live (Shopify + Izyrent)',
+    cacheable: true,
+
+    fetchCatalog({ snapshotUrl, signal } = {}) {
+        return loadCatalog({ snapshotUrl, signal });
+    },
+
+    async fetchImages() {
+        const products = await fetchShopifyProducts();
+        const imageMap = {};
+
+        products.forEach(p => {
+            if (p.images && p.images.length > 0) {
+                imageMap[p.handle] = p.images[0].src;
+            }
+        });
+
+        return imageMap;
+    },
+
+    async fetchAddonPrices() {
+        const products = await fetchShopifyProducts();
+        const addonPrices = {};
+
+        // Add-ons are regular Shopify products referenced by variant id in the metafields
+        products.forEach(p => {
+            (p.variants || []).forEach(variant => {
+                addonPrices[String(variant.id)] = {
+                    handle: p.handle,
+                    title: p.variants.length > 1 ? `${p.title} (${variant.title})` : p.title,
+                    price: parseFloat(variant.price)
+                };
+            });
+        });
+
+        return addonPrices;
+    },
+
+    async fetchBookings(bike, { signal } = {}) {
+        const response = await axios.post(IZYRENT_API_URL, buildBookingPayload(bike), {
+            timeout: 10000,
+            signal,
+            headers: {
+                'Content-Type': 'text/plain;charset=UTF-8'
+            }
+        });
+
+        return response.data;
+    }
+};
@@ -0,0 +1,78 @@
+import { addDays, differenceInCalendarDays, format, parse, startOfDay } from 'date-fns';
+import { fetchSnapshotCatalog, getCatalogTimestamp } from '../utils/catalogLoader.js';
+import { sleep } from '../utils/fetchScheduler.js';
+import { getShopToday } from '../utils/shopTime.js';
+import recorded from './fixtures/bookings.json' with { type: 'json' };
+
+/**
+ * Fixture-backed provider that replays recorded Izyrent responses
+ * Lets the dashboard and its tests run fully offline and deterministically.
+ * Booking dates are shifted so the recording day lines up with the shop's today.
+ * Variants listed under `synthetic` replay hand-written booked-unit counts
+ * instead of their recording, so multi-unit stock shows partial days.
+ */
+
+const MOCK_LATENCY_MS = 50;
+
+/**
+ * Shifts "yyyy/MM/dd[_start|_end]" booking keys by a number of days
+ */
+export function shiftBookingKeys(bookings, offsetDays) {
+    const shifted = {};
+
+    Object.entries(bookings).forEach(([key, value]) => {
+        const [datePart, suffix] = key.split('_');
+        const date = addDays(parse(datePart, 'yyyy/MM/dd', new Date()), offsetDays);
+        shifted[`${format(date, 'yyyy/MM/dd')}${suffix ? `_${suffix}` : ''}`] = value;
+    });
+
+    return shifted;
+}
+
+/**
+ * Creates a mock provider
+ * @param {Object} options - { fixtures, today, latencyMs }
+ */
+export function createMockProvider({
+    fixtures = recorded,
+    today = getShopToday(),
+    latencyMs = MOCK_LATENCY_MS
+} = {}) {
+    const offsetDays = differenceInCalendarDays(startOfDay(today), parse(fixtures.recordedAt, 'yyyy-MM-dd', new Date()));
+
+    return {
+        name: 'mock',
+        label: 'Mock fixtures',
+        cacheable: false,
+
+        async fetchCatalog({ snapshotUrl, signal } = {}) {
+            const exampleData = await fetchSnapshotCatalog(snapshotUrl, { signal });
+            return { exampleData, source: 'mock', catalogUpdatedAt: getCatalogTimestamp(exampleData), error: null };
+        },
+
+        async fetchImages() {
+            return fixtures.images || {};
+        },
+
+        async fetchAddonPrices() {
+            return fixtures.addonPrices || {};
+        },
+
+        async fetchBookings(bike, { signal } = {}) {
+            await sleep(latencyMs, signal);
+
+            // Recorded failures replay as axios-like HTTP errors
+            const failure = fixtures.errors?.[bike.variantId];
+            if (failure) {
+                const error = new Error(`Request failed with status code ${failure.status}`);
+                error.response = { status: failure.status, statusText: failure.message };
+                throw error;
+            }
+
+            const bookings = fixtures.synthetic?.bookings?.[bike.variantId] || fixtures.bookings[bike.variantId] || {};
+            return shiftBookingKeys(bookings, offsetDays);
+        }
+    };
+}
+
+export const mockProvider = createMockProvider();
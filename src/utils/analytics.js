@@ -0,0 +1,151 @@
+import { format, getDay } from 'date-fns';
+import { getCapacity, getDayAvailability, getModelDayAvailability, groupBikesByModel } from './availability.js';
+import { getPriceForDuration } from './pricing.js';
+import { getShopToday } from './shopTime.js';
+
+/**
+ * Fleet utilisation and revenue over the days the grid shows
+ * Occupancy is counted in unit half-days: a day offers two halves per unit
+ * (morning and afternoon) and each booked unit fills one. Halves the shop is
+ * closed for (Sundays, Saturday afternoons, holidays) and bikes whose bookings
+ * are unknown are left out, even when a rental runs through them.
+ */
+
+// Models below this occupancy are flagged as under-utilised
+export const UNDER_UTILISED_BELOW = 0.25;
+
+// Heatmap columns, Monday first (date-fns weekday numbers)
+export const HEATMAP_WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+
+const BUSIEST_DATES = 5;
+
+const emptyCount = () => ({ open: 0, booked: 0 });
+
+const occupancyOf = ({ open, booked }) => open > 0 ? booked / open : null;
+
+/**
+ * Counts a day's open and booked unit half-days
+ * @param {Object} day - Result of getDayAvailability or getModelDayAvailability
+ * @returns {Object|null} { open, booked }, or null for closed or unknown days
+ */
+function countDay(day) {
+    if (!day.halves) return null;
+
+    const openHalves = [day.halves.am, day.halves.pm].filter(half => half.open);
+    if (openHalves.length === 0) return null;
+
+    const open = openHalves.length * day.capacity;
+    return { open, booked: open - openHalves.reduce((sum, half) => sum + half.free, 0) };
+}
+
+function addCount(total, count) {
+    if (!count) return;
+    total.open += count.open;
+    total.booked += count.booked;
+}
+
+/**
+ * Estimates the rentals behind a bike's bookings and what they bring in
+ * Each unit's consecutive booked halves are taken as one rental, priced with
+ * the bike's tiers for its length in days (two halves per day, rounded up).
+ * Rentals are clipped to `dates`, and a return and pickup on the same day
+ * read as one rental.
+ * @returns {Object} { rentals, bookedDays, revenue }
+ */
+export function estimateBookedRevenue(bike, dates, globalSettings, { today = getShopToday() } = {}) {
+    const capacity = getCapacity(bike);
+    // Only this variant's own bookings, not the rest of a shared product pool
+    const bookedHalves = dates.flatMap(date => {
+        const { halves } = getDayAvailability(bike, date, globalSettings, {}, { today });
+        return halves ? [capacity - halves.am.free, capacity - halves.pm.free] : [0, 0];
+    });
+
+    let rentals = 0;
+    let revenue = 0;
+    let bookedDays = 0;
+    for (let unit = 1; unit <= capacity; unit++) {
+        let run = 0;
+        const endRun = () => {
+            if (run === 0) return;
+            const days = Math.ceil(run / 2);
+            rentals++;
+            bookedDays += days;
+            revenue += getPriceForDuration(bike, days);
+            run = 0;
+        };
+        bookedHalves.forEach(units => (units >= unit ? run++ : endRun()));
+        endRun();
+    }
+
+    return { rentals, bookedDays, revenue };
+}
+
+/**
+ * Builds the analytics panel figures
+ * @param {Array} bikes - Bikes to include (the table's filtered rows)
+ * @param {Array} dates - Calendar days shown (see shopTime.js)
+ * @param {Object} globalSettings - { closures, disabledDatesGlobal }
+ * @param {Object} stockPools - Result of buildStockPools for the whole fleet
+ * @returns {Object} { fleet, models, bikes, heatmap, busiestDates, revenue } - occupancies are 0-1, or null with nothing open
+ */
+export function buildAnalytics(bikes, dates, globalSettings, stockPools = {}, { today = getShopToday() } = {}) {
+    const options = { today };
+    const fleet = emptyCount();
+    const fleetByWeekday = new Map(HEATMAP_WEEKDAYS.map(weekday => [weekday, emptyCount()]));
+    const fleetByDate = dates.map(() => emptyCount());
+
+    // Models are counted through their rollup so a shared product pool counts once
+    const models = groupBikesByModel(bikes).map(model => {
+        const total = emptyCount();
+        const byWeekday = new Map(HEATMAP_WEEKDAYS.map(weekday => [weekday, emptyCount()]));
+
+        dates.forEach((date, index) => {
+            const count = countDay(getModelDayAvailability(model.bikes, date, globalSettings, stockPools, options));
+            addCount(total, count);
+            addCount(byWeekday.get(getDay(date)), count);
+            addCount(fleetByWeekday.get(getDay(date)), count);
+            addCount(fleetByDate[index], count);
+        });
+        addCount(fleet, total);
+
+        return {
+            productId: model.productId,
+            name: model.name,
+            units: model.bikes.length,
+            ...total,
+            occupancy: occupancyOf(total),
+            weekdays: HEATMAP_WEEKDAYS.map(weekday => occupancyOf(byWeekday.get(weekday)))
+        };
+    });
+
+    const bikeRows = bikes.map(bike => {
+        const total = emptyCount();
+        dates.forEach(date => addCount(total, countDay(getDayAvailability(bike, date, globalSettings, stockPools, options))));
+        const isKnown = !bike.error && Boolean(bike.bookings);
+
+        return {
+            bike,
+            ...total,
+            occupancy: occupancyOf(total),
+            ...(isKnown ? estimateBookedRevenue(bike, dates, globalSettings, options) : { rentals: null, bookedDays: null, revenue: null })
+        };
+    });
+
+    const busiestDates = dates
+        .map((date, index) => ({ date: format(date, 'yyyy-MM-dd'), ...fleetByDate[index], occupancy: occupancyOf(fleetByDate[index]) }))
+        .filter(day => day.booked > 0)
+        .sort((a, b) => b.occupancy - a.occupancy || a.date.localeCompare(b.date))
+        .slice(0, BUSIEST_DATES);
+
+    return {
+        fleet: { ...fleet, occupancy: occupancyOf(fleet) },
+        models: models.sort((a, b) => (a.occupancy ?? Infinity) - (b.occupancy ?? Infinity) || a.name.localeCompare(b.name)),
+        bikes: bikeRows,
+        heatmap: {
+            weekdays: HEATMAP_WEEKDAYS,
+            fleet: HEATMAP_WEEKDAYS.map(weekday => occupancyOf(fleetByWeekday.get(weekday)))
+        },
+        busiestDates,
+        revenue: bikeRows.reduce((sum, row) => sum + (row.revenue || 0), 0)
+    };
+}
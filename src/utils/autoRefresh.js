@@ -0,0 +1,97 @@
+import { format, parseISO } from 'date-fns';
+import { CACHE_KEYS, getCached, setCached } from './availabilityCache.js';
+import { buildStockPools, getDayAvailability } from './availability.js';
+import { getShopToday } from './shopTime.js';
+
+/**
+ * Background re-sync of bookings and what changed between syncs
+ * The dashboard re-fetches bookings every few minutes without clearing the
+ * table, then compares each bike's days before and after to highlight cells
+ * that were newly booked or freed.
+ */
+
+// Choices for the refresh interval in minutes (0 = off)
+export const AUTO_REFRESH_OPTIONS = [0, 1, 5, 15, 30];
+
+const DEFAULT_REFRESH_MINUTES = 5;
+
+// How long changed cells stay highlighted after a sync
+export const CHANGE_HIGHLIGHT_MS = 15 * 1000;
+
+/**
+ * Returns the refresh interval from VITE_AUTO_REFRESH_MINUTES, or 5 minutes
+ */
+export function getDefaultRefreshMinutes() {
+    const configured = parseInt(import.meta.env?.VITE_AUTO_REFRESH_MINUTES);
+    return Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_REFRESH_MINUTES;
+}
+
+/**
+ * Loads the interval picked in the dashboard, if any
+ * @returns {Promise<number|null>} Minutes, or null when never changed
+ */
+export async function loadRefreshMinutes() {
+    const entry = await getCached(CACHE_KEYS.autoRefresh);
+    return Number.isInteger(entry?.value) ? entry.value : null;
+}
+
+export function saveRefreshMinutes(minutes) {
+    return setCached(CACHE_KEYS.autoRefresh, minutes);
+}
+
+/**
+ * Lists the days whose raw booking entries differ, including `_start`/`_end` boundaries
+ * @returns {Array} 'yyyy-MM-dd' keys in date order
+ */
+export function getChangedDays(before = {}, after = {}) {
+    const days = new Set();
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+        if (before[key] !== after[key]) days.add(key.slice(0, 10).replace(/\//g, '-'));
+    });
+    return [...days].sort();
+}
+
+/**
+ * Compares two syncs of the fleet day by day
+ * Only days from today on are reported, and only when the number of free
+ * units moved; bikes without bookings on either side are skipped.
+ * @param {Array} previousBikes - Bikes before the sync
+ * @param {Array} nextBikes - The same bikes after the sync
+ * @returns {Array} [{ variantId, name, date: 'yyyy-MM-dd', kind: 'booked' | 'freed', from, to }] - from/to are { status, free, capacity }
+ */
+export function diffBookings(previousBikes, nextBikes, globalSettings, { today = getShopToday() } = {}) {
+    const previousById = new Map(previousBikes.map(bike => [bike.variantId, bike]));
+    const previousPools = buildStockPools(previousBikes);
+    const nextPools = buildStockPools(nextBikes);
+    const todayKey = format(today, 'yyyy-MM-dd');
+    const changes = [];
+
+    nextBikes.forEach(next => {
+        const previous = previousById.get(next.variantId);
+        if (!previous?.bookings || !next.bookings) return;
+
+        // A shared product pool can change a day through another variant's bookings
+        const pool = next.stockMode === 'product' ? nextPools[next.productId] || [next] : [next];
+        const changedDays = new Set(pool.flatMap(bike =>
+            getChangedDays(previousById.get(bike.variantId)?.bookings, bike.bookings)
+        ));
+
+        [...changedDays].sort().filter(day => day >= todayKey).forEach(day => {
+            const date = parseISO(day);
+            const from = getDayAvailability(previous, date, globalSettings, previousPools, { today });
+            const to = getDayAvailability(next, date, globalSettings, nextPools, { today });
+            if (from.free === to.free) return;
+
+            changes.push({
+                variantId: next.variantId,
+                name: next.name,
+                date: day,
+                kind: to.free < from.free ? 'booked' : 'freed',
+                from: { status: from.status, free: from.free, capacity: from.capacity },
+                to: { status: to.status, free: to.free, capacity: to.capacity }
+            });
+        });
+    });
+
+    return changes.sort((a, b) => a.date.localeCompare(b.date) || a.name.localeCompare(b.name));
+}
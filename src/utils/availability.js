@@ -0,0 +1,423 @@
+import { addDays, differenceInCalendarDays, format, getDay, startOfDay } from 'date-fns';
+import {
+    MIDDAY,
+    getBookingTime,
+    getOpenHalves,
+    getOpeningHours,
+    getOpeningMidpoint,
+    getSlotsForWeekday,
+    isWithinOpeningHours
+} from './timeSlots.js';
+import {
+    evaluateBooking,
+    getBookingRules,
+    getClosureReason,
+    getPickupReasons,
+    getReturnDate,
+    getReturnReasons
+} from './bookingRules.js';
+import { getShopToday } from './shopTime.js';
+import { findCheaperLongerRentals, getPriceForDuration } from './pricing.js';
+
+/**
+ * Availability rules shared by the dashboard and the CLI
+ */
+
+// Statuses where at least one unit can be picked up at some point of the day
+export const AVAILABLE_STATUSES = ['available', 'half', 'partial', 'morning', 'afternoon'];
+
+// Furthest ahead findNextWindow looks when the catalog allows bookings further out
+export const MAX_WINDOW_SEARCH_DAYS = 365;
+
+/**
+ * Returns how many units a bike's bookings are counted against
+ * With `stock: "product"` Izyrent tracks one pool for the whole product,
+ * otherwise each variant has its own stock.
+ */
+export function getCapacity(bike) {
+    if (bike.stockMode === 'product' && bike.productStock > 0) {
+        return bike.productStock;
+    }
+    return Math.max(1, bike.stock || 1);
+}
+
+/**
+ * Converts a booking value into a number of reserved units
+ * Values are `true` (no units left), a booked unit count, an exact "HH:mm"
+ * boundary time or `{ time, qty }`.
+ */
+function toBookedUnits(value, capacity) {
+    if (value === true || getBookingTime(value)) {
+        return typeof value === 'object' && value.qty !== undefined ? parseInt(value.qty) : capacity;
+    }
+    const units = parseInt(value);
+    return Number.isNaN(units) ? capacity : units;
+}
+
+/**
+ * Returns the number of units a bookings object reserves at a time of day
+ * A day can appear as "yyyy/MM/dd" (booked all day), "yyyy/MM/dd_end" (a
+ * booking is returned that day - booked until the return time, `midday` when
+ * unknown) or "yyyy/MM/dd_start" (a booking is picked up that day - booked
+ * from the pickup time, `midday` when unknown).
+ * @param {Object} bookings - Bookings response
+ * @param {string} yearMonthDay - Day key "yyyy/MM/dd"
+ * @param {number} capacity - Units in stock
+ * @param {string} time - "HH:mm", defaults to the whole day
+ * @param {string} midday - "HH:mm" splitting the day into halves (see getOpenHalves)
+ */
+export function getBookedUnits(bookings, yearMonthDay, capacity, time, midday = MIDDAY) {
+    if (!bookings) return 0;
+
+    const isSet = value => value !== undefined && value !== null && value !== false;
+    const allDay = bookings[yearMonthDay];
+    const returned = bookings[`${yearMonthDay}_end`];
+    const pickedUp = bookings[`${yearMonthDay}_start`];
+
+    const values = [];
+    if (isSet(allDay)) values.push(allDay);
+    if (isSet(returned) && (time === undefined || time < (getBookingTime(returned) || midday))) values.push(returned);
+    if (isSet(pickedUp) && (time === undefined || time >= (getBookingTime(pickedUp) || midday))) values.push(pickedUp);
+
+    if (values.length === 0) return 0;
+
+    return Math.min(capacity, Math.max(...values.map(value => toBookedUnits(value, capacity))));
+}
+
+/**
+ * Groups bikes that draw from the same product-level stock pool
+ * @returns {Object} Map of productId to bikes sharing the pool
+ */
+export function buildStockPools(bikes) {
+    const pools = {};
+    bikes.forEach(bike => {
+        if (bike.stockMode !== 'product') return;
+        (pools[bike.productId] ||= []).push(bike);
+    });
+    return pools;
+}
+
+/**
+ * Groups variants of the same product (model), keeping the order of `bikes`
+ * @returns {Array} [{ productId, handle, name, bikes }]
+ */
+export function groupBikesByModel(bikes) {
+    const models = new Map();
+    bikes.forEach(bike => {
+        if (!models.has(bike.productId)) {
+            models.set(bike.productId, { productId: bike.productId, handle: bike.handle, name: bike.name, bikes: [] });
+        }
+        models.get(bike.productId).bikes.push(bike);
+    });
+    return [...models.values()];
+}
+
+/**
+ * Lays out table rows: models with several variants collapse into one rollup
+ * row, ranked by their best-placed unit, followed by their listed units when expanded
+ * The rollup always covers every unit of the model, whatever the filters list.
+ * @param {Array} bikes - Whole fleet
+ * @param {Array} listedBikes - Bikes left after filtering, in display order
+ * @param {Set} expandedModels - productIds whose units are shown
+ * @returns {Array} [{ bike, isNested }] or [{ model: { productId, handle, name, bikes, units } }]
+ */
+export function getModelRows(bikes, listedBikes, expandedModels) {
+    const unitsByModel = new Map(groupBikesByModel(bikes).map(model => [model.productId, model.bikes]));
+    const rows = [];
+
+    groupBikesByModel(listedBikes).forEach(model => {
+        const units = unitsByModel.get(model.productId);
+        if (units.length === 1) {
+            rows.push({ bike: model.bikes[0] });
+            return;
+        }
+
+        rows.push({ model: { ...model, units } });
+        if (expandedModels.has(model.productId)) {
+            model.bikes.forEach(bike => rows.push({ bike, isNested: true }));
+        }
+    });
+
+    return rows;
+}
+
+/**
+ * Determines the status and remaining units of a bike on a given day
+ * The day is split into a morning and an afternoon half so a bike returned
+ * in the morning shows as rentable that afternoon, and vice versa.
+ * @param {Object} bike - Bike with bookings (see extractBikeMetadata)
+ * @param {Date} date - Day to check
+ * @param {Object} globalSettings - { closures, disabledDatesGlobal }
+ * @param {Object} stockPools - Optional result of buildStockPools for shared product stock
+ * @param {Object} options - { today } for the booking notice rules
+ * @returns {Object} { status, free, capacity, isHalfDay, halves: { am, pm }, closedReason, pickupReasons, returnReasons, pickupSlots, returnSlots }
+ *   - each half is { status, free, open }; `open` says whether the shop trades that half, whatever the bookings
+ */
+export function getDayAvailability(bike, date, globalSettings, stockPools = {}, { today = getShopToday() } = {}) {
+    const capacity = getCapacity(bike);
+    const unknown = {
+        free: null,
+        capacity,
+        isHalfDay: false,
+        halves: null,
+        closedReason: null,
+        pickupReasons: [],
+        returnReasons: [],
+        pickupSlots: [],
+        returnSlots: []
+    };
+
+    // Bookings could not be fetched - availability is unknown, never assume free
+    if (bike.error) {
+        return { ...unknown, status: 'error' };
+    }
+
+    // If bike is still loading, return loading state
+    if (bike.isLoading || !bike.bookings) {
+        return { ...unknown, status: 'loading' };
+    }
+
+    // Variants sharing a product pool all count against the same units, so
+    // the pool's free units are unknown until every variant in it has synced
+    const poolBikes = bike.stockMode === 'product' ? (stockPools[bike.productId] || [bike]) : [bike];
+    if (poolBikes.some(poolBike => poolBike.error)) {
+        return { ...unknown, status: 'error' };
+    }
+    if (poolBikes.some(poolBike => poolBike.isLoading || !poolBike.bookings)) {
+        return { ...unknown, status: 'loading' };
+    }
+
+    const yearMonthDay = format(date, 'yyyy/MM/dd');
+    const dayOfWeek = getDay(date); // 0 = Sunday, 6 = Saturday
+
+    // 1. Check closures, holidays and dates blocked by the booking rules
+    const closedReason = getClosureReason(bike, date, globalSettings);
+
+    // 2. Check opening halves from the pickup/return slots
+    // Without a slot table, fall back to Saturday being a morning-only day
+    const openHalves = getOpenHalves(bike, dayOfWeek) || { am: true, pm: dayOfWeek !== 6, splitAt: getOpeningMidpoint(bike) };
+    const isStoreClosed = Boolean(closedReason) || (!openHalves.am && !openHalves.pm);
+    const isHalfDay = openHalves.am !== openHalves.pm;
+
+    // 3. Check Bookings against stock, across the whole pool
+    const freeAt = (time) => Math.max(0, capacity - poolBikes.reduce(
+        (sum, poolBike) => sum + getBookedUnits(poolBike.bookings, yearMonthDay, capacity, time, openHalves.splitAt),
+        0
+    ));
+
+    // Morning is judged at opening, afternoon at closing
+    const amFree = freeAt('00:00');
+    const pmFree = freeAt('23:59');
+    const free = Math.min(amFree, pmFree);
+
+    const halfStatus = (halfFree, isOpen) => {
+        if (halfFree === 0) return 'booked';
+        if (isStoreClosed || !isOpen) return 'closed';
+        if (halfFree < capacity) return 'partial';
+        return 'available';
+    };
+    const halves = {
+        am: { status: halfStatus(amFree, openHalves.am), free: amFree, open: !isStoreClosed && openHalves.am },
+        pm: { status: halfStatus(pmFree, openHalves.pm), free: pmFree, open: !isStoreClosed && openHalves.pm }
+    };
+
+    const rentableAm = halves.am.status === 'available' || halves.am.status === 'partial';
+    const rentablePm = halves.pm.status === 'available' || halves.pm.status === 'partial';
+
+    let status = 'available';
+    if (amFree === 0 && pmFree === 0) status = 'booked';
+    else if (isStoreClosed) status = 'closed';
+    else if (!rentableAm && !rentablePm) status = 'booked';
+    else if (amFree === 0) status = 'afternoon';
+    else if (pmFree === 0) status = 'morning';
+    else if (free < capacity) status = 'partial';
+    else if (isHalfDay) status = 'half';
+
+    // 4. Pickup/return slots that are actually free
+    const slots = getSlotsForWeekday(bike, dayOfWeek);
+    const hours = getOpeningHours(bike);
+    const isSlotOpen = (slot) => {
+        if (isStoreClosed) return false;
+        // After-hours slots (e.g. 20:00 drop-off) don't depend on the shop being staffed
+        if (!isWithinOpeningHours(slot, hours)) return true;
+        return slot < openHalves.splitAt ? openHalves.am : openHalves.pm;
+    };
+    const freeSlots = (list) => (list || []).filter(slot => isSlotOpen(slot) && freeAt(slot) > 0);
+
+    // 5. Weekday, notice and blocked-date rules for starting or ending a rental here
+    const pickupReasons = getPickupReasons(bike, date, globalSettings, { today });
+    const returnReasons = getReturnReasons(bike, date, globalSettings);
+
+    return {
+        status,
+        free,
+        capacity,
+        isHalfDay,
+        halves,
+        closedReason,
+        pickupReasons,
+        returnReasons,
+        pickupSlots: pickupReasons.length > 0 ? [] : freeSlots(slots?.pickup),
+        returnSlots: returnReasons.length > 0 ? [] : freeSlots(slots?.return)
+    };
+}
+
+/**
+ * Rolls up a model's units into one day status, e.g. "3 of 5 units free"
+ * Units sharing a product pool count once; units whose bookings failed to
+ * sync are left out and reported as `unknownUnits`.
+ * @param {Array} bikes - All variants of the model
+ * @returns {Object} { status, free, capacity, unknownUnits, halves: { am, pm } }
+ */
+export function getModelDayAvailability(bikes, date, globalSettings, stockPools = {}, options) {
+    const days = bikes.map(bike => getDayAvailability(bike, date, globalSettings, stockPools, options));
+    const known = days.filter(day => day.status !== 'error');
+    const unknownUnits = days.length - known.length;
+
+    if (known.length === 0) return { status: 'error', free: null, capacity: null, unknownUnits, halves: null };
+    if (known.some(day => day.status === 'loading')) return { status: 'loading', free: null, capacity: null, unknownUnits, halves: null };
+
+    const isPooled = bikes.every(bike => bike.stockMode === 'product' && bike.productStock > 0);
+    const total = (pick) => isPooled ? Math.max(...known.map(pick)) : known.reduce((sum, day) => sum + pick(day), 0);
+
+    const capacity = isPooled ? known[0].capacity : total(day => day.capacity);
+    const free = total(day => day.free);
+    const amFree = total(day => day.halves.am.free);
+    const pmFree = total(day => day.halves.pm.free);
+
+    let status = 'partial';
+    if (known.every(day => day.status === 'closed')) status = 'closed';
+    else if (amFree === 0 && pmFree === 0) status = 'booked';
+    else if (free === 0) status = amFree === 0 ? 'afternoon' : 'morning';
+    else if (free === capacity && known.every(day => day.status === 'available')) status = 'available';
+    else if (free === capacity && known.every(day => day.status === 'half')) status = 'half';
+
+    return {
+        status,
+        free,
+        capacity,
+        unknownUnits,
+        halves: {
+            am: { free: amFree, open: known.some(day => day.halves.am.open) },
+            pm: { free: pmFree, open: known.some(day => day.halves.pm.open) }
+        }
+    };
+}
+
+/**
+ * Determines the status of a bike on a given day
+ * @returns {string} 'error' | 'loading' | 'booked' | 'closed' | 'morning' | 'afternoon' | 'partial' | 'half' | 'available'
+ */
+export function getDayStatus(bike, date, globalSettings, stockPools) {
+    return getDayAvailability(bike, date, globalSettings, stockPools).status;
+}
+
+/**
+ * Returns true when a unit can be picked up on a day under both the booking
+ * rules and the current bookings
+ */
+export function canPickUp(bike, date, globalSettings, stockPools, options) {
+    const day = getDayAvailability(bike, date, globalSettings, stockPools, options);
+    return AVAILABLE_STATUSES.includes(day.status) && day.pickupReasons.length === 0;
+}
+
+/**
+ * Checks a rental against the booking rules and the day-by-day availability
+ * returned by `dayAt(date)`
+ */
+function checkRentalDays(bike, start, end, globalSettings, dayAt, today) {
+    const result = evaluateBooking(bike, start, end, globalSettings, { today });
+    if (result.days === 0) return result;
+
+    const reasons = [...result.reasons];
+    const lastDay = differenceInCalendarDays(end, start);
+    const bookedDays = [];
+
+    for (let i = 0; i <= lastDay; i++) {
+        const date = addDays(start, i);
+        const day = dayAt(date);
+
+        if (day.status === 'error' || day.status === 'loading') {
+            reasons.push(day.status === 'error' ? 'availability unknown (sync failed)' : 'availability still loading');
+            break;
+        }
+
+        const isFree = i === 0 && i === lastDay ? day.free > 0
+            : i === 0 ? day.halves.pm.free > 0
+                : i === lastDay ? day.halves.am.free > 0
+                    : day.free > 0;
+        if (!isFree) bookedDays.push(date);
+    }
+
+    if (bookedDays.length > 0) {
+        reasons.push(`booked on ${bookedDays.map(date => format(date, 'd MMM')).join(', ')}`);
+    }
+
+    return { ...result, bookable: reasons.length === 0, reasons };
+}
+
+/**
+ * Checks whether a bike can actually be rented from `start` to `end`
+ * Combines the booking rules with the bookings: a unit must be free from the
+ * pickup afternoon, on every day in between and until the return morning.
+ * @returns {Object} { bookable, days, reasons }
+ */
+export function checkRental(bike, start, end, globalSettings, stockPools, { today = getShopToday() } = {}) {
+    const dayAt = (date) => getDayAvailability(bike, date, globalSettings, stockPools, { today });
+    return checkRentalDays(bike, start, end, globalSettings, dayAt, today);
+}
+
+/**
+ * Finds the earliest rental of `days` chargeable days a bike can be booked for
+ * Searches past the visible grid, up to how far ahead bookings open (at most
+ * MAX_WINDOW_SEARCH_DAYS) unless `horizonDays` is given.
+ * @returns {Object|null} { start, end } or null when nothing opens within the horizon or bookings aren't known
+ */
+export function findNextWindow(bike, days, globalSettings, stockPools, { today = getShopToday(), horizonDays } = {}) {
+    if (bike.error || bike.isLoading || !bike.bookings) return null;
+
+    const from = startOfDay(today);
+    const horizon = horizonDays ?? Math.min(getBookingRules(bike).maxAdvanceDays, MAX_WINDOW_SEARCH_DAYS);
+
+    // Each day is looked at by many candidate windows
+    const cache = new Map();
+    const dayAt = (date) => {
+        const key = differenceInCalendarDays(date, from);
+        if (!cache.has(key)) cache.set(key, getDayAvailability(bike, date, globalSettings, stockPools, { today }));
+        return cache.get(key);
+    };
+
+    for (let i = 0; i <= horizon; i++) {
+        const start = addDays(from, i);
+        const pickupDay = dayAt(start);
+        if (!AVAILABLE_STATUSES.includes(pickupDay.status) || pickupDay.pickupReasons.length > 0) continue;
+
+        const end = getReturnDate(bike, start, days);
+        if (checkRentalDays(bike, start, end, globalSettings, dayAt, today).bookable) {
+            return { start, end };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Suggests booking longer when it costs less and the extra days are free
+ * Tries the cheaper lengths from findCheaperLongerRentals() from the same
+ * pickup day, cheapest first.
+ * @param {Date} start - Pickup day of the requested rental
+ * @param {number} days - Requested rental length
+ * @returns {Object|null} { days, total, savings, requestedDays, requestedTotal, start, end } or null
+ */
+export function findCheaperLongerRental(bike, start, days, globalSettings, stockPools, { today = getShopToday() } = {}) {
+    if (bike.error || bike.isLoading || !bike.bookings) return null;
+
+    for (const option of findCheaperLongerRentals(bike.pricing, days)) {
+        const end = getReturnDate(bike, start, option.days);
+        if (checkRental(bike, start, end, globalSettings, stockPools, { today }).bookable) {
+            return { ...option, requestedDays: days, requestedTotal: getPriceForDuration(bike, days), start, end };
+        }
+    }
+
+    return null;
+}
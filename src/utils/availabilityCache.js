@@ -0,0 +1,142 @@
+/**
+ * Persistent cache for catalog, image and booking data backed by IndexedDB
+ * Lets the dashboard render the last known availability instantly and open
+ * in read-only offline mode when the network is unavailable. Also holds the
+ * user's watchlist (see watchlist.js), auto-refresh interval and the history
+ * of past syncs (see snapshotHistory.js).
+ * Every function degrades to a no-op when IndexedDB is not available.
+ */
+
+const DB_NAME = 'xpertmoto-availability';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+export const CACHE_KEYS = {
+    catalog: 'catalog',
+    imageMap: 'imageMap',
+    addonPrices: 'addonPrices',
+    watchlist: 'watchlist',
+    autoRefresh: 'autoRefresh',
+    bookings: (variantId) => `bookings:${variantId}`,
+    snapshot: (takenAt) => `snapshot:${takenAt}`
+};
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.resolve(null);
+    }
+
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('[Cache] Failed to open IndexedDB:', request.error?.message);
+                resolve(null);
+            };
+        });
+    }
+
+    return dbPromise;
+}
+
+function runTransaction(mode, operation) {
+    return openDatabase().then(db => {
+        if (!db) return null;
+
+        return new Promise((resolve) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+
+            transaction.oncomplete = () => resolve(request?.result ?? null);
+            transaction.onerror = () => {
+                console.error('[Cache] Transaction failed:', transaction.error?.message);
+                resolve(null);
+            };
+        });
+    });
+}
+
+/**
+ * Reads a cached entry
+ * @returns {Promise<Object|null>} { key, value, savedAt } or null when missing
+ */
+export function getCached(key) {
+    return runTransaction('readonly', store => store.get(key));
+}
+
+/**
+ * Reads several cached entries at once
+ * @returns {Promise<Object>} Map of key to { key, value, savedAt } for keys that exist
+ */
+export async function getManyCached(keys) {
+    const entries = await runTransaction('readonly', store => store.getAll());
+    const wanted = new Set(keys);
+    const result = {};
+
+    (entries || []).forEach(entry => {
+        if (wanted.has(entry.key)) {
+            result[entry.key] = entry;
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Lists the cached keys starting with `prefix`, in key order
+ * @returns {Promise<Array<string>>}
+ */
+export async function getCachedKeys(prefix) {
+    const keys = await runTransaction('readonly', store => store.getAllKeys(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+    return keys || [];
+}
+
+/**
+ * Reads the cached entries whose key starts with `prefix`, in key order
+ * @returns {Promise<Array<Object>>} [{ key, value, savedAt }]
+ */
+export async function getCachedByPrefix(prefix) {
+    const entries = await runTransaction('readonly', store => store.getAll(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+    return entries || [];
+}
+
+/**
+ * Writes several values and removes keys in a single transaction
+ * @param {Object} values - Map of key to value
+ * @param {Array<string>} removeKeys - Keys to delete
+ */
+export function updateCached(values, removeKeys = []) {
+    const savedAt = new Date().toISOString();
+    return runTransaction('readwrite', store => {
+        Object.entries(values).forEach(([key, value]) => store.put({ key, value, savedAt }));
+        removeKeys.forEach(key => store.delete(key));
+    });
+}
+
+/**
+ * Writes a value to the cache, stamped with the current time
+ */
+export function setCached(key, value) {
+    return runTransaction('readwrite', store => store.put({
+        key,
+        value,
+        savedAt: new Date().toISOString()
+    }));
+}
+
+/**
+ * Removes every cached entry
+ */
+export function clearCache() {
+    return runTransaction('readwrite', store => store.clear());
+}
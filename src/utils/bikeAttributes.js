@@ -0,0 +1,133 @@
+import overrides from '../config/bikeAttributes.json' with { type: 'json' };
+
+/**
+ * Structured bike attributes derived from the product handle
+ * Handles look like `yamaha-nmax155-rental`: brand first, then the model with
+ * its engine size. Anything the handle gets wrong (e.g. `mt03` is 321cc) is
+ * fixed per handle in `src/config/bikeAttributes.json`, which may set any of
+ * `brand`, `model`, `cc`, `style` and `lams`.
+ */
+
+export const BIKE_STYLES = ['scooter', 'naked', 'sport', 'adventure', 'cruiser'];
+
+// Learner Approved Motorcycle Scheme: only bikes up to 660cc qualify
+export const LAMS_MAX_CC = 660;
+
+export const ENGINE_CLASSES = [
+    { id: 'upTo125', label: 'Up to 125cc', min: 0, max: 125 },
+    { id: 'upTo300', label: '126–300cc', min: 126, max: 300 },
+    { id: 'upTo500', label: '301–500cc', min: 301, max: 500 },
+    { id: 'upTo700', label: '501–700cc', min: 501, max: 700 },
+    { id: 'over700', label: 'Over 700cc', min: 701, max: Infinity }
+];
+
+export const EMPTY_FACETS = {
+    brands: [],
+    styles: [],
+    engineClasses: [],
+    lamsOnly: false,
+    minPricePerDay: null,
+    maxPricePerDay: null
+};
+
+// Brands whose name spans several handle words, and how brands are written
+const MULTI_WORD_BRANDS = ['royal-enfield', 'harley-davidson'];
+const BRAND_NAMES = {
+    bmw: 'BMW',
+    cfmoto: 'CFMOTO',
+    ktm: 'KTM',
+    'royal-enfield': 'Royal Enfield',
+    'harley-davidson': 'Harley-Davidson'
+};
+
+// Checked in order against the model part of the handle; anything else is a naked bike
+const STYLE_PATTERNS = [
+    { style: 'scooter', pattern: /\b(nsc\d+|dio|nmax\d*|xmax\d*)\b/ },
+    { style: 'adventure', pattern: /adventure|himalayan|tenere|gs\b|\d+(x|mt)\b/ },
+    { style: 'cruiser', pattern: /vulcan|sportster/ },
+    { style: 'sport', pattern: /\b(cbr|gsx|rc|ninja|r\d+)/ }
+];
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Splits a handle into its brand and model slugs
+ */
+function splitHandle(handle) {
+    const slug = handle.replace(/-rental$/, '');
+    const brand = MULTI_WORD_BRANDS.find(name => slug.startsWith(`${name}-`)) || slug.split('-')[0];
+    return { brand, model: slug.slice(brand.length + 1) };
+}
+
+/**
+ * Reads the engine size from the model slug: the first number of 50 or more
+ * ("nmax155" -> 155, "390-adventure" -> 390), or null when there is none
+ */
+function deriveCc(modelSlug) {
+    const sizes = (modelSlug.match(/\d+/g) || []).map(Number).filter(size => size >= 50);
+    return sizes.length > 0 ? sizes[0] : null;
+}
+
+/**
+ * Returns a bike's brand, model, engine capacity, style and LAMS eligibility
+ * @param {string} handle - Product handle, e.g. "ktm-390-adventure-rental"
+ * @returns {Object} { brand, model, cc, style, lams } - cc is null when unknown
+ */
+export function getBikeAttributes(handle) {
+    const { brand, model } = splitHandle(handle);
+    const cc = deriveCc(model);
+
+    const derived = {
+        brand: BRAND_NAMES[brand] || brand.split('-').map(capitalize).join(' '),
+        // Words with digits are model codes (CB500X), the rest are names (Adventure)
+        model: model.split('-').map(word => /\d/.test(word) ? word.toUpperCase() : capitalize(word)).join(' '),
+        cc,
+        style: STYLE_PATTERNS.find(({ pattern }) => pattern.test(model))?.style || 'naked'
+    };
+
+    const attributes = { ...derived, ...overrides[handle] };
+    if (typeof attributes.lams !== 'boolean') {
+        attributes.lams = attributes.cc !== null && attributes.cc <= LAMS_MAX_CC;
+    }
+
+    return attributes;
+}
+
+/**
+ * Returns true when any facet is set
+ */
+export function hasActiveFacets(facets) {
+    return facets.brands.length > 0
+        || facets.styles.length > 0
+        || facets.engineClasses.length > 0
+        || facets.lamsOnly
+        || facets.minPricePerDay !== null
+        || facets.maxPricePerDay !== null;
+}
+
+/**
+ * Checks a bike against the facet filters
+ * Values within one facet are OR-ed (Honda or Yamaha), facets are AND-ed.
+ * @param {Object} bike - Bike with `attributes`
+ * @param {Object} facets - See EMPTY_FACETS
+ * @param {number} pricePerDay - The bike's daily price for the current rental length
+ */
+export function matchesFacets(bike, facets, pricePerDay) {
+    const { brand, style, cc, lams } = bike.attributes;
+
+    if (facets.brands.length > 0 && !facets.brands.includes(brand)) return false;
+    if (facets.styles.length > 0 && !facets.styles.includes(style)) return false;
+    if (facets.lamsOnly && !lams) return false;
+
+    if (facets.engineClasses.length > 0) {
+        const inClass = cc !== null && ENGINE_CLASSES.some(engineClass =>
+            facets.engineClasses.includes(engineClass.id) && cc >= engineClass.min && cc <= engineClass.max
+        );
+        if (!inClass) return false;
+    }
+
+    if (facets.minPricePerDay !== null && pricePerDay < facets.minPricePerDay) return false;
+    if (facets.maxPricePerDay !== null && pricePerDay > facets.maxPricePerDay) return false;
+
+    return true;
+}
@@ -0,0 +1,198 @@
+import { addDays, differenceInCalendarDays, eachDayOfInterval, format, getDay, startOfDay } from 'date-fns';
+import { getShopToday } from './shopTime.js';
+
+/**
+ * Booking rules from the Izyrent metafields
+ * Decides whether a bike may be picked up, returned or rented over a date
+ * range according to the catalog settings alone - existing bookings are
+ * checked in availability.js. Settings in `variantStock[variantId]` override
+ * the product-level ones.
+ */
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const ALL_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+
+/**
+ * Returns the first value that parses as an integer, or the fallback
+ */
+function firstInt(values, fallback) {
+    for (const value of values) {
+        const number = parseInt(value);
+        if (!Number.isNaN(number)) return number;
+    }
+    return fallback;
+}
+
+/**
+ * Converts an `activeDays.start/end` list (["1", "2", ...]) into weekday numbers
+ * A missing or empty list means no weekday restriction.
+ */
+function toWeekdays(list) {
+    if (!Array.isArray(list) || list.length === 0) return ALL_WEEKDAYS;
+    return list.map(day => parseInt(day)).filter(day => ALL_WEEKDAYS.includes(day));
+}
+
+/**
+ * Returns true when a date is listed in a `{ yyyy: { M: [d, ...] } }` calendar
+ * (the shape of `disabledDates` and `disabledDatesGlobal`)
+ */
+export function isDateInCalendar(calendar, date) {
+    const days = calendar?.[format(date, 'yyyy')]?.[String(date.getMonth() + 1)];
+    return Array.isArray(days) && days.some(day => parseInt(day) === date.getDate());
+}
+
+/**
+ * Merges several `{ yyyy: { M: [d, ...] } }` calendars into one
+ */
+export function mergeCalendars(calendars) {
+    const merged = {};
+
+    calendars.forEach(calendar => {
+        if (!calendar || typeof calendar !== 'object') return;
+
+        Object.entries(calendar).forEach(([year, months]) => {
+            Object.entries(months || {}).forEach(([month, days]) => {
+                if (!Array.isArray(days)) return;
+                merged[year] ||= {};
+                merged[year][month] = [...new Set([...(merged[year][month] || []), ...days.map(day => parseInt(day))])];
+            });
+        });
+    });
+
+    return merged;
+}
+
+/**
+ * Returns the booking rules that apply to a bike variant
+ * @returns {Object} { pickupDays, returnDays, minRange, maxRange, minNoticeDays, maxAdvanceDays, countLastRangeDay, disabledDates }
+ */
+export function getBookingRules(bike) {
+    const metafields = bike.metafields || {};
+    const variant = metafields.variantStock?.[bike.variantId] || {};
+
+    // Variants store `activeDays: false` when they inherit the product's days
+    const activeDays = variant.activeDays && typeof variant.activeDays === 'object'
+        ? variant.activeDays
+        : metafields.activeDays;
+
+    return {
+        pickupDays: toWeekdays(activeDays?.start),
+        returnDays: toWeekdays(activeDays?.end),
+        minRange: Math.max(1, firstInt([variant.minRange, metafields.minRangeDays], 1)),
+        maxRange: firstInt([variant.maxRange, metafields.maxRangeDays], Infinity),
+        minNoticeDays: firstInt([variant.minDays, metafields.minDays], 0),
+        maxAdvanceDays: firstInt([metafields.maxDays], Infinity),
+        countLastRangeDay: metafields.countLastRangeDay === true,
+        disabledDates: mergeCalendars([metafields.disabledDates, variant.disabledDates])
+    };
+}
+
+/**
+ * Returns the number of chargeable days between a pickup and a return date
+ * The return day is only counted when the catalog sets `countLastRangeDay`,
+ * and a same-day rental always counts as one day.
+ */
+export function getRentalDays(bike, start, end) {
+    const days = differenceInCalendarDays(end, start) + (getBookingRules(bike).countLastRangeDay ? 1 : 0);
+    return Math.max(1, days);
+}
+
+/**
+ * Returns the return day of a rental of `days` chargeable days starting on `start`
+ * (the inverse of getRentalDays)
+ */
+export function getReturnDate(bike, start, days) {
+    const offset = getBookingRules(bike).countLastRangeDay ? days - 1 : days;
+    return addDays(start, Math.max(0, offset));
+}
+
+/**
+ * Returns why a bike can't be picked up or returned at all on a day, or null
+ * @param {Object} globalSettings - { closures, disabledDatesGlobal }
+ */
+export function getClosureReason(bike, date, globalSettings) {
+    const dayOfWeek = getDay(date);
+    const rules = getBookingRules(bike);
+
+    if (globalSettings.closures.includes(dayOfWeek)) return `shop closed on ${WEEKDAY_NAMES[dayOfWeek]}s`;
+    if (isDateInCalendar(globalSettings.disabledDatesGlobal, date)) return 'shop closed (holiday)';
+    if (isDateInCalendar(rules.disabledDates, date)) return 'date blocked for this bike';
+    if (!rules.pickupDays.includes(dayOfWeek) && !rules.returnDays.includes(dayOfWeek)) {
+        return `no pickups or returns on ${WEEKDAY_NAMES[dayOfWeek]}`;
+    }
+
+    return null;
+}
+
+/**
+ * Lists the reasons a bike can't be picked up on a day (empty when it can)
+ * @param {Object} options - { today }
+ */
+export function getPickupReasons(bike, date, globalSettings, { today = getShopToday() } = {}) {
+    const rules = getBookingRules(bike);
+    const dayOfWeek = getDay(date);
+    const daysAhead = differenceInCalendarDays(date, startOfDay(today));
+    const reasons = [];
+
+    const closure = getClosureReason(bike, date, globalSettings);
+    if (!rules.pickupDays.includes(dayOfWeek)) reasons.push(`pickups not allowed on ${WEEKDAY_NAMES[dayOfWeek]}`);
+    else if (closure) reasons.push(`pickup day: ${closure}`);
+
+    if (daysAhead < 0) reasons.push('pickup date is in the past');
+    else if (daysAhead < rules.minNoticeDays) reasons.push(`book at least ${rules.minNoticeDays} ${rules.minNoticeDays === 1 ? 'day' : 'days'} ahead`);
+    else if (daysAhead > rules.maxAdvanceDays) reasons.push(`bookings open at most ${rules.maxAdvanceDays} days ahead`);
+
+    return reasons;
+}
+
+/**
+ * Lists the reasons a bike can't be returned on a day (empty when it can)
+ */
+export function getReturnReasons(bike, date, globalSettings) {
+    const rules = getBookingRules(bike);
+    const dayOfWeek = getDay(date);
+
+    if (!rules.returnDays.includes(dayOfWeek)) return [`returns not allowed on ${WEEKDAY_NAMES[dayOfWeek]}`];
+
+    const closure = getClosureReason(bike, date, globalSettings);
+    if (closure) return [`return day: ${closure}`];
+
+    return [];
+}
+
+/**
+ * Checks a pickup/return pair against the bike's booking rules
+ * Shop closures only matter on the pickup and return days, but a date blocked
+ * for the bike itself can't fall anywhere inside the rental.
+ * @param {Object} bike - Bike with `metafields` (see extractBikeMetadata)
+ * @param {Date} start - Pickup day
+ * @param {Date} end - Return day
+ * @param {Object} globalSettings - { closures, disabledDatesGlobal }
+ * @param {Object} options - { today }
+ * @returns {Object} { bookable, days, reasons }
+ */
+export function evaluateBooking(bike, start, end, globalSettings, { today = getShopToday() } = {}) {
+    if (differenceInCalendarDays(end, start) < 0) {
+        return { bookable: false, days: 0, reasons: ['return date is before pickup date'] };
+    }
+
+    const rules = getBookingRules(bike);
+    const days = getRentalDays(bike, start, end);
+    const reasons = [
+        ...getPickupReasons(bike, start, globalSettings, { today }),
+        ...getReturnReasons(bike, end, globalSettings)
+    ];
+
+    if (days < rules.minRange) reasons.push(`minimum ${rules.minRange} ${rules.minRange === 1 ? 'day' : 'days'}`);
+    if (days > rules.maxRange) reasons.push(`maximum ${rules.maxRange} ${rules.maxRange === 1 ? 'day' : 'days'}`);
+
+    const blocked = eachDayOfInterval({ start, end })
+        .slice(1, -1)
+        .filter(date => isDateInCalendar(rules.disabledDates, date));
+    if (blocked.length > 0) {
+        reasons.push(`blocked for this bike on ${blocked.map(date => format(date, 'd MMM')).join(', ')}`);
+    }
+
+    return { bookable: reasons.length === 0, days, reasons };
+}
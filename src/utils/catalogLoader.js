@@ -0,0 +1,163 @@
+import { CACHE_KEYS, setCached } from './availabilityCache.js';
+
+/**
+ * Loads the product catalog (products + Izyrent booking metafields)
+ * Tries the live Shopify Storefront GraphQL API first and falls back to the
+ * bundled example.json snapshot, which has the same response shape.
+ */
+
+const env = import.meta.env || {};
+
+export const STOREFRONT_URL = env.VITE_STOREFRONT_URL || 'https://xpertmoto.com.au/api/2025-01/graphql.json';
+export const STOREFRONT_TOKEN = env.VITE_STOREFRONT_TOKEN || '';
+export const BOOKING_METAFIELD = {
+    namespace: env.VITE_BOOKING_METAFIELD_NAMESPACE || 'izyrent',
+    key: env.VITE_BOOKING_METAFIELD_KEY || 'settings',
+    legacyKey: env.VITE_BOOKING_METAFIELD_LEGACY_KEY || 'settings_old'
+};
+
+const LIVE_TIMEOUT_MS = 8000;
+
+/**
+ * Builds the Storefront query used to produce example.json
+ * Field aliases (newMetafields/oldMetafields) match the snapshot so
+ * extractBikeMetadata can consume either source unchanged.
+ */
+export function buildCatalogQuery({ namespace, key, legacyKey } = BOOKING_METAFIELD, first = 250) {
+    return `query FleetCatalog {
+  products(first: ${first}) {
+    nodes {
+      id
+      handle
+      priceRange { minVariantPrice { amount } }
+      updatedAt
+      newMetafields: metafield(namespace: "${namespace}", key: "${key}") { id value }
+      oldMetafields: metafield(namespace: "${namespace}", key: "${legacyKey}") { id value }
+    }
+  }
+}`;
+}
+
+/**
+ * Converts a products connection into the `data.productN` shape of example.json
+ * Products without a booking metafield (add-ons, merch) are dropped.
+ */
+export function normalizeCatalogResponse(body) {
+    if (body.errors && body.errors.length > 0) {
+        throw new Error(`Storefront API error: ${body.errors[0].message}`);
+    }
+
+    const nodes = body.data?.products?.nodes;
+    if (!Array.isArray(nodes)) {
+        throw new Error('Storefront API returned no products');
+    }
+
+    const data = {};
+    nodes
+        .filter(product => product.newMetafields?.value)
+        .forEach((product, index) => {
+            data[`product${index}`] = product;
+        });
+
+    if (Object.keys(data).length === 0) {
+        throw new Error('Storefront API returned no bookable products');
+    }
+
+    return { data, extensions: body.extensions };
+}
+
+/**
+ * Returns the most recent product `updatedAt` in a catalog, or null
+ */
+export function getCatalogTimestamp(exampleData) {
+    const timestamps = Object.values(exampleData?.data || {})
+        .map(product => product?.updatedAt)
+        .filter(Boolean)
+        .sort();
+
+    return timestamps.length > 0 ? timestamps[timestamps.length - 1] : null;
+}
+
+/**
+ * Runs the catalog query against the storefront
+ * @param {Object} options - { url, token, signal, fetchImpl }
+ * @returns {Promise<Object>} Catalog in example.json shape
+ */
+export async function fetchLiveCatalog({
+    url = STOREFRONT_URL,
+    token = STOREFRONT_TOKEN,
+    signal,
+    fetchImpl = fetch
+} = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+        headers['X-Shopify-Storefront-Access-Token'] = token;
+    }
+
+    // Give up on a hanging storefront quickly - the snapshot is a fine fallback
+    const timeout = AbortSignal.timeout(LIVE_TIMEOUT_MS);
+    const response = await fetchImpl(url, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ query: buildCatalogQuery() }),
+        signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+
+    if (!response.ok) {
+        throw new Error(`Storefront API responded with HTTP ${response.status}`);
+    }
+
+    return normalizeCatalogResponse(await response.json());
+}
+
+/**
+ * Fetches the bundled example.json snapshot
+ * @param {string} url - Snapshot URL
+ * @param {Object} options - { signal, fetchImpl }
+ */
+export async function fetchSnapshotCatalog(url, { signal, fetchImpl = fetch } = {}) {
+    const response = await fetchImpl(url, { signal });
+    if (!response.ok) {
+        throw new Error(`Catalog request failed with HTTP ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Loads the catalog from the live storefront, falling back to the snapshot
+ * Without a storefront token the live query is skipped, as the storefront
+ * would reject it. The result is cached for offline use.
+ * @param {Object} options - { snapshotUrl, liveUrl, token, signal, fetchImpl }
+ * @returns {Promise<Object>} { exampleData, source: 'live' | 'snapshot', catalogUpdatedAt, error }
+ */
+export async function loadCatalog({ snapshotUrl, liveUrl, token = STOREFRONT_TOKEN, signal, fetchImpl } = {}) {
+    let exampleData;
+    let source = 'live';
+    let liveError = null;
+
+    if (!token) {
+        console.log('[Catalog] No storefront token configured, using bundled snapshot');
+        source = 'snapshot';
+        exampleData = await fetchSnapshotCatalog(snapshotUrl, { signal, fetchImpl });
+    } else {
+        try {
+            console.log('[Catalog] Loading live catalog from storefront...');
+            exampleData = await fetchLiveCatalog({ url: liveUrl, token, signal, fetchImpl });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+
+            console.error('[Catalog] Live catalog unavailable, using bundled snapshot:', error.message);
+            liveError = error.message;
+            source = 'snapshot';
+            exampleData = await fetchSnapshotCatalog(snapshotUrl, { signal, fetchImpl });
+        }
+    }
+
+    const catalogUpdatedAt = getCatalogTimestamp(exampleData);
+    console.log(`[Catalog] Using ${source} catalog (updated ${catalogUpdatedAt || 'unknown'})`);
+
+    setCached(CACHE_KEYS.catalog, exampleData);
+
+    return { exampleData, source, catalogUpdatedAt, error: liveError };
+}
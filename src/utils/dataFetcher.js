@@ -1,69 +1,204 @@
-import axios from 'axios';
+import {
+    DEFAULT_CONCURRENCY,
+    DEFAULT_RETRIES,
+    isAbortError,
+    runWithConcurrency,
+    withRetry
+} from './fetchScheduler.js';
+import { CACHE_KEYS, getCached, getManyCached, setCached } from './availabilityCache.js';
+import { getCatalogTimestamp } from './catalogLoader.js';
+import { mergeCalendars } from './bookingRules.js';
+import { getBikeAttributes } from './bikeAttributes.js';
+import { izyrentProvider } from '../providers/izyrentProvider.js';
 
 /**
- * Fetches and aggregates bike availability data from Shopify and Izyrent APIs
+ * Fetches and aggregates bike availability data through a booking provider
+ * (Shopify + Izyrent by default, see src/providers)
  * This runs entirely in the browser - no backend needed!
  */
 
-const SHOPIFY_PRODUCTS_URL = 'https://xpertmoto.com.au/products.json?limit=250';
-const IZYRENT_API_URL = 'https://izyrent.speaz.com/front/get_bookings';
-const SHOP_DOMAIN = '7f13fc-4d.myshopify.com';
-
 /**
- * Fetches product images from Shopify
+ * Fetches product images through the provider
+ * Falls back to the last cached image map when the request fails
+ * @param {Object} provider - Booking provider (defaults to Izyrent/Shopify)
  */
-export async function fetchProductImages() {
+export async function fetchProductImages(provider = izyrentProvider) {
     try {
-        const response = await axios.get(SHOPIFY_PRODUCTS_URL);
-        const imageMap = {};
-
-        response.data.products.forEach(p => {
-            if (p.images && p.images.length > 0) {
-                imageMap[p.handle] = p.images[0].src;
-            }
-        });
+        const imageMap = await provider.fetchImages();
 
+        if (provider.cacheable) {
+            setCached(CACHE_KEYS.imageMap, imageMap);
+        }
         return imageMap;
     } catch (error) {
         console.error('[Fetch] Failed to fetch product images:', error.message);
-        return {};
+        if (!provider.cacheable) return {};
+
+        const cached = await getCached(CACHE_KEYS.imageMap);
+        return cached?.value || {};
     }
 }
 
 /**
- * Fetches booking data from Izyrent for a specific bike variant
+ * Fetches add-on product prices through the provider
+ * Falls back to the last cached prices when the request fails
+ * @param {Object} provider - Booking provider (defaults to Izyrent/Shopify)
+ * @returns {Promise<Object>} Map of add-on variantId to { handle, title, price }
  */
-async function fetchBookings(product) {
+export async function fetchAddonPrices(provider = izyrentProvider) {
     try {
-        const payload = {
-            shop: SHOP_DOMAIN,
-            idProduct: parseInt(product.productId),
-            countLastRangeDay: false,
-            interval: {
-                stock: product.metafields.stock || "product",
-                variantStock: {
-                    product: product.metafields.variantStock.product,
-                    [product.variantId]: product.metafields.variantStock[product.variantId]
-                }
-            },
-            timeRange: false,
-            expiration: 15
+        const addonPrices = await provider.fetchAddonPrices();
+
+        if (provider.cacheable) {
+            setCached(CACHE_KEYS.addonPrices, addonPrices);
+        }
+        return addonPrices;
+    } catch (error) {
+        console.error('[Fetch] Failed to fetch add-on prices:', error.message);
+        if (!provider.cacheable) return {};
+
+        const cached = await getCached(CACHE_KEYS.addonPrices);
+        return cached?.value || {};
+    }
+}
+
+/**
+ * Loads the last known catalog, images and bookings from the persistent cache
+ * @returns {Promise<Object|null>} { exampleData, imageMap, addonPrices, bookings, cachedAt, catalogUpdatedAt } or null when nothing is cached
+ */
+export async function loadCachedAvailability() {
+    const catalog = await getCached(CACHE_KEYS.catalog);
+    if (!catalog) return null;
+
+    const imageMap = await getCached(CACHE_KEYS.imageMap);
+    const addonPrices = await getCached(CACHE_KEYS.addonPrices);
+    const { bikes } = extractBikeMetadata(catalog.value, {});
+    const entries = await getManyCached(bikes.map(bike => CACHE_KEYS.bookings(bike.variantId)));
+
+    const bookings = {};
+    bikes.forEach(bike => {
+        const entry = entries[CACHE_KEYS.bookings(bike.variantId)];
+        if (entry) {
+            bookings[bike.variantId] = { bookings: entry.value, savedAt: entry.savedAt };
+        }
+    });
+
+    // The oldest booking entry decides how stale the cached view is
+    const cachedAt = Object.values(bookings)
+        .map(entry => entry.savedAt)
+        .reduce((oldest, savedAt) => (savedAt < oldest ? savedAt : oldest), catalog.savedAt);
+
+    console.log(`[Cache] Loaded cached bookings for ${Object.keys(bookings).length}/${bikes.length} bikes`);
+
+    return {
+        exampleData: catalog.value,
+        imageMap: imageMap?.value || {},
+        addonPrices: addonPrices?.value || {},
+        bookings,
+        cachedAt,
+        catalogUpdatedAt: getCatalogTimestamp(catalog.value)
+    };
+}
+
+/**
+ * Pre-fills bikes with cached bookings so they render instantly as stale data
+ * Bikes without a cached entry are left in their loading state.
+ * @param {Array} bikes - Bike metadata array
+ * @param {Object} cachedBookings - Map of variantId to { bookings, savedAt }
+ */
+export function applyCachedBookings(bikes, cachedBookings = {}) {
+    return bikes.map(bike => {
+        const cached = cachedBookings[bike.variantId];
+        if (!cached) return bike;
+
+        return {
+            ...bike,
+            bookings: cached.bookings,
+            bookingsUpdatedAt: cached.savedAt,
+            isStale: true,
+            isLoading: false
         };
+    });
+}
 
-        const response = await axios.post(IZYRENT_API_URL, payload, {
-            timeout: 10000,
-            headers: {
-                'Content-Type': 'text/plain;charset=UTF-8'
+/**
+ * Turns a failed booking request into a short, human-readable reason
+ */
+export function describeFetchError(error) {
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'Request timed out';
+    if (error.response) return `Booking API responded with HTTP ${error.response.status}`;
+    if (error.code === 'ERR_NETWORK') return 'Network error';
+    return error.message || 'Unknown error';
+}
+
+/**
+ * Fetches booking data for a specific bike variant through the provider
+ * Timeouts and 5xx responses are retried with exponential backoff.
+ * Throws once retries are exhausted so the bike can be flagged as failed
+ * instead of being shown as fully available.
+ * @param {Object} product - Bike metadata from extractBikeMetadata
+ * @param {Object} options - { signal, retries, provider }
+ */
+async function fetchBookings(product, { signal, retries = DEFAULT_RETRIES, provider = izyrentProvider } = {}) {
+    try {
+        const bookings = await withRetry(() => provider.fetchBookings(product, { signal }), {
+            retries,
+            signal,
+            onRetry: ({ attempt, error }) => {
+                console.log(`[Fetch] Retrying ${product.name} (attempt ${attempt}/${retries}): ${error.message}`);
             }
         });
 
-        return response.data;
+        if (!bookings || typeof bookings !== 'object') {
+            throw new Error('Unexpected booking response');
+        }
+
+        if (provider.cacheable) {
+            setCached(CACHE_KEYS.bookings(product.variantId), bookings);
+        }
+        return bookings;
     } catch (error) {
-        console.error(`[Fetch] Failed to fetch bookings for ${product.name}:`, error.message);
-        return {};
+        if (!isAbortError(error)) {
+            console.error(`[Fetch] Failed to fetch bookings for ${product.name}:`, error.message);
+        }
+        throw error;
     }
 }
 
+/**
+ * Builds the bike update for a settled booking request
+ * Failed bikes keep `bookings` undefined and carry an `error` with the reason.
+ * With `keepBookingsOnError`, a bike that already has bookings keeps them,
+ * marked stale, and carries the reason as `refreshError` instead.
+ */
+function toBikeUpdate(status, value, reason, previous = {}, { keepBookingsOnError = false } = {}) {
+    if (status === 'fulfilled') {
+        return {
+            bookings: value,
+            bookingsUpdatedAt: new Date().toISOString(),
+            isStale: false,
+            isLoading: false,
+            error: null,
+            refreshError: null
+        };
+    }
+
+    if (keepBookingsOnError && previous.bookings && !previous.error) {
+        return {
+            isStale: true,
+            isLoading: false,
+            refreshError: { message: describeFetchError(reason), failedAt: new Date().toISOString() }
+        };
+    }
+
+    return {
+        bookings: undefined,
+        isStale: false,
+        isLoading: false,
+        error: { message: describeFetchError(reason), failedAt: new Date().toISOString() }
+    };
+}
+
 /**
  * Extracts bike metadata synchronously from example.json
  * Returns immediately with bike info (names, images, pricing) but no bookings
@@ -101,12 +236,16 @@ export function extractBikeMetadata(exampleData, imageMap) {
                     productId: product.id.split('/').pop(),
                     variantId: variantId,
                     name: product.handle.replace(/-/g, ' ').replace(' rental', '').toUpperCase(),
+                    attributes: getBikeAttributes(product.handle),
                     stock: parseInt(variantData.stock || 1),
+                    stockMode: metafields.stock || 'product',
+                    productStock: parseInt(variants.product?.stock || 0),
                     imageUrl: imageMap[product.handle] || null,
                     pricing: variantPrices,
                     metafields: metafields,
                     bookings: undefined, // Will be populated progressively
-                    isLoading: true
+                    isLoading: true,
+                    error: null
                 });
             });
         } catch (e) {
@@ -127,32 +266,55 @@ export function extractBikeMetadata(exampleData, imageMap) {
 
 /**
  * Fetches bookings progressively with callbacks for each completed bike
+ * Requests run in parallel (bounded by `concurrency`) and callbacks fire in
+ * completion order. Aborting `signal` stops all callbacks, including onComplete.
  * @param {Array} bikes - Bike metadata array
  * @param {Object} callbacks - { onBikeUpdate, onProgress, onComplete }
+ * @param {Object} options - { concurrency, retries, signal, provider, keepBookingsOnError } - re-syncs set
+ *   `keepBookingsOnError` so a failed request doesn't blank a bike that already has bookings
  */
-export async function fetchBookingsProgressively(bikes, { onBikeUpdate, onProgress, onComplete }) {
-    console.log('[Fetch] Starting progressive booking fetch...');
+export async function fetchBookingsProgressively(bikes, { onBikeUpdate, onProgress, onComplete }, {
+    concurrency = DEFAULT_CONCURRENCY,
+    retries = DEFAULT_RETRIES,
+    signal,
+    provider = izyrentProvider,
+    keepBookingsOnError = false
+} = {}) {
+    console.log(`[Fetch] Starting progressive booking fetch (concurrency ${concurrency})...`);
 
     const total = bikes.length;
+    let completed = 0;
 
-    for (let i = 0; i < bikes.length; i++) {
-        const bike = bikes[i];
-        console.log(`[Fetch] Fetching bookings for ${bike.name}... (${i + 1}/${total})`);
+    const tasks = bikes.map(bike => () => {
+        console.log(`[Fetch] Fetching bookings for ${bike.name}...`);
+        return fetchBookings(bike, { signal, retries, provider });
+    });
 
-        // Report progress
-        if (onProgress) {
-            onProgress({ current: i + 1, total, name: bike.name });
-        }
+    await runWithConcurrency(tasks, {
+        concurrency,
+        signal,
+        onSettled: ({ index, status, value, reason }) => {
+            const bike = bikes[index];
 
-        const bookings = await fetchBookings(bike);
+            if (status === 'rejected' && isAbortError(reason)) return;
 
-        // Call update callback with completed bike data
-        if (onBikeUpdate) {
-            onBikeUpdate(bike.variantId, {
-                bookings,
-                isLoading: false
-            });
+            completed++;
+
+            // Report progress
+            if (onProgress) {
+                onProgress({ current: completed, total, name: bike.name });
+            }
+
+            // Call update callback with completed (or failed) bike data
+            if (onBikeUpdate) {
+                onBikeUpdate(bike.variantId, toBikeUpdate(status, value, reason, bike, { keepBookingsOnError }));
+            }
         }
+    });
+
+    if (signal?.aborted) {
+        console.log('[Fetch] Booking fetch cancelled');
+        return;
     }
 
     console.log('[Fetch] All bookings fetched!');
@@ -188,12 +350,16 @@ export async function fetchAvailabilityData(exampleData, onProgress = null) {
             onProgress({ current: i + 1, total, name: bike.name });
         }
 
-        const bookings = await fetchBookings(bike);
+        let update;
+        try {
+            update = toBikeUpdate('fulfilled', await fetchBookings(bike));
+        } catch (error) {
+            update = toBikeUpdate('rejected', undefined, error);
+        }
 
         availability.push({
             ...bike,
-            bookings: bookings,
-            isLoading: false
+            ...update
         });
     }
 
@@ -207,20 +373,32 @@ export async function fetchAvailabilityData(exampleData, onProgress = null) {
 }
 
 /**
- * Extracts global closure settings from example.json
+ * Extracts shop-wide closures and holidays from example.json
+ * Any product may carry `closures` (weekday numbers) and `disabledDatesGlobal`,
+ * so they are merged across the whole catalog. Regular closed weekdays with no
+ * explicit closure come from each bike's `activeDays` (see bookingRules.js).
  */
 function extractGlobalSettings(exampleData) {
-    try {
-        const firstProduct = Object.values(exampleData.data).find(p => p && p.newMetafields);
-        if (!firstProduct) return { closures: [0], disabledDatesGlobal: {} };
+    const closures = new Set();
+    const holidayCalendars = [];
 
-        const metafields = JSON.parse(firstProduct.newMetafields.value);
-        return {
-            closures: metafields.closures || [0], // Default: Sundays closed
-            disabledDatesGlobal: metafields.disabledDatesGlobal || {}
-        };
-    } catch (e) {
-        console.error('[Fetch] Error extracting global settings:', e.message);
-        return { closures: [0], disabledDatesGlobal: {} };
-    }
+    Object.entries(exampleData.data).forEach(([key, product]) => {
+        if (!product?.newMetafields) return;
+
+        try {
+            const metafields = JSON.parse(product.newMetafields.value);
+            (Array.isArray(metafields.closures) ? metafields.closures : [])
+                .map(day => parseInt(day))
+                .filter(day => day >= 0 && day <= 6)
+                .forEach(day => closures.add(day));
+            holidayCalendars.push(metafields.disabledDatesGlobal);
+        } catch (e) {
+            console.error(`[Fetch] Error extracting global settings for ${key}:`, e.message);
+        }
+    });
+
+    return {
+        closures: [...closures].sort(),
+        disabledDatesGlobal: mergeCalendars(holidayCalendars)
+    };
 }
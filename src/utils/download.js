@@ -0,0 +1,12 @@
+/**
+ * Saves generated content as a file download
+ */
+export function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Let the download start before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
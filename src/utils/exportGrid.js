@@ -0,0 +1,125 @@
+import { format } from 'date-fns';
+import { strToU8, zipSync } from 'fflate';
+import { getDayAvailability } from './availability.js';
+import { getPriceForDuration } from './pricing.js';
+
+/**
+ * Availability grid export (CSV and XLSX)
+ * One row per bike with its price for the rental length and a status per
+ * day, matching what the table shows after filters.
+ */
+
+/**
+ * Describes a day for the export, e.g. "available", "partial 2/5", "unknown"
+ */
+function describeDay({ status, free, capacity }) {
+    if (status === 'error') return 'unknown';
+    if (status === 'partial') return `partial ${free}/${capacity}`;
+    return status;
+}
+
+/**
+ * Builds the export rows
+ * @param {Array} bikes - Bikes in display order
+ * @param {Array} dates - Calendar days (see shopTime.js)
+ * @param {Object} options - { globalSettings, stockPools, getRentalLength(bike), today }
+ * @returns {Array} Rows of cells, header first
+ */
+export function buildExportRows(bikes, dates, { globalSettings, stockPools = {}, getRentalLength, today }) {
+    const header = ['Bike', 'Handle', 'Variant ID', 'Days', 'Price', ...dates.map(date => format(date, 'yyyy-MM-dd'))];
+
+    const rows = bikes.map(bike => {
+        const days = getRentalLength(bike);
+        return [
+            bike.name,
+            bike.handle,
+            bike.variantId,
+            days,
+            getPriceForDuration(bike, days),
+            ...dates.map(date => describeDay(getDayAvailability(bike, date, globalSettings, stockPools, { today })))
+        ];
+    });
+
+    return [header, ...rows];
+}
+
+function escapeCsv(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Joins rows of cells into CSV text
+ */
+export function toCsv(rows) {
+    return rows.map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Returns the spreadsheet column name for a zero-based index (0 -> A, 26 -> AA)
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function toSheetXml(rows) {
+    const sheetRows = rows.map((row, r) => {
+        const cells = row.map((value, c) => {
+            const ref = `${columnName(c)}${r + 1}`;
+            if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+            if (value === null || value === undefined || value === '') return '';
+            return `<c r="${ref}" t="inlineStr"><is><t>${escapeXml(value)}</t></is></c>`;
+        });
+        return `<row r="${r + 1}">${cells.join('')}</row>`;
+    });
+
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        // Keep the header row and bike names in view while scrolling
+        + '<sheetViews><sheetView workbookViewId="0"><pane xSplit="1" ySplit="1" topLeftCell="B2" state="frozen"/></sheetView></sheetViews>'
+        + `<sheetData>${sheetRows.join('')}</sheetData>`
+        + '</worksheet>';
+}
+
+/**
+ * Packs rows of cells into a single-sheet .xlsx workbook
+ * @param {Array} rows - Rows of strings and numbers
+ * @param {string} sheetName - Worksheet tab name
+ * @returns {Uint8Array} Workbook file contents
+ */
+export function toXlsx(rows, sheetName = 'Availability') {
+    const files = {
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            + '</Types>',
+        '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>',
+        'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+            + '</workbook>',
+        'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            + '</Relationships>',
+        'xl/worksheets/sheet1.xml': toSheetXml(rows)
+    };
+
+    return zipSync(Object.fromEntries(Object.entries(files).map(([name, xml]) => [name, strToU8(xml)])));
+}
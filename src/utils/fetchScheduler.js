@@ -0,0 +1,131 @@
+/**
+ * Small task scheduler used to fan out booking requests in parallel
+ * with a bounded concurrency limit, exponential-backoff retries and
+ * AbortController-based cancellation.
+ */
+
+export const DEFAULT_CONCURRENCY = 6;
+export const DEFAULT_RETRIES = 3;
+export const DEFAULT_BASE_DELAY_MS = 500;
+
+/**
+ * Returns true when the error was caused by an aborted request
+ */
+export function isAbortError(error) {
+    return !!error && (
+        error.name === 'AbortError' ||
+        error.name === 'CanceledError' ||
+        error.code === 'ERR_CANCELED'
+    );
+}
+
+/**
+ * Returns true for errors worth retrying: timeouts, network failures and 5xx responses
+ */
+export function isRetryableError(error) {
+    if (!error || isAbortError(error)) return false;
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || error.code === 'ERR_NETWORK') {
+        return true;
+    }
+
+    const status = error.response?.status;
+    return status >= 500 && status < 600;
+}
+
+/**
+ * Resolves after `ms` milliseconds, or rejects early if the signal is aborted
+ */
+export function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortError());
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+
+        function onAbort() {
+            clearTimeout(timer);
+            reject(createAbortError());
+        }
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Runs `fn` and retries it with exponential backoff while the error is retryable
+ * @param {Function} fn - Async function receiving the attempt number (0-based)
+ * @param {Object} options - { retries, baseDelayMs, signal, shouldRetry, onRetry }
+ */
+export async function withRetry(fn, {
+    retries = DEFAULT_RETRIES,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    signal,
+    shouldRetry = isRetryableError,
+    onRetry
+} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        if (signal?.aborted) throw createAbortError();
+
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) {
+                throw error;
+            }
+
+            // 500ms, 1s, 2s, ... with a little jitter so parallel retries don't line up
+            const delay = baseDelayMs * 2 ** attempt + Math.random() * baseDelayMs * 0.25;
+            if (onRetry) {
+                onRetry({ attempt: attempt + 1, delay, error });
+            }
+            await sleep(delay, signal);
+        }
+    }
+}
+
+/**
+ * Runs task factories with at most `concurrency` of them in flight at once.
+ * Each task's result is reported through `onSettled` as soon as it finishes.
+ * Stops picking up new tasks once the signal is aborted.
+ * @param {Array<Function>} tasks - Functions returning a promise
+ * @param {Object} options - { concurrency, signal, onSettled }
+ */
+export async function runWithConcurrency(tasks, {
+    concurrency = DEFAULT_CONCURRENCY,
+    signal,
+    onSettled
+} = {}) {
+    let nextIndex = 0;
+    const limit = Math.max(1, Math.min(concurrency, tasks.length));
+
+    async function worker() {
+        while (nextIndex < tasks.length && !signal?.aborted) {
+            const index = nextIndex++;
+            let result;
+            try {
+                result = { index, status: 'fulfilled', value: await tasks[index]() };
+            } catch (error) {
+                result = { index, status: 'rejected', reason: error };
+            }
+
+            if (signal?.aborted) return;
+            if (onSettled) {
+                onSettled(result);
+            }
+        }
+    }
+
+    await Promise.all(Array.from({ length: limit }, worker));
+}
+
+function createAbortError() {
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+}
@@ -0,0 +1,144 @@
+import { addDays, differenceInCalendarDays } from 'date-fns';
+import { checkRental, getDayAvailability } from './availability.js';
+import { ENGINE_CLASSES } from './bikeAttributes.js';
+import { getRentalDays } from './bookingRules.js';
+import { getPriceForDuration } from './pricing.js';
+import { getShopToday } from './shopTime.js';
+
+/**
+ * Group rentals: several riders on the same dates
+ * Finds the cheapest sets of bikes that are all free for the whole trip,
+ * with one bike per rider. A variant with several units can go to several
+ * riders, and variants sharing a product pool draw on the same units.
+ */
+
+export const MIN_GROUP_SIZE = 2;
+export const MAX_GROUP_SIZE = 10;
+
+// Stop searching after this many partial sets; the best found so far are returned, flagged `truncated`
+export const MAX_SEARCH_STEPS = 200000;
+
+/**
+ * Counts the units of a bike free for a whole rental
+ * A unit has to be free from the pickup afternoon, on every day in between
+ * and until the return morning (see checkRental).
+ * @returns {number} Units free throughout, 0 when the rental can't be booked
+ */
+export function getFreeUnitsForRental(bike, start, end, globalSettings, stockPools, { today = getShopToday() } = {}) {
+    if (!checkRental(bike, start, end, globalSettings, stockPools, { today }).bookable) return 0;
+
+    const lastDay = differenceInCalendarDays(end, start);
+    let free = Infinity;
+    for (let i = 0; i <= lastDay; i++) {
+        const { halves, free: dayFree } = getDayAvailability(bike, addDays(start, i), globalSettings, stockPools, { today });
+        const units = lastDay === 0 ? dayFree
+            : i === 0 ? halves.pm.free
+            : i === lastDay ? halves.am.free
+            : dayFree;
+        free = Math.min(free, units);
+    }
+    return free;
+}
+
+/**
+ * Checks a bike and its trip price against one rider's constraints
+ * @param {Object} rider - { engineClass: ENGINE_CLASSES id or null, budget: max trip price or null }
+ */
+function suitsRider(candidate, rider) {
+    if (rider.budget !== null && rider.budget !== undefined && candidate.price > rider.budget) return false;
+    if (!rider.engineClass) return true;
+
+    const engineClass = ENGINE_CLASSES.find(option => option.id === rider.engineClass);
+    const { cc } = candidate.bike.attributes;
+    return Boolean(engineClass) && cc !== null && cc >= engineClass.min && cc <= engineClass.max;
+}
+
+/**
+ * Finds the cheapest sets of bikes for a group
+ * @param {Array} bikes - Bikes to choose from
+ * @param {Object} trip - { riders: [{ engineClass, budget }], start, end } with one entry per rider
+ * @param {Object} options - { today, limit, maxSteps } - `limit` is the number of sets returned
+ * @returns {Object} { sets: [{ total, picks: [{ bike, price, days }] }], candidates, truncated } - picks follow `riders` order,
+ *   sets cheapest first; `truncated` when the search stopped after `maxSteps` and cheaper sets may exist
+ */
+export function findGroupRentals(bikes, { riders, start, end }, globalSettings, stockPools = {}, {
+    today = getShopToday(),
+    limit = 5,
+    maxSteps = MAX_SEARCH_STEPS
+} = {}) {
+    const candidates = bikes
+        .map(bike => {
+            const units = getFreeUnitsForRental(bike, start, end, globalSettings, stockPools, { today });
+            const days = getRentalDays(bike, start, end);
+            // Variants counted against one product pool share its units
+            const stockKey = bike.stockMode === 'product' && bike.productStock > 0 ? `product:${bike.productId}` : bike.variantId;
+            return { bike, units, days, price: getPriceForDuration(bike, days), stockKey };
+        })
+        .filter(candidate => candidate.units > 0)
+        .sort((a, b) => a.price - b.price || a.bike.name.localeCompare(b.bike.name));
+
+    // Most constrained riders first; riders with the same constraints stay
+    // next to each other so each set is only built once
+    const signature = (rider) => `${rider.engineClass || ''}|${rider.budget ?? ''}`;
+    const order = riders
+        .map((rider, index) => ({ index, rider, options: candidates.filter(candidate => suitsRider(candidate, rider)) }))
+        .sort((a, b) => a.options.length - b.options.length || signature(a.rider).localeCompare(signature(b.rider)));
+
+    if (order.some(slot => slot.options.length === 0)) return { sets: [], candidates: candidates.length, truncated: false };
+
+    // Cheapest possible price for the remaining riders, ignoring stock
+    const remainingFloor = order.map((_, i) => order.slice(i).reduce((sum, slot) => sum + slot.options[0].price, 0));
+
+    const unitLimits = new Map(candidates.map(candidate => [candidate.stockKey, candidate.units]));
+    const usedUnits = new Map();
+    const best = [];
+    const seen = new Set();
+    const picks = [];
+    let steps = 0;
+
+    const worstKept = () => (best.length < limit ? Infinity : best[best.length - 1].total);
+
+    const search = (depth, total, firstOption) => {
+        if (++steps > maxSteps) return;
+
+        if (depth === order.length) {
+            const key = picks.map(pick => pick.bike.variantId).sort().join(',');
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            const byRider = [];
+            order.forEach((slot, i) => {
+                const { bike, price, days } = picks[i];
+                byRider[slot.index] = { bike, price, days };
+            });
+            best.push({ total: Math.round(total * 100) / 100, picks: byRider });
+            best.sort((a, b) => a.total - b.total);
+            if (best.length > limit) best.pop();
+            return;
+        }
+
+        const slot = order[depth];
+        // The same constraints as the previous rider: only pick from where they did
+        const sameAsPrevious = depth > 0 && signature(order[depth - 1].rider) === signature(slot.rider);
+        const startAt = sameAsPrevious ? firstOption : 0;
+
+        for (let i = startAt; i < slot.options.length; i++) {
+            const candidate = slot.options[i];
+            const floor = total + candidate.price + (remainingFloor[depth + 1] || 0);
+            if (floor >= worstKept()) break;
+
+            const used = usedUnits.get(candidate.stockKey) || 0;
+            if (used >= unitLimits.get(candidate.stockKey)) continue;
+
+            usedUnits.set(candidate.stockKey, used + 1);
+            picks.push(candidate);
+            search(depth + 1, total + candidate.price, i);
+            picks.pop();
+            usedUnits.set(candidate.stockKey, used);
+        }
+    };
+
+    search(0, 0, 0);
+
+    return { sets: best, candidates: candidates.length, truncated: steps > maxSteps };
+}
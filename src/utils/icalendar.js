@@ -0,0 +1,114 @@
+import { addDays, differenceInCalendarDays, format } from 'date-fns';
+import { AVAILABLE_STATUSES, getDayAvailability } from './availability.js';
+
+/**
+ * iCalendar (.ics) feed of free windows and bookings
+ * Consecutive free days become one all-day "free" event and consecutive
+ * fully booked days one "booked" event per bike, so the fleet can be
+ * overlaid in any calendar app. Closed and unknown days are left out.
+ */
+
+const PRODUCT_ID = '-//Xpert Moto//Fleet Availability Tracker//EN';
+const BOOKING_URL = 'https://xpertmoto.com.au/products/';
+
+/**
+ * Escapes TEXT values (RFC 5545 3.3.11)
+ */
+const escapeText = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\n/g, '\\n');
+
+/**
+ * Folds a content line to 75 octets, continuation lines start with a space
+ */
+function foldLine(line) {
+    const bytes = new TextEncoder().encode(line);
+    if (bytes.length <= 75) return line;
+
+    const decoder = new TextDecoder();
+    const parts = [];
+    let start = 0;
+    while (start < bytes.length) {
+        let end = Math.min(start + (parts.length === 0 ? 75 : 74), bytes.length);
+        // Don't split a multi-byte character
+        while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+        parts.push(decoder.decode(bytes.slice(start, end)));
+        start = end;
+    }
+    return parts.join('\r\n ');
+}
+
+/**
+ * Splits a bike's days into runs of free and booked days
+ * @returns {Array} [{ type: 'free' | 'booked', start, end, minFree, capacity }] - `end` is the last day of the run
+ */
+export function getAvailabilityRuns(bike, dates, globalSettings, stockPools = {}, { today } = {}) {
+    const runs = [];
+
+    dates.forEach(date => {
+        const { status, free, capacity } = getDayAvailability(bike, date, globalSettings, stockPools, { today });
+        const type = AVAILABLE_STATUSES.includes(status) ? 'free' : status === 'booked' ? 'booked' : null;
+        const last = runs[runs.length - 1];
+
+        if (type && last && last.type === type && differenceInCalendarDays(date, last.end) === 1) {
+            last.end = date;
+            last.minFree = Math.min(last.minFree, free ?? 0);
+        } else if (type) {
+            runs.push({ type, start: date, end: date, minFree: free ?? 0, capacity });
+        }
+    });
+
+    return runs;
+}
+
+function toEvent(bike, run, stamp) {
+    const units = run.capacity > 1 && run.type === 'free' ? ` (at least ${run.minFree} of ${run.capacity} units)` : '';
+    const summary = run.type === 'free' ? `${bike.name} free${units}` : `${bike.name} booked`;
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:${bike.variantId}-${run.type}-${format(run.start, 'yyyyMMdd')}@xpertmoto.com.au`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${format(run.start, 'yyyyMMdd')}`,
+        // All-day events end on the following day (exclusive)
+        `DTEND;VALUE=DATE:${format(addDays(run.end, 1), 'yyyyMMdd')}`,
+        `SUMMARY:${escapeText(summary)}`,
+        `URL:${BOOKING_URL}${bike.handle}`,
+        `TRANSP:${run.type === 'free' ? 'TRANSPARENT' : 'OPAQUE'}`,
+        `CATEGORIES:${run.type === 'free' ? 'Free' : 'Booked'}`,
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Builds an .ics calendar for one bike or the whole fleet
+ * Bikes whose bookings failed to load or are still loading are skipped.
+ * @param {Array} bikes - Bikes to include
+ * @param {Array} dates - Calendar days to cover (see shopTime.js)
+ * @param {Object} options - { name, globalSettings, stockPools, today, timeZone, now }
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export function buildCalendar(bikes, dates, { name, globalSettings, stockPools = {}, today, timeZone, now = new Date() }) {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+    const events = bikes
+        .filter(bike => bike.bookings && !bike.error)
+        .flatMap(bike => getAvailabilityRuns(bike, dates, globalSettings, stockPools, { today })
+            .flatMap(run => toEvent(bike, run, stamp)));
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...(timeZone ? [`X-WR-TIMEZONE:${timeZone}`] : []),
+        ...events,
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
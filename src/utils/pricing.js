@@ -0,0 +1,135 @@
+/**
+ * Rental pricing from the Izyrent `prices` tiers
+ * Each variant lists tiers like { days: 8, to: 14, price: 448 } plus a
+ * { days: 'default', price } entry. The entries carry no unit; how a tier's
+ * price is read depends on where it starts, which keeps totals level across
+ * tier boundaries (the Dio's 7 days at $120, then 8 days at $112/week = $128):
+ *   - tiers starting under a week are flat: the price is the total for any
+ *     length inside the tier (1-1 = $320, 3-7 = $598 for 3 to 7 days)
+ *   - tiers starting at a week or more are weekly rates, pro-rated per day
+ *     (8-14 at $448/week = $640 for 10 days)
+ *   - the default entry is a daily rate, used when no tier covers the length
+ * Read as flat totals instead, every tier from a week on would undercut the one
+ * before it (the Dio's 84-168 day tier would be $88 in total).
+ */
+
+// Tiers starting at this many days or more are priced per week
+export const WEEKLY_TIER_FROM = 7;
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const formatMoney = (amount) => `$${roundCents(amount).toFixed(2).replace(/\.00$/, '')}`;
+
+/**
+ * Normalizes a `prices` array into sorted tiers
+ * A `to` of 'default' or below `days` (a catalog typo, e.g. 84-29) is treated as open-ended.
+ * @returns {Object} { tiers: [{ from, to, price, mode }], defaultRate }
+ */
+export function getPriceTiers(pricing) {
+    const tiers = [];
+    let defaultRate = null;
+
+    (pricing || []).forEach(entry => {
+        const price = parseFloat(entry.price);
+        if (Number.isNaN(price)) return;
+
+        if (entry.days === 'default') {
+            defaultRate = price;
+            return;
+        }
+
+        const from = parseInt(entry.days);
+        if (Number.isNaN(from)) return;
+
+        const parsedTo = entry.to === 'default' ? Infinity : parseInt(entry.to);
+        const to = Number.isNaN(parsedTo) || parsedTo < from ? Infinity : parsedTo;
+
+        tiers.push({ from, to, price, mode: from >= WEEKLY_TIER_FROM ? 'weekly' : 'flat' });
+    });
+
+    tiers.sort((a, b) => a.from - b.from);
+
+    return { tiers, defaultRate };
+}
+
+/**
+ * Describes how a tier priced a rental, e.g. "8–14 day tier: $448/week × 10/7 weeks"
+ */
+function explainTier(tier, days) {
+    const range = tier.to === Infinity
+        ? `${tier.from}+ day tier`
+        : tier.from === tier.to ? `${tier.from}-day tier` : `${tier.from}–${tier.to} day tier`;
+
+    if (tier.mode === 'weekly') {
+        return `${range}: ${formatMoney(tier.price)}/week × ${days}/7 weeks`;
+    }
+    return `${range}: ${formatMoney(tier.price)} flat for ${days} ${days === 1 ? 'day' : 'days'}`;
+}
+
+/**
+ * Prices a rental of any whole number of days
+ * @param {Array} pricing - Variant `prices` array
+ * @param {number} days - Rental length in days
+ * @returns {Object} { days, total, perDay, perWeek, tier, explanation } - `tier` is null when the default daily rate (or nothing) applied
+ */
+export function quoteRentalPrice(pricing, days) {
+    const length = Math.max(1, Math.round(days));
+    const { tiers, defaultRate } = getPriceTiers(pricing);
+    const tier = tiers.find(t => length >= t.from && length <= t.to) || null;
+
+    let total = 0;
+    let explanation = 'No price tiers';
+
+    if (tier) {
+        total = tier.mode === 'weekly' ? tier.price * length / 7 : tier.price;
+        explanation = explainTier(tier, length);
+    } else if (defaultRate !== null) {
+        total = defaultRate * length;
+        explanation = `Default rate: ${formatMoney(defaultRate)}/day × ${length} ${length === 1 ? 'day' : 'days'}`;
+    }
+
+    return {
+        days: length,
+        total: roundCents(total),
+        perDay: roundCents(total / length),
+        perWeek: roundCents(total / length * 7),
+        tier,
+        explanation
+    };
+}
+
+/**
+ * Calculates the rental price of a bike for a number of days
+ * @param {Object} bike - Bike with `pricing` tiers
+ * @param {number} days - Rental length in days
+ * @returns {number} Total price
+ */
+export function getPriceForDuration(bike, days) {
+    return quoteRentalPrice(bike.pricing, days).total;
+}
+
+// How many extra days the cheaper-duration advice looks ahead
+export const PRICE_CLIFF_LOOKAHEAD_DAYS = 14;
+
+/**
+ * Finds longer rentals that cost less in total than `days`
+ * Tier boundaries can make a longer booking cheaper, e.g. 22 days on a
+ * weekly tier for less than 21 on the tier before it.
+ * @param {Array} pricing - Variant `prices` array
+ * @param {number} days - Requested rental length
+ * @param {Object} options - { lookaheadDays } extra days to consider
+ * @returns {Array} [{ days, total, savings }] cheapest first, then shortest
+ */
+export function findCheaperLongerRentals(pricing, days, { lookaheadDays = PRICE_CLIFF_LOOKAHEAD_DAYS } = {}) {
+    const { total: requestedTotal } = quoteRentalPrice(pricing, days);
+    const cheaper = [];
+
+    for (let length = days + 1; length <= days + lookaheadDays; length++) {
+        const { total } = quoteRentalPrice(pricing, length);
+        if (total < requestedTotal) {
+            cheaper.push({ days: length, total, savings: roundCents(requestedTotal - total) });
+        }
+    }
+
+    return cheaper.sort((a, b) => a.total - b.total || a.days - b.days);
+}
@@ -0,0 +1,180 @@
+import { addDays, addMonths, addWeeks, format, startOfDay } from 'date-fns';
+import { isDateInCalendar } from './bookingRules.js';
+import { quoteRentalPrice } from './pricing.js';
+import { getShopToday } from './shopTime.js';
+
+/**
+ * Full rental quote, mirroring the Izyrent checkout
+ * Adds to the tiered base price (pricing.js):
+ *   - `addons`: required ones always, optional ones when selected. Prices come
+ *     from the Shopify add-on products; `charge: "all"` is per rental day,
+ *     `charge: "one"` once per rental
+ *   - `rates`: per-day adjustments on the dates they list (`rateMode` amount
+ *     or percent), for rentals of at least `minRange` days
+ *   - `discounts`: the best one the rental length qualifies for (`discountMode`)
+ *   - `deposit`: security deposit, due at checkout
+ *   - `payLater`: share of the total paid at checkout, the rest split into
+ *     instalments every day/week/month, never later than pickup
+ */
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+const toNumber = (value) => {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? 0 : number;
+};
+
+const PAY_LATER_STEPS = {
+    day: addDays,
+    week: addWeeks,
+    month: addMonths
+};
+
+/**
+ * Lists a bike's add-ons with their resolved prices
+ * @param {Object} bike - Bike with `metafields.addons`
+ * @param {Object} addonPrices - Map of add-on variantId to { handle, title, price }
+ * @returns {Array} [{ variantId, handle, title, required, perDay, unitPrice }] - unitPrice is null when unknown
+ */
+export function getBikeAddons(bike, addonPrices = {}) {
+    return (bike.metafields?.addons || []).map(addon => {
+        const product = addonPrices[String(addon.idVariant)];
+
+        return {
+            variantId: String(addon.idVariant),
+            handle: addon.handle,
+            title: product?.title || addon.handle?.replace(/-/g, ' ') || String(addon.idVariant),
+            required: addon.required === true,
+            perDay: addon.charge === 'all',
+            unitPrice: product && !Number.isNaN(product.price) ? product.price : null
+        };
+    });
+}
+
+/**
+ * Sums the date-based rate adjustments for the rental days
+ */
+function getRateAdjustments(bike, start, days, dailyBase) {
+    const metafields = bike.metafields || {};
+    const percentMode = metafields.rateMode === 'percent';
+    const lines = [];
+
+    (metafields.rates || []).forEach(rate => {
+        if (days < toNumber(rate.minRange)) return;
+
+        const perDay = percentMode ? dailyBase * toNumber(rate.percent) / 100 : toNumber(rate.amount);
+        if (perDay === 0) return;
+
+        const matchingDays = Array.from({ length: days }, (_, i) => addDays(start, i))
+            .filter(date => isDateInCalendar(rate.dates, date));
+        if (matchingDays.length === 0) return;
+
+        lines.push({
+            label: `${percentMode ? `${toNumber(rate.percent)}%` : `$${perDay}`}/day on ${matchingDays.map(date => format(date, 'd MMM')).join(', ')}`,
+            amount: roundCents(perDay * matchingDays.length)
+        });
+    });
+
+    return lines;
+}
+
+/**
+ * Picks the largest discount the rental qualifies for
+ */
+function getBestDiscount(bike, days, subtotal) {
+    const metafields = bike.metafields || {};
+    const percentMode = metafields.discountMode !== 'amount';
+    let best = null;
+
+    (metafields.discounts || []).forEach(discount => {
+        if (days < toNumber(discount.days)) return;
+
+        const amount = percentMode
+            ? subtotal * toNumber(discount.percent) / 100
+            : toNumber(discount.amount) * (discount.each ? days : 1);
+        if (amount <= 0 || (best && best.amount >= amount)) return;
+
+        best = {
+            label: percentMode
+                ? `${toNumber(discount.percent)}% off${toNumber(discount.days) > 0 ? ` for ${discount.days}+ days` : ''}`
+                : `$${toNumber(discount.amount)}${discount.each ? '/day' : ''} off${toNumber(discount.days) > 0 ? ` for ${discount.days}+ days` : ''}`,
+            amount: roundCents(Math.min(amount, subtotal))
+        };
+    });
+
+    return best;
+}
+
+/**
+ * Splits the total into what is paid at checkout and later instalments
+ */
+function getPaymentSchedule(bike, total, deposit, start, today) {
+    const payLater = bike.metafields?.payLater;
+    // `percent` is the share of the rental paid at checkout
+    const upfrontPercent = toNumber(payLater?.percent);
+
+    if (!payLater || upfrontPercent <= 0 || upfrontPercent >= 100) {
+        return { dueNow: roundCents(total + deposit), instalments: [] };
+    }
+
+    const paidNow = roundCents(total * upfrontPercent / 100);
+    const remaining = roundCents(total - paidNow);
+    const split = Math.max(1, parseInt(payLater.split) || 1);
+    const step = PAY_LATER_STEPS[payLater.every] || addMonths;
+    const pickup = startOfDay(start);
+
+    const instalments = Array.from({ length: split }, (_, i) => {
+        const dueDate = step(startOfDay(today), i + 1);
+        // The last instalment absorbs rounding
+        const amount = i === split - 1
+            ? roundCents(remaining - roundCents(remaining / split) * (split - 1))
+            : roundCents(remaining / split);
+
+        return { dueDate: dueDate > pickup ? pickup : dueDate, amount };
+    });
+
+    return { dueNow: roundCents(paidNow + deposit), instalments };
+}
+
+/**
+ * Builds a checkout-equivalent quote for a bike
+ * @param {Object} bike - Bike with `pricing` and `metafields`
+ * @param {Object} options - { days, start, selectedAddons (Set of add-on variantIds), addonPrices, today }
+ * @returns {Object} { days, start, base, addons, rates, discount, total, deposit, dueNow, instalments, missingPrices }
+ */
+export function buildQuote(bike, { days, start, selectedAddons = new Set(), addonPrices = {}, today = getShopToday() }) {
+    const pickup = startOfDay(start || today);
+    const base = quoteRentalPrice(bike.pricing, days);
+    const length = base.days;
+
+    const addons = getBikeAddons(bike, addonPrices)
+        .filter(addon => addon.required || selectedAddons.has(addon.variantId))
+        .map(addon => ({
+            ...addon,
+            total: addon.unitPrice === null ? null : roundCents(addon.unitPrice * (addon.perDay ? length : 1))
+        }));
+    const addonsTotal = addons.reduce((sum, addon) => sum + (addon.total || 0), 0);
+
+    const rates = getRateAdjustments(bike, pickup, length, base.perDay);
+    const ratesTotal = rates.reduce((sum, line) => sum + line.amount, 0);
+
+    const subtotal = roundCents(base.total + ratesTotal + addonsTotal);
+    const discount = getBestDiscount(bike, length, subtotal);
+    const total = roundCents(subtotal - (discount?.amount || 0));
+
+    const depositSettings = bike.metafields?.deposit || {};
+    const deposit = roundCents(toNumber(depositSettings.amount) + total * toNumber(depositSettings.percent) / 100);
+
+    return {
+        days: length,
+        start: pickup,
+        base,
+        addons,
+        rates,
+        discount,
+        total,
+        deposit,
+        ...getPaymentSchedule(bike, total, deposit, pickup, today),
+        missingPrices: addons.filter(addon => addon.total === null).map(addon => addon.title)
+    };
+}
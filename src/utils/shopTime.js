@@ -0,0 +1,75 @@
+/**
+ * The shop's calendar, independent of the viewer's timezone
+ * Izyrent keys bookings by the shop's local date, so "today" must be the
+ * shop's today. Calendar days are represented as local-midnight Dates whose
+ * year/month/day are the shop's date; date-fns day arithmetic (addDays,
+ * format, getDay) then works on shop days whatever zone the viewer is in, and
+ * across DST changes on either side.
+ *
+ * The zone defaults to Australia/Sydney; override it with VITE_SHOP_TIMEZONE
+ * for the dashboard or SHOP_TIMEZONE (or --timezone) for the CLI.
+ */
+
+export const DEFAULT_SHOP_TIMEZONE = 'Australia/Sydney';
+
+const formatters = new Map();
+
+/**
+ * Returns a cached formatter for a zone, or null when the zone is unknown
+ */
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        try {
+            formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric'
+            }));
+        } catch (error) {
+            formatters.set(timeZone, null);
+        }
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Returns true when the runtime knows an IANA zone name
+ */
+export function isValidTimeZone(timeZone) {
+    return typeof timeZone === 'string' && getFormatter(timeZone) !== null;
+}
+
+/**
+ * Returns the configured shop timezone
+ */
+export function getShopTimeZone() {
+    const configured = import.meta.env?.VITE_SHOP_TIMEZONE || globalThis.process?.env?.SHOP_TIMEZONE;
+    if (!configured) return DEFAULT_SHOP_TIMEZONE;
+
+    if (!isValidTimeZone(configured)) {
+        console.error(`[Time] Unknown timezone "${configured}", using ${DEFAULT_SHOP_TIMEZONE}`);
+        return DEFAULT_SHOP_TIMEZONE;
+    }
+    return configured;
+}
+
+/**
+ * Returns the shop's calendar day for an instant
+ * @param {Date} instant - Point in time
+ * @param {string} timeZone - IANA zone, defaults to the shop's
+ * @returns {Date} Local midnight of the shop's date (e.g. 20 Oct while it is still 19 Oct in Europe)
+ */
+export function toShopDate(instant, timeZone = getShopTimeZone()) {
+    const formatter = getFormatter(timeZone) || getFormatter(DEFAULT_SHOP_TIMEZONE);
+    const parts = Object.fromEntries(formatter.formatToParts(instant).map(part => [part.type, part.value]));
+
+    return new Date(parseInt(parts.year), parseInt(parts.month) - 1, parseInt(parts.day));
+}
+
+/**
+ * Returns today's date in the shop's timezone (see toShopDate)
+ */
+export function getShopToday(timeZone = getShopTimeZone()) {
+    return toShopDate(new Date(), timeZone);
+}
@@ -0,0 +1,191 @@
+import { CACHE_KEYS, getCached, getCachedByPrefix, getCachedKeys, updateCached } from './availabilityCache.js';
+import { diffBookings } from './autoRefresh.js';
+import { toShopDate } from './shopTime.js';
+
+/**
+ * History of synced bookings
+ * Every completed sync stores each variant's bookings as a timestamped
+ * snapshot in IndexedDB. A sync identical to the previous snapshot only moves
+ * that snapshot's `lastSeenAt`, so consecutive snapshots always differ and a
+ * change is known to have happened between one's `lastSeenAt` and the next's
+ * `takenAt`.
+ * Each snapshot has its own IndexedDB entry keyed by `takenAt`, so a sync only
+ * writes its own snapshot: tabs syncing at the same time can't drop each
+ * other's snapshots.
+ */
+
+// Oldest snapshots are dropped past this many (each holds the whole fleet's bookings)
+export const MAX_SNAPSHOTS = 200;
+
+const SNAPSHOT_PREFIX = CACHE_KEYS.snapshot('');
+
+const EXPORT_VERSION = 1;
+
+/**
+ * Collects the bookings of every bike that synced successfully
+ * @returns {Object} variantId -> bookings
+ */
+function collectBookings(bikes) {
+    return Object.fromEntries(bikes
+        .filter(bike => bike.bookings && !bike.error)
+        .map(bike => [bike.variantId, bike.bookings]));
+}
+
+/**
+ * Adds a sync to the history
+ * @param {Array} history - Snapshots, oldest first
+ * @param {Array} bikes - Bikes after the sync
+ * @param {string} syncedAt - ISO timestamp of the sync
+ * @returns {Array} New history
+ */
+export function addSnapshot(history, bikes, syncedAt = new Date().toISOString()) {
+    const bookings = collectBookings(bikes);
+    const latest = history[history.length - 1];
+
+    if (latest && JSON.stringify(latest.bookings) === JSON.stringify(bookings)) {
+        return [...history.slice(0, -1), { ...latest, lastSeenAt: syncedAt }];
+    }
+
+    return [...history, { takenAt: syncedAt, lastSeenAt: syncedAt, bookings }].slice(-MAX_SNAPSHOTS);
+}
+
+/**
+ * Puts a snapshot's bookings onto the current bikes
+ * Bikes missing from the snapshot get no bookings, so comparisons skip them.
+ */
+function applySnapshot(bikes, snapshot) {
+    return bikes.map(bike => ({
+        ...bike,
+        bookings: snapshot.bookings[bike.variantId],
+        isLoading: false,
+        error: null
+    }));
+}
+
+/**
+ * Compares two snapshots day by day (see diffBookings)
+ * Days before the later snapshot's date are ignored.
+ * @returns {Array} Changes as returned by diffBookings
+ */
+export function compareSnapshots(previous, next, bikes, globalSettings) {
+    return diffBookings(
+        applySnapshot(bikes, previous),
+        applySnapshot(bikes, next),
+        globalSettings,
+        { today: toShopDate(new Date(next.takenAt)) }
+    );
+}
+
+/**
+ * Lists every change in the history, per bike
+ * @returns {Array} [{ bike, events: [{ date, kind, from, to, seenAt, lastSeenBefore }] }] - events newest first, bikes by latest event
+ */
+export function buildTimeline(history, bikes, globalSettings) {
+    const eventsById = new Map();
+
+    for (let i = 1; i < history.length; i++) {
+        const previous = history[i - 1];
+        const next = history[i];
+        compareSnapshots(previous, next, bikes, globalSettings).forEach(change => {
+            if (!eventsById.has(change.variantId)) eventsById.set(change.variantId, []);
+            eventsById.get(change.variantId).push({
+                ...change,
+                seenAt: next.takenAt,
+                lastSeenBefore: previous.lastSeenAt
+            });
+        });
+    }
+
+    return bikes
+        .filter(bike => eventsById.has(bike.variantId))
+        .map(bike => ({ bike, events: eventsById.get(bike.variantId).reverse() }))
+        .sort((a, b) => b.events[0].seenAt.localeCompare(a.events[0].seenAt) || a.bike.name.localeCompare(b.bike.name));
+}
+
+/**
+ * Serialises the history for sharing
+ */
+export function exportHistory(history) {
+    return JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), snapshots: history }, null, 2);
+}
+
+/**
+ * Reads a file written by exportHistory
+ * @throws {Error} When the file is not a snapshot history
+ */
+export function parseHistoryImport(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not valid JSON');
+    }
+
+    const snapshots = parsed?.snapshots;
+    const isSnapshot = (snapshot) => typeof snapshot?.takenAt === 'string'
+        && !Number.isNaN(Date.parse(snapshot.takenAt))
+        && snapshot.bookings && typeof snapshot.bookings === 'object';
+
+    if (parsed?.version !== EXPORT_VERSION || !Array.isArray(snapshots) || !snapshots.every(isSnapshot)) {
+        throw new Error('File is not an availability history export');
+    }
+
+    return snapshots.map(snapshot => ({ ...snapshot, lastSeenAt: snapshot.lastSeenAt || snapshot.takenAt }));
+}
+
+/**
+ * Combines two histories, keeping one snapshot per `takenAt`
+ */
+export function mergeHistories(history, imported) {
+    const byTakenAt = new Map([...history, ...imported].map(snapshot => [snapshot.takenAt, snapshot]));
+    return [...byTakenAt.values()]
+        .sort((a, b) => a.takenAt.localeCompare(b.takenAt))
+        .slice(-MAX_SNAPSHOTS);
+}
+
+/**
+ * Loads the stored snapshots, oldest first
+ */
+export async function loadHistory() {
+    const entries = await getCachedByPrefix(SNAPSHOT_PREFIX);
+    return entries.map(entry => entry.value);
+}
+
+/**
+ * Replaces the stored history, e.g. after an import
+ */
+export async function saveHistory(history) {
+    const keys = new Set(history.map(snapshot => CACHE_KEYS.snapshot(snapshot.takenAt)));
+    const stale = (await getCachedKeys(SNAPSHOT_PREFIX)).filter(key => !keys.has(key));
+    return updateCached(
+        Object.fromEntries(history.map(snapshot => [CACHE_KEYS.snapshot(snapshot.takenAt), snapshot])),
+        stale
+    );
+}
+
+/**
+ * Works out what storing a sync changes
+ * @param {Array<string>} storedKeys - Snapshot keys in storage, oldest first
+ * @param {Object|null} latest - Latest stored snapshot
+ * @returns {Object} { snapshot, removeKeys } - the snapshot to write (new, or `latest` seen again) and the keys past MAX_SNAPSHOTS
+ */
+export function planSnapshotWrite(storedKeys, latest, bikes, syncedAt) {
+    const [snapshot] = addSnapshot(latest ? [latest] : [], bikes, syncedAt).slice(-1);
+    const keys = [...new Set([...storedKeys, CACHE_KEYS.snapshot(snapshot.takenAt)])];
+    return { snapshot, removeKeys: keys.slice(0, -MAX_SNAPSHOTS) };
+}
+
+/**
+ * Stores a completed sync
+ * Only the latest snapshot is read back and only this sync's snapshot is written.
+ * @returns {Promise<Object>} { snapshot, previous } - the stored snapshot and the latest one before this sync, if any
+ */
+export async function recordSync(bikes, syncedAt = new Date().toISOString()) {
+    const storedKeys = await getCachedKeys(SNAPSHOT_PREFIX);
+    const latestKey = storedKeys[storedKeys.length - 1];
+    const previous = latestKey ? (await getCached(latestKey))?.value || null : null;
+
+    const { snapshot, removeKeys } = planSnapshotWrite(storedKeys, previous, bikes, syncedAt);
+    await updateCached({ [CACHE_KEYS.snapshot(snapshot.takenAt)]: snapshot }, removeKeys);
+    return { snapshot, previous };
+}
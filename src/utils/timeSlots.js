@@ -0,0 +1,102 @@
+/**
+ * Pickup/return time slot helpers
+ * Izyrent stores per-weekday `timeSlots.start` (pickup) and `timeSlots.end`
+ * (return) lists in the product metafields, optionally overridden per variant,
+ * and `timeRange` with the shop's opening hours. Slots outside opening hours
+ * (e.g. the 20:00 after-hours drop-off) are kept but flagged.
+ */
+
+// Boundary between the AM and PM halves of a day when the opening hours are unknown
+export const MIDDAY = '12:00';
+
+const DEFAULT_TIME_RANGE = ['08', '18'];
+
+/**
+ * Returns the pickup/return slot table that applies to a bike
+ * @returns {Object|null} { start: { [weekday]: ['09:00', ...] }, end: {...} } or null when unknown
+ */
+export function getBikeTimeSlots(bike) {
+    const variantSlots = bike.metafields?.variantStock?.[bike.variantId]?.timeSlots;
+    if (variantSlots && typeof variantSlots === 'object') return variantSlots;
+
+    const productSlots = bike.metafields?.timeSlots;
+    if (productSlots && typeof productSlots === 'object') return productSlots;
+
+    return null;
+}
+
+/**
+ * Returns the shop opening hours as ['HH:00', 'HH:00']
+ * `timeRange` only applies while time picking is on: with `timeMode` disabled,
+ * or a range that closes before it opens (e.g. 15-14), the default hours apply.
+ */
+export function getOpeningHours(bike) {
+    const { timeMode, timeRange } = bike.metafields || {};
+    const isTimeModeOn = ![].concat(timeMode).includes('disabled');
+    const usesTimeRange = isTimeModeOn && Array.isArray(timeRange) && parseInt(timeRange[0]) < parseInt(timeRange[1]);
+
+    const [open, close] = usesTimeRange ? timeRange : DEFAULT_TIME_RANGE;
+    return [`${String(open).padStart(2, '0')}:00`, `${String(close).padStart(2, '0')}:00`];
+}
+
+/**
+ * Returns true when a "HH:mm" slot falls within opening hours
+ */
+export function isWithinOpeningHours(slot, [open, close]) {
+    return slot >= open && slot <= close;
+}
+
+/**
+ * Returns the pickup and return slots for a weekday (0 = Sunday)
+ * @returns {Object} { pickup: [...], return: [...] } or null when the bike has no slot table
+ */
+export function getSlotsForWeekday(bike, dayOfWeek) {
+    const slots = getBikeTimeSlots(bike);
+    if (!slots) return null;
+
+    return {
+        pickup: [...(slots.start?.[dayOfWeek] || [])].sort(),
+        return: [...(slots.end?.[dayOfWeek] || [])].sort()
+    };
+}
+
+/**
+ * Returns the exact "HH:mm" time carried by a booking value, or null
+ * Plain `true`/count values only say that a booking starts or ends that day.
+ */
+export function getBookingTime(value) {
+    if (typeof value === 'string' && /^\d{2}:\d{2}$/.test(value)) return value;
+    if (value && typeof value === 'object' && typeof value.time === 'string') return value.time;
+    return null;
+}
+
+/**
+ * Returns the middle of the opening hours ("13:00" for 08-18)
+ * Used to decide whether the shop is staffed in the morning and/or afternoon.
+ */
+export function getOpeningMidpoint(bike) {
+    const [open, close] = getOpeningHours(bike).map(time => parseInt(time));
+    const minutes = Math.round((open + close) * 30);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Splits a weekday's in-hours slots into morning and afternoon halves
+ * A half with no in-hours pickup or return slot means the shop is shut for it,
+ * e.g. Saturdays whose last slot is 12:30.
+ * @returns {Object|null} { am, pm, splitAt } - whether each half is open, and the boundary between them
+ */
+export function getOpenHalves(bike, dayOfWeek) {
+    const slots = getSlotsForWeekday(bike, dayOfWeek);
+    if (!slots) return null;
+
+    const hours = getOpeningHours(bike);
+    const splitAt = getOpeningMidpoint(bike);
+    const inHours = [...slots.pickup, ...slots.return].filter(slot => isWithinOpeningHours(slot, hours));
+
+    return {
+        am: inHours.some(slot => slot < splitAt),
+        pm: inHours.some(slot => slot >= splitAt),
+        splitAt
+    };
+}
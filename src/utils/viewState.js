@@ -0,0 +1,109 @@
+import { BIKE_STYLES, EMPTY_FACETS, ENGINE_CLASSES } from './bikeAttributes.js';
+import { MAX_GROUP_SIZE, MIN_GROUP_SIZE } from './groupFinder.js';
+
+/**
+ * Dashboard view state <-> URL hash
+ * Everything needed to reopen a view (duration, sort, calendar window, date
+ * filters and facets) lives in the hash, e.g. `#duration=7&mode=range&from=2026-11-06&to=2026-11-09&lams=1`.
+ * The hash never reaches the server, so links work on any static host
+ * including the GitHub Pages `base: './'` build. Only values that differ
+ * from DEFAULT_VIEW_STATE are written.
+ */
+
+export const MAX_DURATION_DAYS = 365;
+
+export const FILTER_MODES = ['days', 'range', 'soonest', 'group'];
+
+// Number of days the calendar can show at once
+export const HORIZON_OPTIONS = [14, 30, 60, 90];
+
+export const DEFAULT_VIEW_STATE = {
+    duration: 1,
+    sortOrder: 'asc',
+    sortBy: 'price',
+    horizonStart: null,
+    horizonDays: 30,
+    filterMode: 'days',
+    selectedDates: [],
+    tripRange: null,
+    groupSize: MIN_GROUP_SIZE,
+    facets: EMPTY_FACETS
+};
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+const ENGINE_CLASS_IDS = ENGINE_CLASSES.map(engineClass => engineClass.id);
+
+const readList = (params, key) => (params.get(key) || '').split(',').filter(Boolean);
+
+const readPrice = (params, key) => {
+    const price = parseFloat(params.get(key));
+    return Number.isNaN(price) || price < 0 ? null : price;
+};
+
+/**
+ * Reads the view state from a URL hash, ignoring unknown or invalid values
+ * @param {string} hash - `window.location.hash`, with or without the leading '#'
+ * @returns {Object} Complete view state (see DEFAULT_VIEW_STATE)
+ */
+export function parseViewState(hash = '') {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+
+    const duration = parseInt(params.get('duration'));
+    const horizonDays = parseInt(params.get('days'));
+    const groupSize = parseInt(params.get('riders'));
+    const from = params.get('from');
+    const to = params.get('to');
+    const hasRange = DATE_KEY.test(from || '') && DATE_KEY.test(to || '');
+
+    return {
+        duration: duration > 0 ? Math.min(duration, MAX_DURATION_DAYS) : DEFAULT_VIEW_STATE.duration,
+        sortOrder: params.get('sort') === 'desc' ? 'desc' : 'asc',
+        sortBy: params.get('sortBy') === 'window' ? 'window' : 'price',
+        // null = today
+        horizonStart: DATE_KEY.test(params.get('start') || '') ? params.get('start') : null,
+        horizonDays: HORIZON_OPTIONS.includes(horizonDays) ? horizonDays : DEFAULT_VIEW_STATE.horizonDays,
+        filterMode: FILTER_MODES.includes(params.get('mode')) ? params.get('mode') : DEFAULT_VIEW_STATE.filterMode,
+        selectedDates: readList(params, 'dates').filter(date => DATE_KEY.test(date)),
+        tripRange: hasRange ? (from <= to ? { start: from, end: to } : { start: to, end: from }) : null,
+        groupSize: groupSize >= MIN_GROUP_SIZE ? Math.min(groupSize, MAX_GROUP_SIZE) : DEFAULT_VIEW_STATE.groupSize,
+        facets: {
+            brands: readList(params, 'brands'),
+            styles: readList(params, 'styles').filter(style => BIKE_STYLES.includes(style)),
+            engineClasses: readList(params, 'engines').filter(id => ENGINE_CLASS_IDS.includes(id)),
+            lamsOnly: params.get('lams') === '1',
+            minPricePerDay: readPrice(params, 'minPrice'),
+            maxPricePerDay: readPrice(params, 'maxPrice')
+        }
+    };
+}
+
+/**
+ * Writes a view state as a URL hash (without the leading '#')
+ * @returns {string} '' for the default view
+ */
+export function serializeViewState(view) {
+    const params = new URLSearchParams();
+    const { facets } = view;
+
+    if (view.duration !== DEFAULT_VIEW_STATE.duration) params.set('duration', view.duration);
+    if (view.sortOrder !== DEFAULT_VIEW_STATE.sortOrder) params.set('sort', view.sortOrder);
+    if (view.sortBy !== DEFAULT_VIEW_STATE.sortBy) params.set('sortBy', view.sortBy);
+    if (view.horizonStart) params.set('start', view.horizonStart);
+    if (view.horizonDays !== DEFAULT_VIEW_STATE.horizonDays) params.set('days', view.horizonDays);
+    if (view.filterMode !== DEFAULT_VIEW_STATE.filterMode) params.set('mode', view.filterMode);
+    if (view.selectedDates.length > 0) params.set('dates', [...view.selectedDates].sort().join(','));
+    if (view.tripRange) {
+        params.set('from', view.tripRange.start);
+        params.set('to', view.tripRange.end);
+    }
+    if (view.groupSize !== DEFAULT_VIEW_STATE.groupSize) params.set('riders', view.groupSize);
+
+    if (facets.brands.length > 0) params.set('brands', facets.brands.join(','));
+    if (facets.styles.length > 0) params.set('styles', facets.styles.join(','));
+    if (facets.engineClasses.length > 0) params.set('engines', facets.engineClasses.join(','));
+    if (facets.lamsOnly) params.set('lams', '1');
+    if (facets.minPricePerDay !== null) params.set('minPrice', facets.minPricePerDay);
+    if (facets.maxPricePerDay !== null) params.set('maxPrice', facets.maxPricePerDay);
+
+    return params.toString();
+}
@@ -0,0 +1,130 @@
+import { differenceInCalendarDays, format, parseISO } from 'date-fns';
+import { CACHE_KEYS, getCached, setCached } from './availabilityCache.js';
+import { buildStockPools, checkRental } from './availability.js';
+import { evaluateBooking } from './bookingRules.js';
+import { getShopToday } from './shopTime.js';
+
+/**
+ * Watchlist of bike + date range combinations
+ * Each watch remembers whether its range was last seen free or booked, so a
+ * refresh can report when a booked range frees up or a free one gets booked.
+ * Ranges the booking rules reject (closed days, notice, weekdays) are
+ * 'unavailable' whatever the bookings, and never reported as booked.
+ * Watches are kept in IndexedDB next to the availability cache.
+ */
+
+// How often watched variants are re-fetched while the dashboard is open
+export const WATCH_POLL_INTERVAL_MS = 5 * 60 * 1000;
+
+// States whose changes are announced
+const FLIP_STATES = ['free', 'booked'];
+
+/**
+ * Creates a watch for a bike from `start` to `end` ('yyyy-MM-dd')
+ */
+export function createWatch(bike, start, end) {
+    return {
+        id: `${bike.variantId}:${start}:${end}`,
+        variantId: bike.variantId,
+        name: bike.name,
+        handle: bike.handle,
+        start,
+        end,
+        state: null, // 'free', 'booked' or 'unavailable' once known
+        changedAt: null,
+        unseen: false
+    };
+}
+
+/**
+ * Works out whether a watched range is currently free
+ * @returns {string} 'free', 'booked', 'unavailable' (the booking rules reject the range),
+ *   'unknown' (bookings not loaded) or 'expired' (pickup day has passed)
+ */
+export function getWatchState(watch, bike, globalSettings, stockPools, { today = getShopToday() } = {}) {
+    if (differenceInCalendarDays(parseISO(watch.start), today) < 0) return 'expired';
+    if (!bike || bike.error || bike.isLoading || !bike.bookings) return 'unknown';
+
+    const start = parseISO(watch.start);
+    const end = parseISO(watch.end);
+    if (!evaluateBooking(bike, start, end, globalSettings, { today }).bookable) return 'unavailable';
+
+    const { bookable } = checkRental(bike, start, end, globalSettings, stockPools, { today });
+    return bookable ? 'free' : 'booked';
+}
+
+/**
+ * Re-evaluates every watch against the latest bookings
+ * The first known state is recorded silently; later flips between free and
+ * booked are returned as changes and flagged `unseen`. Moving in or out of
+ * 'unavailable' is recorded silently too.
+ * @returns {Object} { watches, changes: [{ watch, from, to }] } - `watches` is the same array when nothing changed
+ */
+export function updateWatches(watches, bikes, globalSettings, stockPools, { today = getShopToday() } = {}) {
+    const bikesById = new Map(bikes.map(bike => [bike.variantId, bike]));
+    const changes = [];
+    let changed = false;
+
+    const updated = watches.map(watch => {
+        const state = getWatchState(watch, bikesById.get(watch.variantId), globalSettings, stockPools, { today });
+        if (state === 'unknown' || state === watch.state) return watch;
+
+        changed = true;
+        const isFlip = FLIP_STATES.includes(watch.state) && FLIP_STATES.includes(state);
+        const next = {
+            ...watch,
+            state,
+            changedAt: isFlip ? new Date().toISOString() : watch.changedAt,
+            unseen: watch.unseen || isFlip
+        };
+        if (isFlip) changes.push({ watch: next, from: watch.state, to: state });
+        return next;
+    });
+
+    return { watches: changed ? updated : watches, changes };
+}
+
+/**
+ * Returns the loaded bikes the watchlist poll should re-fetch
+ * A variant drawing from a product-level stock pool is only free when the
+ * pool is, so the other variants of its pool are re-fetched with it.
+ * @param {Set} variantIds - Watched variants
+ */
+export function getBikesToPoll(variantIds, bikes) {
+    const pools = buildStockPools(bikes);
+    const polled = new Set();
+
+    bikes.forEach(bike => {
+        if (!variantIds.has(bike.variantId)) return;
+        const pool = bike.stockMode === 'product' ? pools[bike.productId] : null;
+        (pool || [bike]).forEach(poolBike => polled.add(poolBike));
+    });
+
+    return bikes.filter(bike => polled.has(bike) && !bike.isLoading);
+}
+
+/**
+ * Describes a watch change for notifications
+ */
+export function describeWatchChange({ watch, to }) {
+    const range = `${format(parseISO(watch.start), 'EEE d MMM')} – ${format(parseISO(watch.end), 'EEE d MMM')}`;
+    return {
+        title: to === 'free' ? `${watch.name} is free` : `${watch.name} was booked`,
+        body: to === 'free' ? `Now available ${range}` : `No longer available ${range}`
+    };
+}
+
+/**
+ * Loads the saved watchlist
+ */
+export async function loadWatchlist() {
+    const entry = await getCached(CACHE_KEYS.watchlist);
+    return Array.isArray(entry?.value) ? entry.value : [];
+}
+
+/**
+ * Saves the watchlist
+ */
+export function saveWatchlist(watches) {
+    return setCached(CACHE_KEYS.watchlist, watches);
+}
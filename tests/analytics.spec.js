@@ -0,0 +1,54 @@
+import { test, expect } from '@playwright/test';
+import { addDays } from 'date-fns';
+import { buildAnalytics, estimateBookedRevenue } from '../src/utils/analytics.js';
+import { globalSettings, today, withBookings } from './helpers/fleet.js';
+
+// Monday 19 Oct to Monday 26 Oct 2026; Sundays are closed
+const dates = Array.from({ length: 8 }, (_, i) => addDays(today, i));
+
+// One unit each: the CB500F goes out Wednesday afternoon to Friday morning, and all of the next Monday
+const cb500f = withBookings('honda-cb500f-rental', { '2026/10/21_start': true, '2026/10/22': true, '2026/10/23_end': true, '2026/10/26': true });
+const r3 = withBookings('yamaha-r3-rental');
+
+test.describe('Analytics', () => {
+
+    test('should price each run of booked halves as one rental', () => {
+        // 2 days at $315 plus 1 day at $220
+        expect(estimateBookedRevenue(cb500f, dates, globalSettings, { today })).toEqual({ rentals: 2, bookedDays: 3, revenue: 535 });
+    });
+
+    test('should compute occupancy per bike, model, weekday and fleet', () => {
+        const analytics = buildAnalytics([cb500f, r3], dates, globalSettings, {}, { today });
+
+        // 6 full days and Saturday morning: 13 open halves per bike; the CB500F is booked for 6
+        expect(analytics.fleet).toEqual({ open: 26, booked: 6, occupancy: 6 / 26 });
+        expect(analytics.models.map(model => [model.name, model.occupancy])).toEqual([
+            ['YAMAHA R3', 0],
+            ['HONDA CB500F', 6 / 13]
+        ]);
+        // Monday (half the Mondays booked) to Sunday (closed)
+        expect(analytics.heatmap.fleet).toEqual([0.25, 0, 0.25, 0.5, 0.25, 0, null]);
+        expect(analytics.busiestDates.map(day => day.date)).toEqual(['2026-10-22', '2026-10-26', '2026-10-21', '2026-10-23']);
+        expect(analytics.revenue).toBe(535);
+    });
+
+    test('should leave bikes with unknown bookings out', () => {
+        const failed = { ...r3, bookings: undefined, error: { message: 'HTTP 503' } };
+        const analytics = buildAnalytics([cb500f, failed], dates, globalSettings, {}, { today });
+
+        expect(analytics.fleet.open).toBe(13);
+        expect(analytics.bikes[1]).toMatchObject({ open: 0, occupancy: null, revenue: null });
+    });
+
+    test('should leave closed halves out even when a rental runs through them', () => {
+        // The R3 goes out all of Saturday to Monday
+        const weekend = withBookings('yamaha-r3-rental', { '2026/10/24': true, '2026/10/25': true, '2026/10/26': true });
+        const analytics = buildAnalytics([withBookings('honda-cb500f-rental'), weekend], dates, globalSettings, {}, { today });
+
+        // Saturday counts its morning only, Sunday not at all; Monday 19 is free
+        expect(analytics.heatmap.fleet).toEqual([0.25, 0, 0, 0, 0, 0.5, null]);
+        expect(analytics.bikes[1]).toMatchObject({ open: 13, booked: 3, occupancy: 3 / 13 });
+        // Sunday still counts towards the rental's length and price
+        expect(analytics.bikes[1]).toMatchObject({ rentals: 1, bookedDays: 3 });
+    });
+});
@@ -0,0 +1,57 @@
+import { test, expect } from '@playwright/test';
+import { diffBookings, getChangedDays } from '../src/utils/autoRefresh.js';
+import { fetchBookingsProgressively } from '../src/utils/dataFetcher.js';
+import { bookedNmax as nmax, globalSettings, today } from './helpers/fleet.js';
+
+test.describe('Auto-refresh', () => {
+
+    test('should list days whose booking entries changed', () => {
+        expect(getChangedDays(
+            { '2026/10/21': true, '2026/10/22_end': '10:00' },
+            { '2026/10/22_end': '14:00', '2026/10/23': true }
+        )).toEqual(['2026-10-21', '2026-10-22', '2026-10-23']);
+    });
+
+    test('should report newly booked and freed days from today on', () => {
+        const after = { ...nmax, bookings: { '2026/10/15': true, '2026/10/22': true, '2026/10/23': true } };
+        const changes = diffBookings([nmax], [after], globalSettings, { today });
+
+        expect(changes.map(({ date, kind }) => ({ date, kind }))).toEqual([
+            { date: '2026-10-21', kind: 'freed' },
+            { date: '2026-10-23', kind: 'booked' }
+        ]);
+        expect(changes[0].from).toMatchObject({ status: 'booked', free: 0 });
+        expect(changes[0].to.status).toBe('available');
+    });
+
+    test('should skip bikes that failed to sync', () => {
+        const failed = { ...nmax, bookings: undefined, error: { message: 'HTTP 503' } };
+
+        expect(diffBookings([nmax], [failed], globalSettings, { today })).toEqual([]);
+    });
+
+    test('should keep the last bookings when a re-sync request fails', async () => {
+        const error = Object.assign(new Error('Request failed'), { response: { status: 503 } });
+        const failingProvider = { cacheable: false, fetchBookings: async () => { throw error; } };
+        const neverSynced = { ...nmax, variantId: 'never-synced', bookings: undefined, isLoading: true };
+
+        const updates = new Map();
+        await fetchBookingsProgressively([nmax, neverSynced], {
+            onBikeUpdate: (variantId, update) => updates.set(variantId, update)
+        }, { retries: 0, provider: failingProvider, keepBookingsOnError: true });
+
+        const kept = { ...nmax, ...updates.get(nmax.variantId) };
+        expect(kept).toMatchObject({ bookings: nmax.bookings, isStale: true });
+        expect(kept.error).toBeFalsy();
+        expect(kept.refreshError.message).toBe('Booking API responded with HTTP 503');
+        // Nothing to keep: the bike is unknown rather than free
+        expect(updates.get('never-synced')).toMatchObject({ bookings: undefined, error: { message: 'Booking API responded with HTTP 503' } });
+        expect(diffBookings([nmax], [kept], globalSettings, { today })).toEqual([]);
+
+        // A full load replaces the bookings with the error as before
+        await fetchBookingsProgressively([nmax], {
+            onBikeUpdate: (variantId, update) => updates.set(variantId, update)
+        }, { retries: 0, provider: failingProvider });
+        expect(updates.get(nmax.variantId)).toMatchObject({ bookings: undefined, error: { message: 'Booking API responded with HTTP 503' } });
+    });
+});
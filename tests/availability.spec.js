@@ -0,0 +1,226 @@
+import { test, expect } from '@playwright/test';
+import { addDays, format } from 'date-fns';
+import {
+    MAX_WINDOW_SEARCH_DAYS,
+    buildStockPools,
+    checkRental,
+    findNextWindow,
+    getBookedUnits,
+    getCapacity,
+    getDayAvailability,
+    getModelDayAvailability,
+    getModelRows,
+    groupBikesByModel
+} from '../src/utils/availability.js';
+import { createMockProvider } from '../src/providers/mockProvider.js';
+import { getRentalDays, getReturnDate } from '../src/utils/bookingRules.js';
+import { globalSettings, today, withBookings } from './helpers/fleet.js';
+
+const day = (date) => new Date(2026, 9, date);
+
+// One R3: booked all Wednesday 21 Oct, back at 10:00 on Thursday
+const r3 = withBookings('yamaha-r3-rental', { '2026/10/21': true, '2026/10/22_end': '10:00' });
+const withRules = (bike, metafields) => ({ ...bike, metafields: { ...bike.metafields, ...metafields } });
+
+test.describe('Trip availability', () => {
+
+    test('should count the return day only with countLastRangeDay', () => {
+        const counting = withRules(r3, { countLastRangeDay: true });
+
+        expect(getReturnDate(r3, day(19), 3)).toEqual(day(22));
+        expect(getReturnDate(counting, day(19), 3)).toEqual(day(21));
+        // A one-day rental comes back the same day
+        expect(getReturnDate(counting, day(19), 1)).toEqual(day(19));
+        expect(getRentalDays(counting, day(19), getReturnDate(counting, day(19), 3))).toBe(3);
+    });
+
+    test('should check rentals against the rules and the bookings', () => {
+        expect(checkRental(r3, day(19), day(20), globalSettings, {}, { today })).toEqual({ bookable: true, days: 1, reasons: [] });
+        expect(checkRental(r3, day(19), day(21), globalSettings, {}, { today })).toMatchObject({ bookable: false, reasons: ['booked on 21 Oct'] });
+        // Picked up after Thursday's 10:00 return
+        expect(checkRental(r3, day(22), day(24), globalSettings, {}, { today }).bookable).toBe(true);
+        expect(checkRental(r3, day(23), day(25), globalSettings, {}, { today }).reasons).toEqual(['returns not allowed on Sunday']);
+
+        const failed = { ...r3, bookings: undefined, error: { message: 'HTTP 503' } };
+        expect(checkRental(failed, day(19), day(20), globalSettings, {}, { today }).bookable).toBe(false);
+    });
+
+    test('should find the earliest window for a duration', () => {
+        expect(findNextWindow(r3, 1, globalSettings, {}, { today })).toEqual({ start: day(19), end: day(20) });
+        // Thursday to Sunday would end on a closed day, so Friday to Monday
+        expect(findNextWindow(r3, 3, globalSettings, {}, { today })).toEqual({ start: day(23), end: day(26) });
+        expect(findNextWindow(withRules(r3, { countLastRangeDay: true }), 3, globalSettings, {}, { today })).toEqual({ start: day(22), end: day(24) });
+        expect(findNextWindow({ ...r3, isLoading: true }, 1, globalSettings, {}, { today })).toBeNull();
+    });
+
+    test('should stop searching at the horizon', () => {
+        expect(findNextWindow(r3, 3, globalSettings, {}, { today, horizonDays: 2 })).toBeNull();
+        // Bookings only open two days ahead
+        expect(findNextWindow(withRules(r3, { maxDays: '2' }), 3, globalSettings, {}, { today })).toBeNull();
+
+        // Bookings opening further ahead are still only searched MAX_WINDOW_SEARCH_DAYS out
+        const farAhead = withRules(r3, { maxDays: '1000' });
+        const bookedFor = (days) => Object.fromEntries(
+            Array.from({ length: days }, (_, i) => [format(addDays(today, i), 'yyyy/MM/dd'), true])
+        );
+        expect(findNextWindow({ ...farAhead, bookings: bookedFor(MAX_WINDOW_SEARCH_DAYS) }, 1, globalSettings, {}, { today }))
+            .toEqual({ start: addDays(today, MAX_WINDOW_SEARCH_DAYS), end: addDays(today, MAX_WINDOW_SEARCH_DAYS + 1) });
+        expect(findNextWindow({ ...farAhead, bookings: bookedFor(MAX_WINDOW_SEARCH_DAYS + 1) }, 1, globalSettings, {}, { today })).toBeNull();
+    });
+});
+
+test.describe('Remaining units', () => {
+
+    // Two variants drawing from one product pool of 3 units
+    const pooled = (variantId, bookings) => ({
+        ...withBookings('yamaha-r3-rental', bookings), variantId, productId: 'pool', stockMode: 'product', productStock: 3
+    });
+    const black = pooled('black', { '2026/10/20': 2 });
+    const blue = pooled('blue', { '2026/10/20': 1, '2026/10/21_end': true, '2026/10/22_start': { time: '15:00', qty: 1 } });
+    const ownStock = { ...withBookings('yamaha-r3-rental'), stockMode: 'variant', stock: 2 };
+    const pools = buildStockPools([black, blue, ownStock]);
+
+    test('should count booked units for each kind of booking value', () => {
+        const bookings = { '2026/10/20': 2, '2026/10/21': true, '2026/10/22_end': '10:00', '2026/10/23_start': { time: '15:00', qty: 1 }, '2026/10/24_start': true };
+
+        expect(getBookedUnits(bookings, '2026/10/20', 3)).toBe(2);
+        expect(getBookedUnits(bookings, '2026/10/21', 3)).toBe(3);
+        // Never more than the stock
+        expect(getBookedUnits({ '2026/10/20': 5 }, '2026/10/20', 3)).toBe(3);
+        expect(getBookedUnits(bookings, '2026/10/19', 3)).toBe(0);
+        expect(getBookedUnits(undefined, '2026/10/20', 3)).toBe(0);
+
+        // Returned at 10:00, picked up at 15:00
+        expect(getBookedUnits(bookings, '2026/10/22', 3, '09:00')).toBe(3);
+        expect(getBookedUnits(bookings, '2026/10/22', 3, '10:00')).toBe(0);
+        expect(getBookedUnits(bookings, '2026/10/23', 3, '14:30')).toBe(0);
+        expect(getBookedUnits(bookings, '2026/10/23', 3, '15:00')).toBe(1);
+
+        // Untimed pickups are split at the given midday
+        expect(getBookedUnits(bookings, '2026/10/24', 3, '11:00')).toBe(0);
+        expect(getBookedUnits(bookings, '2026/10/24', 3, '12:00')).toBe(3);
+        expect(getBookedUnits(bookings, '2026/10/24', 3, '12:00', '13:00')).toBe(0);
+    });
+
+    test('should pool variants that share product stock', () => {
+        expect(Object.keys(pools)).toEqual(['pool']);
+        expect(pools.pool.map(bike => bike.variantId)).toEqual(['black', 'blue']);
+
+        expect(getCapacity(black)).toBe(3);
+        expect(getCapacity({ ...black, productStock: 0, stock: 2 })).toBe(2);
+        expect(getCapacity(ownStock)).toBe(2);
+    });
+
+    test('should count every pooled variant against the same units', () => {
+        const dayOf = (bike, date, stockPools = pools) => getDayAvailability(bike, day(date), globalSettings, stockPools, { today });
+
+        // 2 + 1 units booked on Tuesday: the pool is full for both variants
+        expect(dayOf(black, 20)).toMatchObject({ status: 'booked', free: 0, capacity: 3 });
+        expect(dayOf(blue, 20)).toMatchObject({ status: 'booked', free: 0, capacity: 3 });
+        // Without the pools, each variant only sees its own bookings
+        expect(dayOf(black, 20, {})).toMatchObject({ status: 'partial', free: 1 });
+
+        // An untimed return frees the units from the afternoon half
+        expect(dayOf(black, 21)).toMatchObject({ status: 'afternoon', free: 0 });
+        expect(dayOf(black, 21).halves.pm.free).toBe(3);
+
+        // One unit picked up at 15:00 leaves two of three
+        const thursday = dayOf(black, 22);
+        expect(thursday).toMatchObject({ status: 'partial', free: 2 });
+        expect(thursday.halves.am).toMatchObject({ status: 'available', free: 3 });
+    });
+
+    test('should leave the whole pool unknown while a pooled variant is unsynced', () => {
+        const failed = { ...pooled('blue', undefined), error: { message: 'HTTP 503' } };
+        const loading = { ...pooled('blue', undefined), isLoading: true };
+        const dayOf = (bike, stockPools) => getDayAvailability(bike, day(22), globalSettings, stockPools, { today });
+
+        // Black alone has two units free on Thursday, but the failed variant may hold them
+        expect(dayOf(black, buildStockPools([black, failed]))).toMatchObject({ status: 'error', free: null });
+        expect(dayOf(black, buildStockPools([black, loading]))).toMatchObject({ status: 'loading', free: null });
+        expect(checkRental(black, day(22), day(23), globalSettings, buildStockPools([black, failed]), { today })).toMatchObject({
+            bookable: false,
+            reasons: ['availability unknown (sync failed)']
+        });
+
+        // Variants with their own stock don't depend on each other
+        expect(dayOf(ownStock, buildStockPools([ownStock, failed])).status).toBe('available');
+    });
+
+    test('should replay synthetic unit counts instead of the recording', async () => {
+        const provider = createMockProvider({
+            today,
+            latencyMs: 0,
+            fixtures: {
+                recordedAt: '2026-10-18',
+                bookings: { black: { '2026/10/19': true }, blue: { '2026/10/19': true } },
+                synthetic: { bookings: { black: { '2026/10/19': 2 } } }
+            }
+        });
+
+        expect(await provider.fetchBookings(black)).toEqual({ '2026/10/20': 2 });
+        expect(await provider.fetchBookings(blue)).toEqual({ '2026/10/20': true });
+    });
+});
+
+test.describe('Model rollups', () => {
+
+    // A synthetic model with variants per colour: the catalog only lists single-variant products
+    const variantOf = (productId, variantId, bookings, stock) => ({
+        ...withBookings('yamaha-r3-rental', bookings), productId, variantId, handle: productId, name: `${productId} ${variantId}`, ...stock
+    });
+    const pooledStock = { stockMode: 'product', productStock: 2 };
+    const ownStock = { stockMode: 'variant', stock: 1 };
+
+    const red = variantOf('cb500', 'red', { '2026/10/20': 1 }, pooledStock);
+    const white = variantOf('cb500', 'white', { '2026/10/20': 1, '2026/10/21': 1 }, pooledStock);
+    const black = variantOf('mt07', 'black', { '2026/10/20': true }, ownStock);
+    const grey = variantOf('mt07', 'grey', { '2026/10/21_end': true }, ownStock);
+    const failed = { ...variantOf('mt07', 'blue', {}, ownStock), bookings: undefined, error: { message: 'HTTP 503' } };
+    const solo = withBookings('yamaha-r3-rental');
+
+    const fleet = [red, white, black, grey, failed, solo];
+    const pools = buildStockPools(fleet);
+    const modelDay = (units, date) => getModelDayAvailability(units, day(date), globalSettings, pools, { today });
+
+    test('should group variants by product in fleet order', () => {
+        expect(groupBikesByModel(fleet).map(model => [model.productId, model.bikes.length])).toEqual([
+            ['cb500', 2], ['mt07', 3], [solo.productId, 1]
+        ]);
+    });
+
+    test('should count a shared product pool once', () => {
+        expect(modelDay([red, white], 20)).toMatchObject({ status: 'booked', free: 0, capacity: 2, unknownUnits: 0 });
+        expect(modelDay([red, white], 21)).toMatchObject({ status: 'partial', free: 1, capacity: 2 });
+        expect(modelDay([red, white], 22)).toMatchObject({ status: 'available', free: 2, capacity: 2 });
+    });
+
+    test('should add up per-variant stock and leave out units that failed to sync', () => {
+        expect(modelDay([black, grey, failed], 20)).toMatchObject({ status: 'partial', free: 1, capacity: 2, unknownUnits: 1 });
+
+        // Grey is returned at an unknown time: both units are free in the afternoon
+        const wednesday = modelDay([black, grey, failed], 21);
+        expect(wednesday).toMatchObject({ status: 'partial', free: 1, capacity: 2 });
+        expect(wednesday.halves).toEqual({ am: { free: 1, open: true }, pm: { free: 2, open: true } });
+
+        expect(modelDay([failed], 20)).toMatchObject({ status: 'error', unknownUnits: 1 });
+        expect(modelDay([black, { ...grey, isLoading: true }], 20).status).toBe('loading');
+    });
+
+    test('should collapse multi-variant models into rollup rows', () => {
+        // Filtered down to grey, the solo bike and red, in that order
+        const listed = [grey, solo, red];
+
+        const collapsed = getModelRows(fleet, listed, new Set());
+        expect(collapsed.map(row => row.model?.productId ?? row.bike.variantId)).toEqual(['mt07', solo.variantId, 'cb500']);
+        // The rollup covers every unit of the model, the listed bikes only the filtered ones
+        expect(collapsed[0].model.units).toEqual([black, grey, failed]);
+        expect(collapsed[0].model.bikes).toEqual([grey]);
+
+        const expanded = getModelRows(fleet, listed, new Set(['cb500']));
+        expect(expanded.slice(2)).toEqual([
+            { model: { productId: 'cb500', handle: 'cb500', name: 'cb500 red', bikes: [red], units: [red, white] } },
+            { bike: red, isNested: true }
+        ]);
+    });
+});
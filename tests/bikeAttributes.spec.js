@@ -0,0 +1,41 @@
+import { test, expect } from '@playwright/test';
+import { EMPTY_FACETS, getBikeAttributes, matchesFacets } from '../src/utils/bikeAttributes.js';
+
+const bikeFor = (handle) => ({ handle, attributes: getBikeAttributes(handle) });
+
+test.describe('Bike attributes', () => {
+
+    test('should derive brand, model, engine size and style from the handle', () => {
+        expect(getBikeAttributes('royal-enfield-himalayan-450-rental')).toEqual({
+            brand: 'Royal Enfield', model: 'Himalayan 450', cc: 450, style: 'adventure', lams: true
+        });
+        expect(getBikeAttributes('yamaha-nmax155-rental')).toMatchObject({ brand: 'Yamaha', cc: 155, style: 'scooter' });
+        expect(getBikeAttributes('honda-cbr500r-rental')).toMatchObject({ brand: 'Honda', model: 'CBR500R', style: 'sport' });
+        expect(getBikeAttributes('cfmoto-800mt-rental')).toMatchObject({ brand: 'CFMOTO', cc: 800, style: 'adventure', lams: false });
+    });
+
+    test('should apply the config overrides', () => {
+        // "mt03" has no usable engine size in the handle
+        expect(getBikeAttributes('yamaha-mt03-rental')).toMatchObject({ model: 'MT-03', cc: 321, lams: true });
+        expect(getBikeAttributes('yamaha-mt07-rental')).toMatchObject({ cc: 689, lams: false });
+    });
+
+    test('should combine facets with AND and values within a facet with OR', () => {
+        const nmax = bikeFor('yamaha-nmax155-rental');
+        const mt09 = bikeFor('yamaha-mt09-rental');
+        const dio = bikeFor('honda-nsc110-dio-rental');
+
+        const lamsUnder150 = { ...EMPTY_FACETS, lamsOnly: true, maxPricePerDay: 150 };
+        expect(matchesFacets(nmax, lamsUnder150, 110)).toBe(true);
+        expect(matchesFacets(nmax, lamsUnder150, 160)).toBe(false);
+        expect(matchesFacets(mt09, lamsUnder150, 140)).toBe(false);
+
+        const hondaOrYamahaScooters = { ...EMPTY_FACETS, brands: ['Honda', 'Yamaha'], styles: ['scooter'] };
+        expect(matchesFacets(nmax, hondaOrYamahaScooters, 110)).toBe(true);
+        expect(matchesFacets(dio, hondaOrYamahaScooters, 90)).toBe(true);
+        expect(matchesFacets(mt09, hondaOrYamahaScooters, 140)).toBe(false);
+
+        expect(matchesFacets(dio, { ...EMPTY_FACETS, engineClasses: ['upTo125'] }, 90)).toBe(true);
+        expect(matchesFacets(nmax, { ...EMPTY_FACETS, engineClasses: ['upTo125'] }, 110)).toBe(false);
+    });
+});
@@ -0,0 +1,115 @@
+import { test, expect } from '@playwright/test';
+import {
+    evaluateBooking,
+    getBookingRules,
+    getClosureReason,
+    getPickupReasons,
+    getRentalDays,
+    getReturnReasons,
+    isDateInCalendar,
+    mergeCalendars
+} from '../src/utils/bookingRules.js';
+import { findBike, globalSettings, today } from './helpers/fleet.js';
+
+const day = (date) => new Date(2026, 9, date);
+
+// Product rules in the Izyrent metafield shape, with a variant overriding some of them
+const product = {
+    activeDays: { start: ['1', '2', '3', '4', '5', '6'], end: ['1', '2', '3', '4', '5', '6'] },
+    minRangeDays: '2',
+    maxRangeDays: '7',
+    minDays: '1',
+    maxDays: '30',
+    countLastRangeDay: false,
+    disabledDates: { 2026: { 10: [28] } },
+    variantStock: {
+        weekdays: {
+            minRange: '3',
+            activeDays: { start: ['1', '2', '3', '4', '5'], end: ['2', '3', '4', '5'] },
+            disabledDates: { 2026: { 10: ['30'] } }
+        },
+        inherits: { activeDays: false }
+    }
+};
+const bikeFor = (variantId) => ({ variantId, metafields: product });
+
+test.describe('Booking rules', () => {
+
+    test('should read product rules and let variants override them', () => {
+        expect(getBookingRules(bikeFor('inherits'))).toEqual({
+            pickupDays: [1, 2, 3, 4, 5, 6],
+            returnDays: [1, 2, 3, 4, 5, 6],
+            minRange: 2,
+            maxRange: 7,
+            minNoticeDays: 1,
+            maxAdvanceDays: 30,
+            countLastRangeDay: false,
+            disabledDates: { 2026: { 10: [28] } }
+        });
+        expect(getBookingRules(bikeFor('weekdays'))).toMatchObject({
+            pickupDays: [1, 2, 3, 4, 5],
+            returnDays: [2, 3, 4, 5],
+            minRange: 3,
+            maxRange: 7,
+            disabledDates: { 2026: { 10: [28, 30] } }
+        });
+
+        // No metafields: no restrictions
+        expect(getBookingRules({ variantId: 'x' })).toMatchObject({ pickupDays: [0, 1, 2, 3, 4, 5, 6], minRange: 1, maxRange: Infinity });
+        expect(getBookingRules(findBike('yamaha-r3-rental'))).toMatchObject({ pickupDays: [1, 2, 3, 4, 5, 6], maxRange: 364, maxAdvanceDays: 365 });
+    });
+
+    test('should merge and look up date calendars', () => {
+        const merged = mergeCalendars([{ 2026: { 10: ['28'] } }, { 2026: { 10: [28, 30], 12: [25] } }, null]);
+        expect(merged).toEqual({ 2026: { 10: [28, 30], 12: [25] } });
+        expect(isDateInCalendar(merged, day(30))).toBe(true);
+        expect(isDateInCalendar(merged, day(29))).toBe(false);
+        expect(isDateInCalendar(undefined, day(30))).toBe(false);
+    });
+
+    test('should explain why a day is closed', () => {
+        const holidays = { ...globalSettings, closures: [0], disabledDatesGlobal: { 2026: { 10: [27] } } };
+        const bike = bikeFor('inherits');
+
+        expect(getClosureReason(bike, day(25), holidays)).toBe('shop closed on Sundays');
+        expect(getClosureReason(bike, day(27), holidays)).toBe('shop closed (holiday)');
+        expect(getClosureReason(bike, day(28), holidays)).toBe('date blocked for this bike');
+        expect(getClosureReason(bike, day(26), holidays)).toBeNull();
+    });
+
+    test('should apply notice, advance and weekday limits to pickups and returns', () => {
+        const bike = bikeFor('weekdays');
+
+        expect(getPickupReasons(bike, day(19), globalSettings, { today })).toEqual(['book at least 1 day ahead']);
+        expect(getPickupReasons(bike, day(18), globalSettings, { today })).toEqual(['pickups not allowed on Sunday', 'pickup date is in the past']);
+        expect(getPickupReasons(bike, day(20), globalSettings, { today })).toEqual([]);
+        expect(getPickupReasons(bike, new Date(2026, 10, 20), globalSettings, { today })).toEqual(['bookings open at most 30 days ahead']);
+
+        expect(getReturnReasons(bike, day(26), globalSettings)).toEqual(['returns not allowed on Monday']);
+        expect(getReturnReasons(bike, day(28), globalSettings)).toEqual(['return day: date blocked for this bike']);
+        expect(getReturnReasons(bike, day(29), globalSettings)).toEqual([]);
+    });
+
+    test('should evaluate a pickup and return pair', () => {
+        const bike = bikeFor('weekdays');
+
+        expect(evaluateBooking(bike, day(20), day(23), globalSettings, { today })).toEqual({ bookable: true, days: 3, reasons: [] });
+        expect(evaluateBooking(bike, day(20), day(22), globalSettings, { today })).toEqual({ bookable: false, days: 2, reasons: ['minimum 3 days'] });
+        expect(evaluateBooking(bike, day(20), day(29), globalSettings, { today }).reasons).toEqual([
+            'maximum 7 days',
+            'blocked for this bike on 28 Oct'
+        ]);
+        expect(evaluateBooking(bike, day(23), day(20), globalSettings, { today })).toEqual({
+            bookable: false, days: 0, reasons: ['return date is before pickup date']
+        });
+    });
+
+    test('should count rental days with and without the return day', () => {
+        const counting = { variantId: 'x', metafields: { countLastRangeDay: true } };
+
+        expect(getRentalDays(bikeFor('inherits'), day(20), day(23))).toBe(3);
+        expect(getRentalDays(counting, day(20), day(23))).toBe(4);
+        // Same-day rentals are one day either way
+        expect(getRentalDays(bikeFor('inherits'), day(20), day(20))).toBe(1);
+    });
+});
@@ -0,0 +1,134 @@
+import { test, expect } from '@playwright/test';
+import http from 'node:http';
+import fs from 'node:fs';
+import { extractBikeMetadata } from '../src/utils/dataFetcher.js';
+import { loadCatalog, fetchLiveCatalog, getCatalogTimestamp } from '../src/utils/catalogLoader.js';
+
+const snapshot = JSON.parse(fs.readFileSync(new URL('../public/example.json', import.meta.url), 'utf-8'));
+
+// Stand-in storefront: answers the catalog query with the snapshot's products as a connection
+function startStandInStorefront(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+            handler(req, res);
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({ url: `http://127.0.0.1:${port}`, requests, close: () => server.close() });
+        });
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+const liveBody = {
+    data: {
+        products: {
+            nodes: [
+                ...Object.values(snapshot.data).slice(0, 3),
+                // Non-rental product without a booking metafield
+                { id: 'gid://shopify/Product/1', handle: 'helmet', updatedAt: '2026-01-01T00:00:00Z', newMetafields: null }
+            ]
+        }
+    }
+};
+
+test.describe('Catalog loader', () => {
+
+    test('should load the live catalog in example.json shape', async () => {
+        const storefront = await startStandInStorefront((req, res) => sendJson(res, 200, liveBody));
+
+        try {
+            const catalog = await loadCatalog({
+                liveUrl: `${storefront.url}/api/graphql.json`,
+                snapshotUrl: `${storefront.url}/example.json`,
+                token: 'test-token'
+            });
+
+            expect(catalog.source).toBe('live');
+            expect(Object.keys(catalog.exampleData.data)).toEqual(['product0', 'product1', 'product2']);
+            expect(catalog.catalogUpdatedAt).toBe(getCatalogTimestamp({ data: liveBody.data.products.nodes.slice(0, 3) }));
+
+            // Same query shape as the snapshot, sent with the storefront token
+            const [request] = storefront.requests;
+            expect(request.headers['x-shopify-storefront-access-token']).toBe('test-token');
+            expect(request.body.query).toContain('newMetafields: metafield(');
+
+            // The live catalog feeds extractBikeMetadata unchanged
+            const { bikes } = extractBikeMetadata(catalog.exampleData, {});
+            expect(bikes.length).toBeGreaterThan(0);
+        } finally {
+            storefront.close();
+        }
+    });
+
+    test('should fall back to the snapshot when the storefront fails', async () => {
+        const storefront = await startStandInStorefront((req, res) => {
+            if (req.url === '/example.json') {
+                sendJson(res, 200, snapshot);
+            } else {
+                sendJson(res, 503, { errors: [{ message: 'Service unavailable' }] });
+            }
+        });
+
+        try {
+            const catalog = await loadCatalog({
+                liveUrl: `${storefront.url}/api/graphql.json`,
+                snapshotUrl: `${storefront.url}/example.json`,
+                token: 'test-token'
+            });
+
+            expect(catalog.source).toBe('snapshot');
+            expect(catalog.error).toContain('HTTP 503');
+            expect(catalog.exampleData).toEqual(snapshot);
+            expect(catalog.catalogUpdatedAt).toBe(getCatalogTimestamp(snapshot));
+        } finally {
+            storefront.close();
+        }
+    });
+
+    test('should not query the storefront without a token', async () => {
+        const storefront = await startStandInStorefront((req, res) => sendJson(res, req.url === '/example.json' ? 200 : 401, snapshot));
+
+        try {
+            const catalog = await loadCatalog({
+                liveUrl: `${storefront.url}/api/graphql.json`,
+                snapshotUrl: `${storefront.url}/example.json`,
+                token: ''
+            });
+
+            expect(catalog).toMatchObject({ source: 'snapshot', error: null });
+            expect(catalog.exampleData).toEqual(snapshot);
+            expect(storefront.requests.map(request => request.url)).toEqual(['/example.json']);
+        } finally {
+            storefront.close();
+        }
+    });
+
+    test('should reject GraphQL errors and empty catalogs', async () => {
+        const storefront = await startStandInStorefront((req, res) => {
+            if (req.url === '/errors') {
+                sendJson(res, 200, { errors: [{ message: 'Access denied' }] });
+            } else {
+                sendJson(res, 200, { data: { products: { nodes: [] } } });
+            }
+        });
+
+        try {
+            await expect(fetchLiveCatalog({ url: `${storefront.url}/errors` })).rejects.toThrow('Access denied');
+            await expect(fetchLiveCatalog({ url: `${storefront.url}/empty` })).rejects.toThrow('no bookable products');
+        } finally {
+            storefront.close();
+        }
+    });
+});
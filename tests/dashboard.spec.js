@@ -1,23 +1,31 @@
 import { test, expect } from '@playwright/test';
 
+// Replay recorded fixtures instead of calling Shopify/Izyrent
+const MOCK_URL = '/?source=mock';
+
 test.describe('Xpert Moto Fleet Availability Dashboard', () => {
 
+    test.beforeEach(async ({ page }) => {
+        // Fail loudly if anything still reaches a third-party API
+        await page.route(url => !['localhost', '127.0.0.1'].includes(url.hostname), route => route.abort());
+    });
+
     test('should load the dashboard with correct title', async ({ page }) => {
-        await page.goto('/');
+        await page.goto(MOCK_URL);
 
         // Check that the page loads with correct title
         await expect(page).toHaveTitle('Xpert Moto - Bike Availability Dashboard');
     });
 
     test('should load the page successfully', async ({ page }) => {
-        const response = await page.goto('/');
+        const response = await page.goto(MOCK_URL);
 
         // Check that page loads with 200 status
         expect(response.status()).toBe(200);
     });
 
     test('should have main container', async ({ page }) => {
-        await page.goto('/');
+        await page.goto(MOCK_URL);
 
         // Verify the main container exists
         const mainDiv = page.locator('div.min-h-screen').first();
@@ -31,7 +39,7 @@ test.describe('Xpert Moto Fleet Availability Dashboard', () => {
             { timeout: 10000 }
         );
 
-        await page.goto('/');
+        await page.goto(MOCK_URL);
 
         // Verify example.json loads
         const response = await exampleJsonPromise;
@@ -47,7 +55,7 @@ test.describe('Xpert Moto Fleet Availability Dashboard', () => {
             }
         });
 
-        await page.goto('/');
+        await page.goto(MOCK_URL);
 
         // Wait a bit for data fetching to start
         await page.waitForTimeout(5000);
@@ -59,4 +67,68 @@ test.describe('Xpert Moto Fleet Availability Dashboard', () => {
 
         expect(hasFetchLogs).toBe(true);
     });
+
+    test('should render every bike from the mock provider', async ({ page }) => {
+        await page.goto(MOCK_URL);
+
+        // 36 unique variants in example.json
+        await expect(page.locator('tbody tr')).toHaveCount(36, { timeout: 10000 });
+        await expect(page.getByText('Catalog: Mock fixtures')).toBeVisible({ timeout: 15000 });
+    });
+
+    test('should flag the recorded failed bike instead of showing it as available', async ({ page }) => {
+        await page.goto(MOCK_URL);
+
+        // The fixtures record a 503 for one variant; retries take a few seconds
+        await expect(page.getByText('1 bike failed to sync – retry all')).toBeVisible({ timeout: 15000 });
+        await expect(page.locator('tbody tr', { hasText: 'BMW R1250GS TROPHY' }).getByRole('button', { name: 'Retry' })).toBeVisible();
+    });
+
+    test('should list only bikes free for the whole trip in range mode', async ({ page }) => {
+        await page.goto(MOCK_URL);
+        await expect(page.getByText('1 bike failed to sync – retry all')).toBeVisible({ timeout: 15000 });
+
+        // Next Monday to Wednesday - both days allow pickups and returns
+        const monday = new Date();
+        monday.setDate(monday.getDate() + ((8 - monday.getDay()) % 7 || 7));
+        const wednesday = new Date(monday);
+        wednesday.setDate(monday.getDate() + 2);
+        const toKey = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+        await page.getByRole('button', { name: 'Trip range' }).click();
+        await page.getByLabel('Pickup').fill(toKey(monday));
+        await page.getByLabel('Return').fill(toKey(wednesday));
+
+        await expect(page.getByText(/of 36 bikes free for the whole trip/)).toBeVisible();
+        // Unknown availability never counts as free
+        await expect(page.locator('tbody tr', { hasText: 'BMW R1250GS TROPHY' })).toHaveCount(0);
+        await expect(page.locator('tbody tr').first()).toContainText('Total for 2 days (trip)');
+    });
+
+    test('should restore the view from the URL hash and on back navigation', async ({ page }) => {
+        // LAMS-approved adventure bikes: CB500X, 390 Adventure and Himalayan 450
+        await page.goto(`${MOCK_URL}#duration=7&styles=adventure&lams=1`);
+
+        await expect(page.getByLabel('Rental duration in days')).toHaveValue('7');
+        await expect(page.locator('tbody tr')).toHaveCount(3, { timeout: 10000 });
+
+        await page.getByRole('button', { name: 'LAMS only' }).click();
+        await expect(page.locator('tbody tr')).toHaveCount(6);
+        await expect(page).toHaveURL(/#duration=7&styles=adventure$/);
+
+        await page.goBack();
+        await expect(page.locator('tbody tr')).toHaveCount(3);
+        await expect(page).toHaveURL(/lams=1/);
+    });
+
+    test.describe('viewed from another timezone', () => {
+        test.use({ timezoneId: 'America/Los_Angeles' });
+
+        test('should start the calendar on the Sydney date', async ({ page }) => {
+            await page.goto(MOCK_URL);
+
+            const sydneyDay = new Intl.DateTimeFormat('en-AU', { timeZone: 'Australia/Sydney', day: '2-digit' }).format(new Date());
+            await expect(page.locator('thead tr').nth(1).locator('th').first()).toContainText(sydneyDay, { timeout: 10000 });
+        });
+    });
 });
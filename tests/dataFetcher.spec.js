@@ -0,0 +1,273 @@
+import { test, expect } from '@playwright/test';
+import axios from 'axios';
+import {
+    applyCachedBookings,
+    describeFetchError,
+    extractBikeMetadata,
+    fetchAddonPrices,
+    fetchBookingsProgressively,
+    fetchProductImages,
+    loadCachedAvailability
+} from '../src/utils/dataFetcher.js';
+import { CACHE_KEYS } from '../src/utils/availabilityCache.js';
+import { getCatalogTimestamp } from '../src/utils/catalogLoader.js';
+import { buildStockPools, getDayAvailability } from '../src/utils/availability.js';
+import { createMockProvider } from '../src/providers/mockProvider.js';
+import { izyrentProvider } from '../src/providers/izyrentProvider.js';
+import { bikes, findBike, globalSettings, snapshot, today } from './helpers/fleet.js';
+import { installMemoryIndexedDB } from './helpers/memoryIndexedDB.js';
+
+const dio = findBike('honda-nsc110-dio-rental');
+const nmax = findBike('yamaha-nmax155-rental');
+const duke = findBike('ktm-duke200-rental');
+
+// Runs a booking sync to the end and collects each bike's update
+function syncBookings(syncBikes, options) {
+    const updates = {};
+    return new Promise(resolve => {
+        fetchBookingsProgressively(syncBikes, {
+            onBikeUpdate: (variantId, update) => { updates[variantId] = update; },
+            onComplete: () => resolve(updates)
+        }, { retries: 0, ...options });
+    });
+}
+
+test.describe('Offline cache', () => {
+    let cache;
+
+    // What a previous live sync left behind: the DIO and NMAX synced, the DUKE never did
+    const seedPreviousSync = () => {
+        cache.seed(CACHE_KEYS.catalog, snapshot, '2026-10-19T08:00:00.000Z');
+        cache.seed(CACHE_KEYS.imageMap, { [dio.handle]: 'https://cdn.example/dio.jpg' }, '2026-10-19T08:00:00.000Z');
+        cache.seed(CACHE_KEYS.addonPrices, { 1: { handle: 'helmet', title: 'Helmet', price: 10 } }, '2026-10-19T08:00:00.000Z');
+        cache.seed(CACHE_KEYS.bookings(dio.variantId), { '2026/10/21': true }, '2026-10-19T09:00:00.000Z');
+        cache.seed(CACHE_KEYS.bookings(nmax.variantId), { '2026/10/22': true }, '2026-10-19T07:30:00.000Z');
+    };
+
+    test.beforeAll(() => {
+        cache = installMemoryIndexedDB();
+    });
+
+    test.afterEach(() => {
+        cache.entries.clear();
+    });
+
+    test.afterAll(() => {
+        cache.uninstall();
+    });
+
+    test('should load nothing when no catalog is cached', async () => {
+        cache.seed(CACHE_KEYS.bookings(dio.variantId), { '2026/10/21': true }, '2026-10-19T09:00:00.000Z');
+
+        expect(await loadCachedAvailability()).toBeNull();
+    });
+
+    test('should restore the cached catalog, images, add-on prices and the bikes that have bookings', async () => {
+        seedPreviousSync();
+
+        const cached = await loadCachedAvailability();
+
+        expect(cached.exampleData).toEqual(snapshot);
+        expect(cached.imageMap).toEqual({ [dio.handle]: 'https://cdn.example/dio.jpg' });
+        expect(cached.addonPrices).toEqual({ 1: { handle: 'helmet', title: 'Helmet', price: 10 } });
+        expect(cached.catalogUpdatedAt).toBe(getCatalogTimestamp(snapshot));
+        expect(cached.bookings).toEqual({
+            [dio.variantId]: { bookings: { '2026/10/21': true }, savedAt: '2026-10-19T09:00:00.000Z' },
+            [nmax.variantId]: { bookings: { '2026/10/22': true }, savedAt: '2026-10-19T07:30:00.000Z' }
+        });
+        // The oldest entry dates the whole view
+        expect(cached.cachedAt).toBe('2026-10-19T07:30:00.000Z');
+    });
+
+    test('should ignore cached bookings of variants no longer in the catalog', async () => {
+        seedPreviousSync();
+        cache.seed(CACHE_KEYS.bookings('1'), { '2026/10/20': true }, '2026-01-01T00:00:00.000Z');
+
+        const cached = await loadCachedAvailability();
+
+        expect(Object.keys(cached.bookings)).toEqual([dio.variantId, nmax.variantId]);
+        expect(cached.cachedAt).toBe('2026-10-19T07:30:00.000Z');
+    });
+
+    test('should pre-fill covered bikes as stale and leave the rest loading', async () => {
+        seedPreviousSync();
+        const cached = await loadCachedAvailability();
+
+        const prefilled = applyCachedBookings(bikes, cached.bookings);
+        const stockPools = buildStockPools(prefilled);
+        const statusOn = (bike, date) => getDayAvailability(bike, date, globalSettings, stockPools, { today }).status;
+
+        const staleDio = prefilled.find(bike => bike.variantId === dio.variantId);
+        expect(staleDio).toMatchObject({
+            bookings: { '2026/10/21': true },
+            bookingsUpdatedAt: '2026-10-19T09:00:00.000Z',
+            isStale: true,
+            isLoading: false
+        });
+        expect(statusOn(staleDio, new Date(2026, 9, 21))).toBe('booked');
+        expect(statusOn(staleDio, new Date(2026, 9, 20))).toBe('available');
+
+        // No cached entry: untouched, so never shown as free
+        const uncovered = prefilled.find(bike => bike.variantId === duke.variantId);
+        expect(uncovered).toBe(bikes.find(bike => bike.variantId === duke.variantId));
+        expect(statusOn(uncovered, new Date(2026, 9, 20))).toBe('loading');
+
+        expect(applyCachedBookings(bikes)).toEqual(bikes);
+    });
+
+    test('should replace stale bookings and refresh the cache once a sync succeeds', async () => {
+        seedPreviousSync();
+        const cached = await loadCachedAvailability();
+        const [staleDio] = applyCachedBookings([dio], cached.bookings);
+        const provider = { ...createMockProvider({ today, latencyMs: 0 }), cacheable: true };
+
+        const updates = await syncBookings([staleDio], { provider });
+
+        expect(updates[dio.variantId]).toMatchObject({ isStale: false, isLoading: false, error: null });
+        const fetched = updates[dio.variantId].bookings;
+        expect(fetched).not.toEqual({ '2026/10/21': true });
+        expect((await loadCachedAvailability()).bookings[dio.variantId].bookings).toEqual(fetched);
+    });
+
+    test('should fall back to the cached view when the network is down', async () => {
+        seedPreviousSync();
+        const offline = new Error('Network Error');
+        offline.code = 'ERR_NETWORK';
+        const provider = {
+            name: 'izyrent',
+            cacheable: true,
+            fetchCatalog: async () => { throw offline; },
+            fetchImages: async () => { throw offline; },
+            fetchAddonPrices: async () => { throw offline; },
+            fetchBookings: async () => { throw offline; }
+        };
+
+        // Images and add-on prices come from the last sync
+        expect(await fetchProductImages(provider)).toEqual({ [dio.handle]: 'https://cdn.example/dio.jpg' });
+        expect(await fetchAddonPrices(provider)).toEqual({ 1: { handle: 'helmet', title: 'Helmet', price: 10 } });
+        // Mock data never reads the cache
+        expect(await fetchProductImages({ ...provider, cacheable: false })).toEqual({});
+
+        // The dashboard opens read-only from the cache when the catalog can't be fetched
+        await expect(provider.fetchCatalog()).rejects.toThrow('Network Error');
+        const cached = await loadCachedAvailability();
+        const { bikes: cachedBikes } = extractBikeMetadata(cached.exampleData, cached.imageMap);
+        const offlineBikes = applyCachedBookings(cachedBikes, cached.bookings);
+
+        expect(offlineBikes.find(bike => bike.variantId === dio.variantId)).toMatchObject({
+            imageUrl: 'https://cdn.example/dio.jpg',
+            bookings: { '2026/10/21': true },
+            isStale: true
+        });
+        expect(offlineBikes.filter(bike => bike.isStale)).toHaveLength(2);
+    });
+});
+
+test.describe('Booking errors', () => {
+    // The DIO replays its bookings, the NMAX a recorded 503
+    const provider = createMockProvider({
+        today,
+        latencyMs: 0,
+        fixtures: {
+            recordedAt: '2026-10-19',
+            bookings: { [dio.variantId]: { '2026/10/21': true } },
+            errors: { [nmax.variantId]: { status: 503, message: 'Service Unavailable' } }
+        }
+    });
+    const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+    test('should describe why a booking request failed', async () => {
+        expect(describeFetchError(Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' }))).toBe('Request timed out');
+        expect(describeFetchError(Object.assign(new Error('connect ETIMEDOUT'), { code: 'ETIMEDOUT' }))).toBe('Request timed out');
+        expect(describeFetchError(httpError(404))).toBe('Booking API responded with HTTP 404');
+        expect(describeFetchError(Object.assign(new Error('Network Error'), { code: 'ERR_NETWORK' }))).toBe('Network error');
+        expect(describeFetchError(new Error('Unexpected booking response'))).toBe('Unexpected booking response');
+        expect(describeFetchError({})).toBe('Unknown error');
+
+        const replayed = await provider.fetchBookings(nmax).catch(error => error);
+        expect(describeFetchError(replayed)).toBe('Booking API responded with HTTP 503');
+    });
+
+    test('should flag failed bikes with the reason instead of leaving them free', async () => {
+        const updates = await syncBookings([dio, nmax], { provider });
+
+        expect(updates[dio.variantId]).toMatchObject({
+            bookings: { '2026/10/21': true },
+            isStale: false,
+            isLoading: false,
+            error: null,
+            refreshError: null
+        });
+        expect(updates[nmax.variantId]).toEqual({
+            bookings: undefined,
+            isStale: false,
+            isLoading: false,
+            error: { message: 'Booking API responded with HTTP 503', failedAt: expect.any(String) }
+        });
+        // An explicit `bookings: undefined` blanks whatever the bike showed before
+        expect(Object.hasOwn(updates[nmax.variantId], 'bookings')).toBe(true);
+        expect(new Date(updates[nmax.variantId].error.failedAt).toISOString()).toBe(updates[nmax.variantId].error.failedAt);
+    });
+
+    test('should keep earlier bookings as stale on a failed re-sync with keepBookingsOnError', async () => {
+        const synced = { ...nmax, bookings: { '2026/10/22': true }, isLoading: false, error: null };
+        const previouslyFailed = { ...nmax, bookings: undefined, isLoading: false, error: { message: 'Network error' } };
+
+        const kept = (await syncBookings([synced], { provider, keepBookingsOnError: true }))[nmax.variantId];
+        expect(kept).toEqual({
+            isStale: true,
+            isLoading: false,
+            refreshError: { message: 'Booking API responded with HTTP 503', failedAt: expect.any(String) }
+        });
+        expect({ ...synced, ...kept }).toMatchObject({ bookings: { '2026/10/22': true }, error: null, isStale: true });
+
+        // Nothing to keep: the bike stays failed
+        const stillFailed = (await syncBookings([previouslyFailed], { provider, keepBookingsOnError: true }))[nmax.variantId];
+        expect(stillFailed).toMatchObject({ bookings: undefined, error: { message: 'Booking API responded with HTTP 503' } });
+
+        // Without the option a failed re-sync blanks the bike
+        const blanked = (await syncBookings([synced], { provider }))[nmax.variantId];
+        expect({ ...synced, ...blanked }).toMatchObject({ bookings: undefined, error: { message: 'Booking API responded with HTTP 503' } });
+    });
+});
+
+test.describe('Shopify products', () => {
+    const products = [
+        { handle: dio.handle, title: 'Honda Dio', images: [{ src: 'https://cdn.example/dio.jpg' }], variants: [{ id: 11, title: 'Default Title', price: '80.00' }] },
+        { handle: 'helmet', title: 'Helmet', images: [], variants: [{ id: 21, title: 'M', price: '10.00' }, { id: 22, title: 'L', price: '12.50' }] }
+    ];
+    let requests;
+    let defaultAdapter;
+
+    test.beforeEach(() => {
+        requests = [];
+        defaultAdapter = axios.defaults.adapter;
+        axios.defaults.adapter = async (config) => {
+            requests.push(config.url);
+            return { data: { products }, status: 200, statusText: 'OK', headers: {}, config };
+        };
+    });
+
+    test.afterEach(() => {
+        axios.defaults.adapter = defaultAdapter;
+    });
+
+    test('should read images and add-on prices from a single products.json download', async () => {
+        const [imageMap, addonPrices] = await Promise.all([
+            fetchProductImages(izyrentProvider),
+            fetchAddonPrices(izyrentProvider)
+        ]);
+
+        expect(requests).toEqual(['https://xpertmoto.com.au/products.json?limit=250']);
+        expect(imageMap).toEqual({ [dio.handle]: 'https://cdn.example/dio.jpg' });
+        expect(addonPrices).toEqual({
+            11: { handle: dio.handle, title: 'Honda Dio', price: 80 },
+            21: { handle: 'helmet', title: 'Helmet (M)', price: 10 },
+            22: { handle: 'helmet', title: 'Helmet (L)', price: 12.5 }
+        });
+
+        // A later load downloads it again
+        await izyrentProvider.fetchImages();
+        expect(requests).toHaveLength(2);
+    });
+});
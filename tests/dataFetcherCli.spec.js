@@ -0,0 +1,108 @@
+import { test, expect } from '@playwright/test';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { quoteRentalPrice } from '../src/utils/pricing.js';
+import { findBike } from './helpers/fleet.js';
+
+const SCRIPT = fileURLToPath(new URL('../scripts/data-fetcher.js', import.meta.url));
+
+let outDir;
+
+test.beforeEach(async () => {
+    outDir = await fs.mkdtemp(path.join(os.tmpdir(), 'data-fetcher-'));
+});
+
+test.afterEach(async () => {
+    await fs.rm(outDir, { recursive: true, force: true });
+});
+
+// Runs the CLI against the mock fixtures and reads back whatever it wrote
+function runCli(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [SCRIPT, '--source', 'mock', '--out', outDir, ...args], { timeout: 20000 }, async (error, stdout, stderr) => {
+            const files = (await fs.readdir(outDir)).sort();
+            const read = (extension) => {
+                const file = files.find(name => name.endsWith(extension));
+                return file ? fs.readFile(path.join(outDir, file), 'utf-8') : null;
+            };
+            const json = await read('.json');
+
+            resolve({
+                code: error ? error.code : 0,
+                stderr,
+                files,
+                snapshot: json && JSON.parse(json),
+                csv: await read('.csv')
+            });
+        });
+    });
+}
+
+test.describe('Data fetcher CLI', () => {
+
+    test('should write a JSON and CSV snapshot for the requested bikes, days and duration', async () => {
+        const { code, files, snapshot, csv } = await runCli([
+            '--days', '5', '--duration', '3',
+            '--handle', 'honda-nsc110-dio-rental,yamaha-nmax155-rental', '--handle', 'ktm-duke200-rental'
+        ]);
+
+        expect(code).toBe(0);
+        expect(files).toEqual([`availability-${snapshot.dates[0]}.csv`, `availability-${snapshot.dates[0]}.json`]);
+        expect(snapshot).toMatchObject({ source: 'mock', days: 5, duration: 3 });
+        expect(snapshot.dates).toHaveLength(5);
+        expect(snapshot.bikes.map(bike => bike.handle)).toEqual([
+            'honda-nsc110-dio-rental',
+            'yamaha-nmax155-rental',
+            'ktm-duke200-rental'
+        ]);
+
+        const dio = snapshot.bikes[0];
+        expect(dio.price).toBe(quoteRentalPrice(findBike('honda-nsc110-dio-rental').pricing, 3).total);
+        expect(Object.keys(dio.statuses)).toEqual(snapshot.dates);
+        expect(dio.error).toBeNull();
+
+        // One CSV row per bike, with the same statuses as the JSON
+        const [header, ...rows] = csv.trim().split('\n');
+        expect(header).toBe(`bike,handle,variant_id,price_3d,next_3d_window,error,${snapshot.dates.join(',')}`);
+        expect(rows).toHaveLength(3);
+        expect(rows[0]).toBe([
+            dio.name,
+            dio.handle,
+            dio.variantId,
+            dio.price.toFixed(2),
+            dio.nextWindow?.start || '',
+            '',
+            ...snapshot.dates.map(date => dio.statuses[date])
+        ].join(','));
+    });
+
+    test('should still write the snapshot but exit 1 when a booking fetch fails', async () => {
+        // The fixtures record a 503 for the BMW R1250GS
+        const { code, stderr, snapshot, csv } = await runCli([
+            '--days', '2', '--handle', 'bmw-r1250gs-trophy-rental,honda-nsc110-dio-rental'
+        ]);
+
+        expect(code).toBe(1);
+        expect(stderr).toContain('1 bike(s) failed to sync: BMW R1250GS TROPHY (Booking API responded with HTTP 503)');
+
+        const bmw = snapshot.bikes.find(bike => bike.handle === 'bmw-r1250gs-trophy-rental');
+        expect(bmw).toMatchObject({ error: 'Booking API responded with HTTP 503', nextWindow: null });
+        expect(Object.values(bmw.statuses)).toEqual(['error', 'error']);
+        expect(csv).toContain(',Booking API responded with HTTP 503,error,error\n');
+    });
+
+    test('should exit 2 without writing anything on invalid options', async () => {
+        const badDays = await runCli(['--days', '0']);
+        expect(badDays.code).toBe(2);
+        expect(badDays.stderr).toContain('--days must be a positive integer, got "0"');
+        expect(badDays.files).toEqual([]);
+
+        const unknownHandle = await runCli(['--handle', 'no-such-bike']);
+        expect(unknownHandle.code).toBe(2);
+        expect(unknownHandle.stderr).toContain('No bikes match --handle no-such-bike');
+        expect(unknownHandle.files).toEqual([]);
+    });
+});
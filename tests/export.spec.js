@@ -0,0 +1,60 @@
+import { test, expect } from '@playwright/test';
+import { addDays } from 'date-fns';
+import { strFromU8, unzipSync } from 'fflate';
+import { buildExportRows, toCsv, toXlsx } from '../src/utils/exportGrid.js';
+import { buildCalendar } from '../src/utils/icalendar.js';
+import { bookedNmax as nmax, globalSettings, today } from './helpers/fleet.js';
+
+// Monday to Friday; the NMAX is booked Wednesday and Thursday
+const dates = Array.from({ length: 5 }, (_, i) => addDays(today, i));
+
+test.describe('Export', () => {
+
+    test('should export the grid as CSV with price and per-day status', () => {
+        const rows = buildExportRows([nmax], dates, { globalSettings, getRentalLength: () => 7, today });
+
+        expect(toCsv(rows)).toBe(
+            'Bike,Handle,Variant ID,Days,Price,2026-10-19,2026-10-20,2026-10-21,2026-10-22,2026-10-23\n'
+            + `YAMAHA NMAX155,yamaha-nmax155-rental,${nmax.variantId},7,160,available,available,booked,booked,available\n`
+        );
+    });
+
+    test('should pack the grid into an xlsx workbook', () => {
+        const rows = buildExportRows([nmax], dates, { globalSettings, getRentalLength: () => 7, today });
+        const files = unzipSync(toXlsx(rows));
+
+        expect(Object.keys(files)).toContain('xl/workbook.xml');
+        const sheet = strFromU8(files['xl/worksheets/sheet1.xml']);
+        expect(sheet).toContain('<c r="A2" t="inlineStr"><is><t>YAMAHA NMAX155</t></is></c>');
+        // Numbers stay numeric so they can be summed
+        expect(sheet).toContain('<c r="E2"><v>160</v></c>');
+        expect(sheet).toContain('<c r="H2" t="inlineStr"><is><t>booked</t></is></c>');
+    });
+
+    test('should list free windows and bookings as all-day events', () => {
+        const ics = buildCalendar([nmax], dates, {
+            name: 'Xpert Moto fleet',
+            globalSettings,
+            today,
+            timeZone: 'Australia/Sydney',
+            now: new Date('2026-10-19T00:00:00Z')
+        });
+        const events = ics.split('BEGIN:VEVENT').slice(1);
+
+        expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+        expect(events).toHaveLength(3);
+        expect(events[0]).toContain('DTSTART;VALUE=DATE:20261019\r\nDTEND;VALUE=DATE:20261021');
+        expect(events[0]).toContain('SUMMARY:YAMAHA NMAX155 free (at least 20 of 20 units)');
+        expect(events[1]).toContain('DTSTART;VALUE=DATE:20261021\r\nDTEND;VALUE=DATE:20261023');
+        expect(events[1]).toContain('SUMMARY:YAMAHA NMAX155 booked');
+        expect(events[2]).toContain('DTSTART;VALUE=DATE:20261023\r\nDTEND;VALUE=DATE:20261024');
+        expect(ics).toContain('DTSTAMP:20261019T000000Z');
+    });
+
+    test('should skip bikes whose bookings are unknown', () => {
+        const failed = { ...nmax, bookings: undefined, error: { message: 'HTTP 503' } };
+        const ics = buildCalendar([failed], dates, { name: 'Fleet', globalSettings, today });
+
+        expect(ics).not.toContain('BEGIN:VEVENT');
+    });
+});
@@ -0,0 +1,134 @@
+import { test, expect } from '@playwright/test';
+import { isAbortError, isRetryableError, runWithConcurrency, sleep, withRetry } from '../src/utils/fetchScheduler.js';
+import { createMockProvider } from '../src/providers/mockProvider.js';
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+const timeoutError = () => Object.assign(new Error('timeout of 15000ms exceeded'), { code: 'ECONNABORTED' });
+
+// A task that resolves when the test says so
+function deferredTask(log, index) {
+    let finish;
+    const task = () => {
+        log.push(`start ${index}`);
+        return new Promise(resolve => { finish = () => resolve(index); });
+    };
+    return { task, finish: () => finish() };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test.describe('Fetch scheduler', () => {
+
+    test('should tell retryable errors apart', () => {
+        expect(isRetryableError(httpError(503))).toBe(true);
+        expect(isRetryableError(timeoutError())).toBe(true);
+        expect(isRetryableError({ code: 'ERR_NETWORK' })).toBe(true);
+        expect(isRetryableError(httpError(404))).toBe(false);
+        expect(isRetryableError(httpError(429))).toBe(false);
+        expect(isRetryableError({ name: 'CanceledError', code: 'ERR_CANCELED' })).toBe(false);
+        expect(isAbortError({ name: 'AbortError' })).toBe(true);
+    });
+
+    test('should keep at most `concurrency` tasks in flight', async () => {
+        const log = [];
+        const settled = [];
+        const deferred = Array.from({ length: 4 }, (_, i) => deferredTask(log, i));
+        const run = runWithConcurrency(deferred.map(d => d.task), {
+            concurrency: 2,
+            onSettled: result => settled.push(result)
+        });
+
+        await flush();
+        expect(log).toEqual(['start 0', 'start 1']);
+
+        // Each finished task frees a slot for the next one
+        deferred[1].finish();
+        await flush();
+        expect(log).toEqual(['start 0', 'start 1', 'start 2']);
+        expect(settled).toEqual([{ index: 1, status: 'fulfilled', value: 1 }]);
+
+        deferred[0].finish();
+        deferred[2].finish();
+        await flush();
+        deferred[3].finish();
+        await run;
+        expect(settled.map(result => result.index)).toEqual([1, 0, 2, 3]);
+    });
+
+    test('should retry 5xx responses and timeouts with backoff', async () => {
+        const retries = [];
+        let attempts = 0;
+        const value = await withRetry(async (attempt) => {
+            attempts++;
+            if (attempt === 0) throw httpError(503);
+            if (attempt === 1) throw timeoutError();
+            return 'bookings';
+        }, { baseDelayMs: 1, onRetry: ({ attempt, error }) => retries.push([attempt, error.response?.status ?? error.code]) });
+
+        expect(value).toBe('bookings');
+        expect(attempts).toBe(3);
+        expect(retries).toEqual([[1, 503], [2, 'ECONNABORTED']]);
+
+        // Gives up after `retries` extra attempts
+        attempts = 0;
+        await expect(withRetry(async () => { attempts++; throw httpError(502); }, { retries: 2, baseDelayMs: 1 }))
+            .rejects.toMatchObject({ response: { status: 502 } });
+        expect(attempts).toBe(3);
+    });
+
+    test('should not retry 4xx responses', async () => {
+        let attempts = 0;
+        await expect(withRetry(async () => { attempts++; throw httpError(404); }, { baseDelayMs: 1 }))
+            .rejects.toMatchObject({ response: { status: 404 } });
+        expect(attempts).toBe(1);
+    });
+
+    test('should stop reporting and starting tasks once aborted', async () => {
+        const controller = new AbortController();
+        const log = [];
+        const settled = [];
+        const deferred = Array.from({ length: 4 }, (_, i) => deferredTask(log, i));
+        const run = runWithConcurrency(deferred.map(d => d.task), {
+            concurrency: 2,
+            signal: controller.signal,
+            onSettled: result => settled.push(result.index)
+        });
+
+        await flush();
+        deferred[0].finish();
+        await flush();
+        expect(settled).toEqual([0]);
+
+        // The in-flight tasks still finish, but nothing more is reported or started
+        controller.abort();
+        deferred[1].finish();
+        deferred[2].finish();
+        await run;
+        expect(settled).toEqual([0]);
+        expect(log).toEqual(['start 0', 'start 1', 'start 2']);
+
+        // A retry waiting out its backoff gives up straight away
+        const retrying = new AbortController();
+        const pending = withRetry(async () => { throw httpError(503); }, { baseDelayMs: 60000, signal: retrying.signal });
+        await flush();
+        retrying.abort();
+        await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    test('should not leave abort listeners behind on a shared signal', async () => {
+        // One signal is shared by every request of a sync
+        const listeners = new Set();
+        const signal = {
+            aborted: false,
+            addEventListener: (type, listener) => listeners.add(listener),
+            removeEventListener: (type, listener) => listeners.delete(listener)
+        };
+
+        await sleep(1, signal);
+        expect(listeners.size).toBe(0);
+
+        const provider = createMockProvider({ latencyMs: 1, fixtures: { recordedAt: '2026-10-19', bookings: {} } });
+        await Promise.all(Array.from({ length: 5 }, (_, i) => provider.fetchBookings({ variantId: String(i) }, { signal })));
+        expect(listeners.size).toBe(0);
+    });
+});
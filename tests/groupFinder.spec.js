@@ -0,0 +1,81 @@
+import { test, expect } from '@playwright/test';
+import { buildStockPools } from '../src/utils/availability.js';
+import { findGroupRentals, getFreeUnitsForRental } from '../src/utils/groupFinder.js';
+import { globalSettings, today, withBookings } from './helpers/fleet.js';
+
+// A trip from Tuesday 20 to Thursday 22 Oct 2026
+const start = new Date(2026, 9, 20);
+const end = new Date(2026, 9, 22);
+
+const anyRider = { engineClass: null, budget: null };
+
+test.describe('Group rental finder', () => {
+
+    test('should count units free for the whole trip', () => {
+        // 5 CB125F units; 3 are out Wednesday
+        const cb125f = withBookings('honda-cb125f-rental', { '2026/10/21': 3 });
+        expect(getFreeUnitsForRental(cb125f, start, end, globalSettings, {}, { today })).toBe(2);
+
+        // Picked up Thursday afternoon, so it is back in time; booked Wednesday it isn't
+        const r3 = withBookings('yamaha-r3-rental', { '2026/10/22_start': '14:00' });
+        expect(getFreeUnitsForRental(r3, start, end, globalSettings, {}, { today })).toBe(1);
+        expect(getFreeUnitsForRental(withBookings('yamaha-r3-rental', { '2026/10/21': true }), start, end, globalSettings, {}, { today })).toBe(0);
+    });
+
+    test('should return the cheapest sets without reusing units', () => {
+        const fleet = [
+            withBookings('honda-cb125f-rental', { '2026/10/21': 4 }), // one unit left
+            withBookings('yamaha-r3-rental'),
+            withBookings('honda-cb500f-rental'),
+            withBookings('yamaha-tenere700-rental')
+        ];
+        const { sets, candidates } = findGroupRentals(
+            fleet,
+            { riders: [anyRider, anyRider], start, end },
+            globalSettings,
+            buildStockPools(fleet),
+            { today, limit: 3 }
+        );
+        const names = sets.map(set => set.picks.map(pick => pick.bike.name));
+
+        expect(candidates).toBe(4);
+        expect(names[0]).toEqual(['HONDA CB125F', 'YAMAHA R3']);
+        expect(sets[0].total).toBe(sets[0].picks[0].price + sets[0].picks[1].price);
+        expect(sets.map(set => set.total)).toEqual([...sets.map(set => set.total)].sort((a, b) => a - b));
+        // Its one free unit can't go to both riders
+        expect(names).not.toContainEqual(['HONDA CB125F', 'HONDA CB125F']);
+    });
+
+    test('should flag a search cut short at the step limit', () => {
+        const fleet = ['honda-cb125f-rental', 'yamaha-r3-rental', 'honda-cb500f-rental'].map(handle => withBookings(handle));
+        const trip = { riders: [anyRider, anyRider], start, end };
+
+        const complete = findGroupRentals(fleet, trip, globalSettings, {}, { today });
+        expect(complete.truncated).toBe(false);
+
+        // Enough steps for the first set only
+        const cut = findGroupRentals(fleet, trip, globalSettings, {}, { today, maxSteps: 3 });
+        expect(cut.truncated).toBe(true);
+        expect(cut.sets).toEqual(complete.sets.slice(0, 1));
+    });
+
+    test('should respect each rider\'s engine class and budget', () => {
+        const fleet = [
+            withBookings('honda-cb125f-rental'),
+            withBookings('yamaha-r3-rental'),
+            withBookings('yamaha-tenere700-rental')
+        ];
+        const riders = [
+            { engineClass: 'upTo700', budget: null },
+            { engineClass: null, budget: 200 }
+        ];
+        const { sets } = findGroupRentals(fleet, { riders, start, end }, globalSettings, {}, { today });
+
+        // Only the Ténéré is 501-700cc; only the CB125F fits $200
+        expect(sets).toHaveLength(1);
+        expect(sets[0].picks.map(pick => pick.bike.handle)).toEqual(['yamaha-tenere700-rental', 'honda-cb125f-rental']);
+
+        const tooTight = findGroupRentals(fleet, { riders: [{ engineClass: null, budget: 50 }, anyRider], start, end }, globalSettings, {}, { today });
+        expect(tooTight.sets).toEqual([]);
+    });
+});
@@ -0,0 +1,22 @@
+import fs from 'node:fs';
+import { extractBikeMetadata } from '../../src/utils/dataFetcher.js';
+
+/**
+ * Fleet fixture shared by the node specs: the bikes from the catalog snapshot
+ * and a fixed shop "today", so dates in the specs never drift
+ */
+
+export const snapshot = JSON.parse(fs.readFileSync(new URL('../../public/example.json', import.meta.url), 'utf-8'));
+export const { bikes } = extractBikeMetadata(snapshot, {});
+export const globalSettings = { closures: [], disabledDatesGlobal: {} };
+
+// Monday 19 Oct 2026
+export const today = new Date(2026, 9, 19);
+
+export const findBike = handle => bikes.find(bike => bike.handle === handle);
+
+// A loaded bike with the given Izyrent bookings
+export const withBookings = (handle, bookings = {}) => ({ ...findBike(handle), bookings, isLoading: false });
+
+// The NMAX booked Wednesday 21 and Thursday 22 Oct
+export const bookedNmax = withBookings('yamaha-nmax155-rental', { '2026/10/21': true, '2026/10/22': true });
@@ -0,0 +1,99 @@
+/**
+ * In-memory stand-in for the slice of IndexedDB that availabilityCache.js uses
+ * (one object store with get/getAll/getAllKeys/put/delete/clear and key ranges),
+ * so the node specs can exercise the offline cache without a browser.
+ */
+
+class KeyRange {
+    constructor(lower, upper) {
+        this.lower = lower;
+        this.upper = upper;
+    }
+
+    static bound(lower, upper) {
+        return new KeyRange(lower, upper);
+    }
+
+    includes(key) {
+        return key >= this.lower && key <= this.upper;
+    }
+}
+
+/**
+ * Installs the stand-in as the global `indexedDB`
+ * availabilityCache.js keeps the opened database for the life of the worker,
+ * so `uninstall()` also turns that connection into a no-op, as if IndexedDB
+ * were missing, for the specs that run after.
+ * @returns {Object} { entries, seed, uninstall } - `entries` is the store, keyed by cache key
+ */
+export function installMemoryIndexedDB() {
+    const entries = new Map();
+    let installed = true;
+
+    const sortedEntries = (range) => [...entries.values()]
+        .filter(entry => !range || range.includes(entry.key))
+        .sort((a, b) => a.key.localeCompare(b.key));
+
+    const store = {
+        get: key => ({ result: entries.has(key) ? structuredClone(entries.get(key)) : undefined }),
+        getAll: range => ({ result: structuredClone(sortedEntries(range)) }),
+        getAllKeys: range => ({ result: sortedEntries(range).map(entry => entry.key) }),
+        put: entry => {
+            entries.set(entry.key, structuredClone(entry));
+            return { result: entry.key };
+        },
+        delete: key => {
+            entries.delete(key);
+            return { result: undefined };
+        },
+        clear: () => {
+            entries.clear();
+            return { result: undefined };
+        }
+    };
+
+    // Once uninstalled, reads find nothing and writes are dropped
+    const goneStore = {
+        get: () => ({ result: null }),
+        getAll: () => ({ result: null }),
+        getAllKeys: () => ({ result: null }),
+        put: () => ({ result: null }),
+        delete: () => ({ result: null }),
+        clear: () => ({ result: null })
+    };
+
+    const db = {
+        objectStoreNames: { contains: () => true },
+        createObjectStore: () => store,
+        transaction: () => {
+            const transaction = {
+                objectStore: () => (installed ? store : goneStore)
+            };
+            setTimeout(() => transaction.oncomplete?.());
+            return transaction;
+        }
+    };
+
+    globalThis.IDBKeyRange = KeyRange;
+    globalThis.indexedDB = {
+        open: () => {
+            const request = {};
+            setTimeout(() => {
+                request.result = db;
+                request.onsuccess?.();
+            });
+            return request;
+        }
+    };
+
+    return {
+        entries,
+        seed: (key, value, savedAt) => entries.set(key, { key, value, savedAt }),
+        uninstall: () => {
+            installed = false;
+            entries.clear();
+            // IDBKeyRange stays: the kept connection still builds ranges
+            delete globalThis.indexedDB;
+        }
+    };
+}
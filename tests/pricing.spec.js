@@ -0,0 +1,84 @@
+import { test, expect } from '@playwright/test';
+import { findCheaperLongerRental } from '../src/utils/availability.js';
+import { findCheaperLongerRentals, getPriceForDuration, getPriceTiers, quoteRentalPrice } from '../src/utils/pricing.js';
+import { bikes, findBike } from './helpers/fleet.js';
+
+// Honda NSC110 Dio: 1 / 2-7 / 8-14 / 15-21 / 22-83 / 84-168 / 169+ tiers
+const dio = findBike('honda-nsc110-dio-rental');
+
+test.describe('Pricing engine', () => {
+
+    test('should charge flat prices inside tiers shorter than a week', () => {
+        expect(quoteRentalPrice(dio.pricing, 1)).toMatchObject({ total: 80, perDay: 80 });
+        expect(quoteRentalPrice(dio.pricing, 2).total).toBe(120);
+        expect(quoteRentalPrice(dio.pricing, 7)).toMatchObject({
+            total: 120,
+            tier: { from: 2, to: 7, price: 120, mode: 'flat' },
+            explanation: '2–7 day tier: $120 flat for 7 days'
+        });
+    });
+
+    test('should pro-rate weekly tiers for odd lengths', () => {
+        const tenDays = quoteRentalPrice(dio.pricing, 10);
+        expect(tenDays).toMatchObject({ days: 10, total: 160, perDay: 16, perWeek: 112 });
+        expect(tenDays.explanation).toBe('8–14 day tier: $112/week × 10/7 weeks');
+
+        // 45 days falls in the 22-83 tier at $96/week
+        expect(quoteRentalPrice(dio.pricing, 45)).toMatchObject({ total: 617.14, tier: { from: 22, to: 83, mode: 'weekly' } });
+        // String prices in the catalog are parsed too (84-168 at "88")
+        expect(quoteRentalPrice(dio.pricing, 84).total).toBe(1056);
+    });
+
+    test('should treat a tier ending before it starts as open-ended', () => {
+        // Kawasaki Ninja 650 lists its last tier as 84-29
+        const ninja = findBike('kawasaki-ninja-650-rental');
+        const { tiers } = getPriceTiers(ninja.pricing);
+
+        expect(tiers.at(-1)).toMatchObject({ from: 84, to: Infinity, price: 314 });
+        expect(quoteRentalPrice(ninja.pricing, 90)).toMatchObject({ total: 4037.14, explanation: '84+ day tier: $314/week × 90/7 weeks' });
+    });
+
+    test('should fall back to the default daily rate when no tier covers the length', () => {
+        const pricing = [{ days: 'default', price: 50 }, { days: 1, to: 3, price: 120 }];
+
+        expect(quoteRentalPrice(pricing, 5)).toMatchObject({ total: 250, tier: null, explanation: 'Default rate: $50/day × 5 days' });
+        expect(quoteRentalPrice([], 3)).toMatchObject({ total: 0, explanation: 'No price tiers' });
+    });
+
+    test('should price every bike for any whole number of days', () => {
+        for (const bike of bikes) {
+            for (const days of [1, 2, 3, 7, 10, 28, 45, 100, 400]) {
+                const total = getPriceForDuration(bike, days);
+                expect(Number.isFinite(total) && total > 0, `${bike.handle} for ${days} days`).toBe(true);
+            }
+        }
+    });
+
+    test('should find longer rentals that cost less at tier boundaries', () => {
+        // 21 days on the 15-21 tier cost more than 22 on the 22-83 weekly tier
+        expect(findCheaperLongerRentals(dio.pricing, 21)).toEqual([{ days: 22, total: 301.71, savings: 10.29 }]);
+        // Read as a weekly rate, 8 days at $112/week ($128) cost more than 7 at $120
+        expect(findCheaperLongerRentals(dio.pricing, 7)).toEqual([]);
+
+        // KTM Duke 200: $216 flat for 2-7 days, $188/week from 8
+        const duke = findBike('ktm-duke200-rental');
+        expect(findCheaperLongerRentals(duke.pricing, 3)).toEqual([{ days: 8, total: 214.86, savings: 1.14 }]);
+    });
+
+    test('should only suggest a longer rental when the extra days are free', () => {
+        const duke = { ...findBike('ktm-duke200-rental'), bookings: {}, isLoading: false };
+        const globalSettings = { closures: [], disabledDatesGlobal: {} };
+        // Monday 19 Oct 2026, a 7-day rental returns Monday 26
+        const today = new Date(2026, 9, 19);
+
+        expect(findCheaperLongerRental(duke, today, 7, globalSettings, {}, { today })).toMatchObject({
+            days: 8,
+            total: 214.86,
+            requestedDays: 7,
+            requestedTotal: 216,
+            end: new Date(2026, 9, 27)
+        });
+        const bookedAfter = { ...duke, bookings: { '2026/10/27': true } };
+        expect(findCheaperLongerRental(bookedAfter, today, 7, globalSettings, {}, { today })).toBeNull();
+    });
+});
@@ -0,0 +1,82 @@
+import { test, expect } from '@playwright/test';
+import fs from 'node:fs';
+import { buildQuote, getBikeAddons } from '../src/utils/quote.js';
+import { findBike, today } from './helpers/fleet.js';
+
+const fixtures = JSON.parse(fs.readFileSync(new URL('../src/providers/fixtures/bookings.json', import.meta.url), 'utf-8'));
+
+// Honda NSC110 Dio: $112/week for 8-14 days, 50% at checkout, rest a month later
+const dio = findBike('honda-nsc110-dio-rental');
+const pickup = new Date(2026, 10, 20);
+
+test.describe('Quote', () => {
+
+    test('should add required add-ons and split the total with pay-later', () => {
+        const quote = buildQuote(dio, { days: 10, start: pickup, addonPrices: fixtures.addonPrices, today });
+
+        expect(quote.base.total).toBe(160);
+        // Insurance, unlimited km and roadside assistance are charged once
+        expect(quote.addons.map(addon => [addon.handle, addon.total])).toEqual([
+            ['insurance-coverage', 25],
+            ['unlimited-kilometers', 15],
+            ['roadside-assistance', 10]
+        ]);
+        expect(quote.total).toBe(210);
+        expect(quote.dueNow).toBe(105);
+        expect(quote.instalments).toEqual([{ dueDate: new Date(2026, 10, 19), amount: 105 }]);
+    });
+
+    test('should charge selected per-day extras for every rental day', () => {
+        const quote = buildQuote(dio, {
+            days: 10,
+            start: pickup,
+            addonPrices: fixtures.addonPrices,
+            selectedAddons: new Set(['43825482530873']), // GPS, charge "all"
+            today
+        });
+
+        expect(quote.addons.at(-1)).toMatchObject({ handle: 'gps', perDay: true, total: 150 });
+        expect(quote.total).toBe(360);
+    });
+
+    test('should apply date rates, the best discount and the deposit', () => {
+        const bike = {
+            ...dio,
+            metafields: {
+                ...dio.metafields,
+                rates: [{ amount: '20', percent: '0', minRange: '0', dates: { 2026: { 11: [21, 22] } } }],
+                discountMode: 'percent',
+                discounts: [
+                    { each: false, amount: '0', percent: '5', days: '3', quantity: '0' },
+                    { each: false, amount: '0', percent: '10', days: '7', quantity: '0' }
+                ],
+                deposit: { amount: '500', percent: 0 },
+                payLater: { percent: '0' }
+            }
+        };
+        const quote = buildQuote(bike, { days: 10, start: pickup, addonPrices: fixtures.addonPrices, today });
+
+        expect(quote.rates).toEqual([{ label: '$20/day on 21 Nov, 22 Nov', amount: 40 }]);
+        // (160 + 40 + 50) less 10%
+        expect(quote.discount).toEqual({ label: '10% off for 7+ days', amount: 25 });
+        expect(quote.total).toBe(225);
+        expect(quote.deposit).toBe(500);
+        expect(quote.dueNow).toBe(725);
+    });
+
+    test('should flag add-ons whose price is unknown', () => {
+        const quote = buildQuote(dio, { days: 1, today });
+
+        expect(quote.total).toBe(80);
+        expect(quote.missingPrices).toEqual(['insurance coverage', 'unlimited kilometers', 'roadside assistance']);
+    });
+
+    test('should name add-ons without a handle by their variant', () => {
+        const bike = { ...dio, metafields: { ...dio.metafields, addons: [{ idVariant: 123, required: false, charge: 'once' }] } };
+
+        expect(getBikeAddons(bike)).toEqual([
+            { variantId: '123', handle: undefined, title: '123', required: false, perDay: false, unitPrice: null }
+        ]);
+        expect(getBikeAddons(bike, { 123: { title: 'Top Case', price: 20 } })[0]).toMatchObject({ title: 'Top Case', unitPrice: 20 });
+    });
+});
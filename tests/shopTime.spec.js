@@ -0,0 +1,73 @@
+import { test, expect } from '@playwright/test';
+import { addDays, format, getDay } from 'date-fns';
+import { getDayAvailability } from '../src/utils/availability.js';
+import { getPickupReasons } from '../src/utils/bookingRules.js';
+import { toShopDate } from '../src/utils/shopTime.js';
+import { findBike, globalSettings } from './helpers/fleet.js';
+
+const nmax = findBike('yamaha-nmax155-rental');
+
+// Tuesday 20 Oct 01:30 in Sydney, still Monday 19 Oct in Europe and America
+const instant = new Date('2026-10-19T14:30:00Z');
+
+const VIEWER_ZONES = ['Australia/Sydney', 'Europe/Berlin', 'Europe/London', 'America/Los_Angeles', 'Pacific/Auckland'];
+
+// Node picks up TZ changes at runtime, so each test can pose as a viewer elsewhere
+const originalTz = process.env.TZ;
+const asViewerIn = (timeZone, check) => {
+    process.env.TZ = timeZone;
+    try {
+        check();
+    } finally {
+        if (originalTz === undefined) delete process.env.TZ;
+        else process.env.TZ = originalTz;
+    }
+};
+
+test.describe('Shop time', () => {
+
+    test('should put today on the Sydney date for viewers in any zone', () => {
+        VIEWER_ZONES.forEach(zone => asViewerIn(zone, () => {
+            const today = toShopDate(instant);
+
+            expect(format(today, 'yyyy/MM/dd'), zone).toBe('2026/10/20');
+            expect(getDay(today), zone).toBe(2);
+        }));
+    });
+
+    test('should keep consecutive shop days across DST changes on either side', () => {
+        // Sydney starts DST on 4 Oct 2026, Europe ends it on 25 Oct 2026
+        [['2026-10-02T03:00:00Z', '2026/10/02'], ['2026-10-23T03:00:00Z', '2026/10/23']].forEach(([iso, firstKey]) => {
+            VIEWER_ZONES.forEach(zone => asViewerIn(zone, () => {
+                const start = toShopDate(new Date(iso));
+                const keys = Array.from({ length: 5 }, (_, i) => format(addDays(start, i), 'yyyy/MM/dd'));
+
+                expect(keys[0], zone).toBe(firstKey);
+                expect(new Set(keys).size, zone).toBe(5);
+                keys.slice(1).forEach((key, i) => {
+                    expect(key > keys[i], zone).toBe(true);
+                });
+            }));
+        });
+    });
+
+    test('should read Sydney booking keys and notice rules for a viewer abroad', () => {
+        const bike = { ...nmax, bookings: { '2026/10/20': true }, isLoading: false };
+
+        ['Europe/Berlin', 'America/Los_Angeles'].forEach(zone => asViewerIn(zone, () => {
+            const today = toShopDate(instant);
+
+            expect(getDayAvailability(bike, today, globalSettings, {}, { today }).status, zone).toBe('booked');
+            expect(getDayAvailability(bike, addDays(today, 1), globalSettings, {}, { today }).status, zone).not.toBe('booked');
+            // Monday 19 Oct is already over in Sydney
+            expect(getPickupReasons(bike, addDays(today, -1), globalSettings, { today }), zone).toContain('pickup date is in the past');
+        }));
+    });
+
+    test('should honour another shop timezone', () => {
+        asViewerIn('Australia/Sydney', () => {
+            expect(format(toShopDate(instant, 'Europe/London'), 'yyyy-MM-dd')).toBe('2026-10-19');
+            expect(format(toShopDate(instant, 'Pacific/Auckland'), 'yyyy-MM-dd')).toBe('2026-10-20');
+        });
+    });
+});
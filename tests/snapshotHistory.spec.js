@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+import {
+    MAX_SNAPSHOTS,
+    addSnapshot,
+    buildTimeline,
+    exportHistory,
+    mergeHistories,
+    parseHistoryImport,
+    planSnapshotWrite
+} from '../src/utils/snapshotHistory.js';
+import { globalSettings, withBookings } from './helpers/fleet.js';
+
+const nmax = withBookings('yamaha-nmax155-rental', { '2026/10/21': true });
+const fleetWith = (bookings) => [{ ...nmax, bookings }];
+
+test.describe('Snapshot history', () => {
+
+    test('should only keep syncs that changed something', () => {
+        let history = addSnapshot([], fleetWith({ '2026/10/21': true }), '2026-10-19T00:00:00.000Z');
+        history = addSnapshot(history, fleetWith({ '2026/10/21': true }), '2026-10-19T00:05:00.000Z');
+
+        expect(history).toEqual([{
+            takenAt: '2026-10-19T00:00:00.000Z',
+            lastSeenAt: '2026-10-19T00:05:00.000Z',
+            bookings: { [nmax.variantId]: { '2026/10/21': true } }
+        }]);
+
+        // Bikes that failed to sync are left out rather than recorded as free
+        history = addSnapshot(history, [{ ...nmax, bookings: undefined, error: { message: 'HTTP 503' } }], '2026-10-19T00:10:00.000Z');
+        expect(history[1].bookings).toEqual({});
+    });
+
+    test('should show when days were booked and freed', () => {
+        let history = addSnapshot([], fleetWith({ '2026/10/21': true }), '2026-10-19T00:00:00.000Z');
+        history = addSnapshot(history, fleetWith({ '2026/10/21': true, '2026/10/24': true }), '2026-10-19T01:00:00.000Z');
+        history = addSnapshot(history, fleetWith({ '2026/10/24': true }), '2026-10-20T01:00:00.000Z');
+
+        const [entry] = buildTimeline(history, [nmax], globalSettings);
+        expect(entry.bike.variantId).toBe(nmax.variantId);
+        expect(entry.events.map(({ date, kind, seenAt, lastSeenBefore }) => ({ date, kind, seenAt, lastSeenBefore }))).toEqual([
+            { date: '2026-10-21', kind: 'freed', seenAt: '2026-10-20T01:00:00.000Z', lastSeenBefore: '2026-10-19T01:00:00.000Z' },
+            { date: '2026-10-24', kind: 'booked', seenAt: '2026-10-19T01:00:00.000Z', lastSeenBefore: '2026-10-19T00:00:00.000Z' }
+        ]);
+    });
+
+    test('should round-trip exports and merge imported snapshots', () => {
+        const first = addSnapshot([], fleetWith({}), '2026-10-19T00:00:00.000Z');
+        const second = addSnapshot([], fleetWith({ '2026/10/24': true }), '2026-10-18T00:00:00.000Z');
+
+        const imported = parseHistoryImport(exportHistory(second));
+        expect(imported).toEqual(second);
+        expect(mergeHistories(first, imported).map(entry => entry.takenAt)).toEqual([
+            '2026-10-18T00:00:00.000Z',
+            '2026-10-19T00:00:00.000Z'
+        ]);
+        expect(() => parseHistoryImport('{"snapshots": 3}')).toThrow('not an availability history export');
+        expect(() => parseHistoryImport('nope')).toThrow('not valid JSON');
+    });
+
+    test('should write one snapshot per sync and drop the oldest past the cap', () => {
+        const latest = addSnapshot([], fleetWith({ '2026/10/21': true }), '2026-10-19T00:00:00.000Z')[0];
+        const keys = ['snapshot:2026-10-18T00:00:00.000Z', 'snapshot:2026-10-19T00:00:00.000Z'];
+
+        // Seen again: only the latest snapshot's lastSeenAt moves
+        expect(planSnapshotWrite(keys, latest, fleetWith({ '2026/10/21': true }), '2026-10-19T00:05:00.000Z')).toEqual({
+            snapshot: { ...latest, lastSeenAt: '2026-10-19T00:05:00.000Z' },
+            removeKeys: []
+        });
+
+        const changed = planSnapshotWrite(keys, latest, fleetWith({}), '2026-10-19T00:10:00.000Z');
+        expect(changed.snapshot).toEqual({ takenAt: '2026-10-19T00:10:00.000Z', lastSeenAt: '2026-10-19T00:10:00.000Z', bookings: { [nmax.variantId]: {} } });
+        expect(planSnapshotWrite([], null, fleetWith({}), '2026-10-19T00:10:00.000Z').snapshot).toEqual(changed.snapshot);
+
+        const full = Array.from({ length: MAX_SNAPSHOTS }, (_, i) => `snapshot:2026-01-01T00:00:${String(i).padStart(3, '0')}Z`);
+        expect(planSnapshotWrite(full, latest, fleetWith({}), '2026-10-19T00:10:00.000Z').removeKeys).toEqual([full[0]]);
+    });
+});
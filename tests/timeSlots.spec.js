@@ -0,0 +1,78 @@
+import { test, expect } from '@playwright/test';
+import { getDayAvailability } from '../src/utils/availability.js';
+import { getBookingTime, getOpenHalves, getOpeningHours, getSlotsForWeekday } from '../src/utils/timeSlots.js';
+import { findBike, globalSettings, today, withBookings } from './helpers/fleet.js';
+
+const r3 = findBike('yamaha-r3-rental');
+// Catalog lists `timeRange: ['15', '14']` with time picking disabled
+const ducati = findBike('ducati-monster-659-rental');
+
+const withMetafields = (bike, metafields) => ({ ...bike, metafields: { ...bike.metafields, ...metafields } });
+
+test.describe('Time slots', () => {
+
+    test('should only use timeRange while time picking is on and the range is valid', () => {
+        expect(getOpeningHours(r3)).toEqual(['08:00', '18:00']);
+        expect(getOpeningHours(ducati)).toEqual(['08:00', '18:00']);
+        expect(getOpeningHours(withMetafields(r3, { timeMode: ['disabled'], timeRange: ['09', '17'] }))).toEqual(['08:00', '18:00']);
+        expect(getOpeningHours(withMetafields(r3, { timeMode: ['enabled'], timeRange: ['09', '17'] }))).toEqual(['09:00', '17:00']);
+        expect(getOpeningHours(withMetafields(r3, { timeMode: ['enabled'], timeRange: ['15', '14'] }))).toEqual(['08:00', '18:00']);
+    });
+
+    test('should split weekdays into open halves at the middle of the opening hours', () => {
+        expect(getOpenHalves(r3, 1)).toEqual({ am: true, pm: true, splitAt: '13:00' });
+        // Saturday's last in-hours slot is 12:30; the 20:00 drop-off doesn't open the afternoon
+        expect(getOpenHalves(r3, 6)).toEqual({ am: true, pm: false, splitAt: '13:00' });
+        expect(getOpenHalves(r3, 0)).toEqual({ am: false, pm: false, splitAt: '13:00' });
+        expect(getOpenHalves(ducati, 1)).toEqual({ am: true, pm: true, splitAt: '13:00' });
+        expect(getOpenHalves({ ...r3, metafields: {} }, 1)).toBeNull();
+    });
+
+    test('should read sorted weekday slots and booking times', () => {
+        expect(getSlotsForWeekday(r3, 6).pickup).toEqual(['09:00', '10:00', '11:00', '12:00', '12:30', '20:00']);
+        expect(getBookingTime('10:30')).toBe('10:30');
+        expect(getBookingTime({ time: '14:00', qty: 2 })).toBe('14:00');
+        expect(getBookingTime(true)).toBeNull();
+        expect(getBookingTime(3)).toBeNull();
+    });
+});
+
+test.describe('Half-day availability', () => {
+
+    const dayOf = (bike, day) => getDayAvailability(bike, new Date(2026, 9, day), globalSettings, {}, { today });
+
+    test('should keep bikes with an unusable timeRange available', () => {
+        const tuesday = dayOf(withBookings('ducati-monster-659-rental'), 20);
+        expect(tuesday).toMatchObject({ status: 'available', closedReason: null });
+        expect(tuesday.pickupSlots).toContain('09:00');
+    });
+
+    test('should show Saturday as a morning-only half day', () => {
+        const saturday = dayOf(withBookings('yamaha-r3-rental'), 24);
+        expect(saturday).toMatchObject({ status: 'half', isHalfDay: true });
+        expect(saturday.halves).toEqual({
+            am: { status: 'available', free: 1, open: true },
+            pm: { status: 'closed', free: 1, open: false }
+        });
+    });
+
+    test('should split untimed returns and pickups at the same midpoint as the halves', () => {
+        const bike = withBookings('yamaha-r3-rental', { '2026/10/20_end': true, '2026/10/21_start': true, '2026/10/24_start': '10:00' });
+
+        // Returned Tuesday: free from the afternoon half, which starts at 13:00
+        const tuesday = dayOf(bike, 20);
+        expect(tuesday.status).toBe('afternoon');
+        expect(tuesday.halves.am).toEqual({ status: 'booked', free: 0, open: true });
+        expect(tuesday.pickupSlots).toEqual(['13:00', '14:00', '15:00', '16:00', '16:30', '20:00']);
+
+        // Picked up Wednesday: the morning half runs until 13:00
+        const wednesday = dayOf(bike, 21);
+        expect(wednesday.status).toBe('morning');
+        expect(wednesday.pickupSlots).toEqual(['08:30', '09:00', '10:00', '11:00', '12:00']);
+
+        // Picked up at 10:00 on Saturday: only the 09:00 slot is left
+        const saturday = dayOf(bike, 24);
+        expect(saturday).toMatchObject({ status: 'morning', isHalfDay: true });
+        expect(saturday.pickupSlots).toEqual(['09:00']);
+    });
+});
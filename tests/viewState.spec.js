@@ -0,0 +1,41 @@
+import { test, expect } from '@playwright/test';
+import { DEFAULT_VIEW_STATE, parseViewState, serializeViewState } from '../src/utils/viewState.js';
+
+test.describe('View state', () => {
+
+    test('should round-trip a view through the URL hash', () => {
+        const view = {
+            ...DEFAULT_VIEW_STATE,
+            duration: 14,
+            sortBy: 'window',
+            horizonStart: '2026-11-01',
+            horizonDays: 60,
+            filterMode: 'group',
+            tripRange: { start: '2026-11-06', end: '2026-11-09' },
+            groupSize: 4,
+            facets: { ...DEFAULT_VIEW_STATE.facets, brands: ['Royal Enfield', 'KTM'], lamsOnly: true, maxPricePerDay: 150 }
+        };
+
+        const hash = serializeViewState(view);
+        expect(hash).toBe('duration=14&sortBy=window&start=2026-11-01&days=60&mode=group&from=2026-11-06&to=2026-11-09&riders=4&brands=Royal+Enfield%2CKTM&lams=1&maxPrice=150');
+        expect(parseViewState(`#${hash}`)).toEqual(view);
+    });
+
+    test('should fall back to defaults for missing or invalid values', () => {
+        expect(serializeViewState(DEFAULT_VIEW_STATE)).toBe('');
+        expect(parseViewState('')).toEqual(DEFAULT_VIEW_STATE);
+
+        const view = parseViewState('#duration=999&sort=sideways&mode=nope&dates=2026-10-21,tomorrow&from=2026-11-09&to=2026-11-06&styles=chopper,scooter');
+        expect(view.duration).toBe(365);
+        expect(view.sortOrder).toBe('asc');
+        expect(view.filterMode).toBe('days');
+        expect(view.selectedDates).toEqual(['2026-10-21']);
+        // A reversed range is put back in order
+        expect(view.tripRange).toEqual({ start: '2026-11-06', end: '2026-11-09' });
+        expect(view.facets.styles).toEqual(['scooter']);
+        // Only the offered horizons are accepted
+        expect(parseViewState('#days=45').horizonDays).toBe(30);
+        expect(parseViewState('#riders=1').groupSize).toBe(2);
+        expect(parseViewState('#riders=50').groupSize).toBe(10);
+    });
+});
@@ -0,0 +1,62 @@
+import { test, expect } from '@playwright/test';
+import { createWatch, describeWatchChange, getBikesToPoll, getWatchState, updateWatches } from '../src/utils/watchlist.js';
+import { bookedNmax as nmax, globalSettings, today, withBookings } from './helpers/fleet.js';
+
+test.describe('Watchlist', () => {
+
+    test('should tell free, booked, unknown and past ranges apart', () => {
+        const watch = (start, end) => createWatch(nmax, start, end);
+
+        expect(getWatchState(watch('2026-10-19', '2026-10-20'), nmax, globalSettings, {}, { today })).toBe('free');
+        expect(getWatchState(watch('2026-10-20', '2026-10-23'), nmax, globalSettings, {}, { today })).toBe('booked');
+        expect(getWatchState(watch('2026-10-19', '2026-10-20'), { ...nmax, bookings: undefined, error: { message: 'HTTP 503' } }, globalSettings, {}, { today })).toBe('unknown');
+        expect(getWatchState(watch('2026-10-18', '2026-10-20'), nmax, globalSettings, {}, { today })).toBe('expired');
+    });
+
+    test('should record the first state silently and report later flips', () => {
+        const initial = [createWatch(nmax, '2026-10-20', '2026-10-23')];
+
+        const first = updateWatches(initial, [nmax], globalSettings, {}, { today });
+        expect(first.watches[0]).toMatchObject({ state: 'booked', unseen: false });
+        expect(first.changes).toHaveLength(0);
+
+        // Nothing new - the same array comes back so callers can skip saving
+        expect(updateWatches(first.watches, [nmax], globalSettings, {}, { today }).watches).toBe(first.watches);
+
+        const cancelled = { ...nmax, bookings: {} };
+        const second = updateWatches(first.watches, [cancelled], globalSettings, {}, { today });
+        expect(second.watches[0]).toMatchObject({ state: 'free', unseen: true });
+        expect(second.changes).toEqual([{ watch: second.watches[0], from: 'booked', to: 'free' }]);
+        expect(describeWatchChange(second.changes[0])).toEqual({
+            title: 'YAMAHA NMAX155 is free',
+            body: 'Now available Tue 20 Oct – Fri 23 Oct'
+        });
+    });
+
+    test('should report ranges the booking rules reject as unavailable, not booked', () => {
+        // Returns aren't allowed on Sundays, whether or not the NMAX is booked
+        const sundayReturn = createWatch(nmax, '2026-10-23', '2026-10-25');
+        expect(getWatchState(sundayReturn, nmax, globalSettings, {}, { today })).toBe('unavailable');
+        expect(getWatchState(createWatch(nmax, '2026-10-20', '2026-10-25'), nmax, globalSettings, {}, { today })).toBe('unavailable');
+
+        // Leaving or entering 'unavailable' is recorded without a notification
+        const watches = [{ ...sundayReturn, state: 'free' }];
+        const update = updateWatches(watches, [nmax], globalSettings, {}, { today });
+        expect(update.watches[0]).toMatchObject({ state: 'unavailable', unseen: false, changedAt: null });
+        expect(update.changes).toHaveLength(0);
+    });
+
+    test('should poll every variant of a watched stock pool', () => {
+        const pooled = (variantId, extra) => ({
+            ...withBookings('yamaha-r3-rental'), variantId, productId: 'pool', stockMode: 'product', productStock: 2, ...extra
+        });
+        const red = pooled('red');
+        const white = pooled('white');
+        const blue = pooled('blue', { isLoading: true });
+        const fleet = [nmax, red, white, blue];
+
+        expect(getBikesToPoll(new Set(['red']), fleet)).toEqual([red, white]);
+        expect(getBikesToPoll(new Set([nmax.variantId]), fleet)).toEqual([nmax]);
+        expect(getBikesToPoll(new Set(['gone']), fleet)).toEqual([]);
+    });
+});